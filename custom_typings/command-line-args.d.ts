@@ -1,6 +1,6 @@
 declare module 'command-line-args' {
-  function commandLineArgs(args: commandLineArgs.ArgDescriptor[])
-      : any;
+  function commandLineArgs(
+      args: commandLineArgs.ArgDescriptor[], argv?: string[]): any;
 
   module commandLineArgs {
     interface ArgDescriptor {
@@ -22,5 +22,17 @@ declare module 'espree' {
     }
   }
 
+  interface Node {
+    type: string,
+    start: number,
+    end: number,
+    [key: string]: any
+  }
+
+  interface Program extends Node {
+    body: Node[]
+  }
+
+  export function parse(text: string, opts?: ParseOpts2): Program;
   export function tokenize(text: string, opts?: ParseOpts2): Token[];
 }
@@ -0,0 +1,86 @@
+// The parts of the rollup api used by the bundler.  The typings which come
+// with rollup need a newer version of TypeScript, so `tsconfig.json` maps
+// imports of rollup to this file instead.
+
+export interface SourceMap {
+  version: number;
+  file: string;
+  sources: string[];
+  sourcesContent?: string[];
+  names: string[];
+  mappings: string;
+}
+
+export interface SourceDescription {
+  code: string;
+  map?: SourceMap|null;
+}
+
+export interface ResolvedId {
+  id: string;
+  external?: boolean;
+}
+
+export interface Plugin {
+  name: string;
+  resolveId?(source: string, importer: string|undefined): string|false|null|
+      ResolvedId|Promise<string|false|null|ResolvedId>;
+  load?(id: string): string|null|SourceDescription|
+      Promise<string|null|SourceDescription>;
+  transform?(code: string, id: string): string|null|SourceDescription|
+      Promise<string|null|SourceDescription>;
+}
+
+export interface RollupWarning {
+  code?: string;
+  id?: string;
+  message: string;
+}
+
+export interface InputOptions {
+  input: {[entryAlias: string]: string};
+  manualChunks?: (id: string) => string | null | undefined;
+  onwarn?: (warning: RollupWarning) => void;
+  plugins?: Plugin[];
+  preserveEntrySignatures?: false|'strict'|'allow-extension';
+  treeshake?: boolean;
+}
+
+export interface OutputOptions {
+  chunkFileNames?: string;
+  entryFileNames?: string;
+  format?: 'es';
+  minifyInternalExports?: boolean;
+  sourcemap?: boolean;
+  sourcemapPathTransform?:
+      (relativeSourcePath: string, sourcemapPath: string) => string;
+}
+
+export interface RenderedModule {
+  renderedLength: number;
+}
+
+export interface OutputChunk {
+  type: 'chunk';
+  code: string;
+  facadeModuleId: string|null;
+  fileName: string;
+  imports: string[];
+  map?: SourceMap;
+  modules: {[id: string]: RenderedModule};
+}
+
+export interface OutputAsset {
+  type: 'asset';
+  fileName: string;
+}
+
+export interface RollupOutput {
+  output: (OutputChunk|OutputAsset)[];
+}
+
+export interface RollupBuild {
+  generate(outputOptions: OutputOptions): Promise<RollupOutput>;
+}
+
+export function rollup(inputOptions: InputOptions): Promise<RollupBuild>;
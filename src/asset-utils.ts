@@ -0,0 +1,83 @@
+/**
+ * @license
+ * Copyright (c) 2017 The Polymer Project Authors. All rights reserved.
+ * This code may only be used under the BSD style license found at
+ * http://polymer.github.io/LICENSE.txt
+ * The complete set of authors may be found at
+ * http://polymer.github.io/AUTHORS.txt
+ * The complete set of contributors may be found at
+ * http://polymer.github.io/CONTRIBUTORS.txt
+ * Code distributed by Google as part of the polymer project is also
+ * subject to an additional IP rights grant found at
+ * http://polymer.github.io/PATENTS.txt
+ */
+import * as fs from 'fs';
+import * as pathLib from 'path';
+import * as urlLib from 'url';
+
+import {UrlString} from './url-utils';
+
+/**
+ * Loads the contents of an image or font to be inlined as a `data:` url.
+ */
+export type AssetLoader = (url: UrlString) => Promise<Buffer>;
+
+/**
+ * The MIME types of the images and fonts which may be inlined, by file
+ * extension.
+ */
+const assetMimeTypes: {[extension: string]: string} = {
+  '.bmp': 'image/bmp',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.otf': 'font/otf',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ttf': 'font/ttf',
+  '.webp': 'image/webp',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+};
+
+/**
+ * Creates an asset loader which reads files relative to the given root path.
+ * Urls starting with the prefix of a redirect are read relative to its path
+ * instead, like the `--redirect` option of `bin/polymer-bundler` does for
+ * other files.
+ */
+export function generateFileAssetLoader(
+    rootPath: string,
+    redirects: {prefix: string, path: string}[] = []): AssetLoader {
+  return async (url: UrlString) => {
+    const redirect = redirects.find((r) => url.startsWith(r.prefix));
+    let path: string;
+    if (redirect) {
+      path = pathLib.join(
+          redirect.path, getUrlPathname(url.slice(redirect.prefix.length)));
+    } else if (!urlLib.parse(url).protocol) {
+      path = pathLib.join(rootPath, getUrlPathname(url));
+    } else {
+      throw new Error(`Can not load asset ${url} from the file system`);
+    }
+    return new Promise<Buffer>((resolve, reject) => {
+      fs.readFile(
+          path, (err, contents) => err ? reject(err) : resolve(contents));
+    });
+  };
+}
+
+/**
+ * Returns the MIME type of the image or font at the url, or undefined if the
+ * url is not of an image or font.
+ */
+export function getAssetMimeType(url: UrlString): string|undefined {
+  const extension = pathLib.posix.extname(getUrlPathname(url)).toLowerCase();
+  return assetMimeTypes[extension];
+}
+
+function getUrlPathname(url: UrlString): string {
+  return decodeURIComponent(urlLib.parse(url).pathname || '');
+}
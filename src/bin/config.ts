@@ -0,0 +1,399 @@
+/**
+ * @license
+ * Copyright (c) 2017 The Polymer Project Authors. All rights reserved.
+ * This code may only be used under the BSD style license found at
+ * http://polymer.github.io/LICENSE.txt
+ * The complete set of authors may be found at
+ * http://polymer.github.io/AUTHORS.txt
+ * The complete set of contributors may be found at
+ * http://polymer.github.io/CONTRIBUTORS.txt
+ * Code distributed by Google as part of the polymer project is also
+ * subject to an additional IP rights grant found at
+ * http://polymer.github.io/PATENTS.txt
+ */
+import * as fs from 'fs';
+import * as pathLib from 'path';
+
+import {BundleStrategy, BundleUrlMapper, composeStrategies, generateContentHashBundleUrlMapper, generateCountingSharedBundleUrlMapper, generateEagerMergeStrategy, generateNoBackLinkStrategy, generateSharedDepsMergeStrategy, generateShellMergeStrategy, generateSizeLimitedStrategy} from '../bundle-manifest';
+import {UrlString} from '../url-utils';
+
+/**
+ * The name of the config file which is used when none is given.
+ */
+export const defaultConfigFilename = 'polymer-bundler.json';
+
+/**
+ * A strategy named by `name`, with its parameters as the other properties,
+ * e.g. `{"name": "shared-deps", "minEntrypoints": 3}`.
+ */
+export interface StrategyConfig {
+  name: string;
+  [parameter: string]: any;
+}
+
+/**
+ * A url mapper for shared bundles, either `counting`, which names them by
+ * `prefix` and an incrementing number, or `content-hash`, which names them by
+ * `prefix` and a hash of their content.
+ */
+export interface UrlMapperConfig {
+  name: 'counting'|'content-hash';
+  prefix?: UrlString;
+  hashEntrypoints?: boolean;
+}
+
+/**
+ * The maximum size in bytes of the bundles matching `url`, which may be a glob
+ * like those of `excludes`.
+ */
+export interface BudgetConfig {
+  url: UrlString;
+  maxBytes: number;
+}
+
+export interface RedirectConfig {
+  prefix: string;
+  path: string;
+}
+
+/**
+ * The contents of a config file.  File system paths are resolved against the
+ * folder of the config file when it is loaded; urls, such as those of
+ * entrypoints, are relative to the root as they are on the command line.
+ */
+export interface Config {
+  budgets?: string[];
+  concurrency?: number;
+  copyAssets?: boolean;
+  entrypoints?: UrlString[];
+  excludeHtmlImports?: UrlString[];
+  excludeScripts?: UrlString[];
+  excludeStyles?: UrlString[];
+  excludes?: UrlString[];
+  graphOut?: string;
+  inlineAssetsUnder?: number;
+  inlineCss?: boolean;
+  inlineScripts?: boolean;
+  lazyImportHints?: boolean;
+  linkOnly?: boolean;
+  manifestOut?: string;
+  outDir?: string;
+  outHtml?: string;
+  pushManifestOut?: string;
+  redirects?: RedirectConfig[];
+  report?: boolean;
+  rewriteUrlsInTemplates?: boolean;
+  root?: string;
+  shell?: UrlString;
+  skipUnresolvedImports?: boolean;
+  sourcemaps?: boolean|'external'|'index';
+  strategy?: StrategyConfig|StrategyConfig[];
+  strict?: boolean;
+  stripComments?: boolean;
+  treemapOut?: string;
+  urlMapper?: UrlMapperConfig;
+  watch?: boolean;
+}
+
+type ValueType = 'boolean'|'number'|'string'|'strings';
+
+const valueTypes: {[key: string]: ValueType} = {
+  budgets: 'strings',
+  concurrency: 'number',
+  copyAssets: 'boolean',
+  entrypoints: 'strings',
+  excludeHtmlImports: 'strings',
+  excludeScripts: 'strings',
+  excludeStyles: 'strings',
+  excludes: 'strings',
+  graphOut: 'string',
+  inlineAssetsUnder: 'number',
+  inlineCss: 'boolean',
+  inlineScripts: 'boolean',
+  lazyImportHints: 'boolean',
+  linkOnly: 'boolean',
+  manifestOut: 'string',
+  outDir: 'string',
+  outHtml: 'string',
+  pushManifestOut: 'string',
+  report: 'boolean',
+  rewriteUrlsInTemplates: 'boolean',
+  root: 'string',
+  shell: 'string',
+  skipUnresolvedImports: 'boolean',
+  strict: 'boolean',
+  stripComments: 'boolean',
+  treemapOut: 'string',
+  watch: 'boolean',
+};
+
+const pathKeys = [
+  'graphOut',
+  'manifestOut',
+  'outDir',
+  'outHtml',
+  'pushManifestOut',
+  'root',
+  'treemapOut'
+];
+
+/**
+ * The parameters of each strategy by name, with the types of their values.
+ * Parameters are required unless listed in `optionalStrategyParameters`.
+ */
+const strategyParameters: {[name: string]: {[parameter: string]: ValueType}} = {
+  'eager': {entrypoint: 'string'},
+  'no-back-link': {urls: 'strings'},
+  'shared-deps': {minEntrypoints: 'number'},
+  'shell': {shell: 'string', minEntrypoints: 'number'},
+  'size-limited': {maxBytes: 'number'},
+};
+
+const optionalStrategyParameters = new Set(['minEntrypoints']);
+
+const urlMapperParameters: {[name: string]:
+                                {[parameter: string]: ValueType}} = {
+  'content-hash': {prefix: 'string', hashEntrypoints: 'boolean'},
+  'counting': {prefix: 'string'},
+};
+
+/**
+ * Returns the path of the default config file in the given folder, or
+ * undefined if there is none.
+ */
+export function findConfigFile(dir: string): string|undefined {
+  const path = pathLib.resolve(dir, defaultConfigFilename);
+  return fs.existsSync(path) ? path : undefined;
+}
+
+/**
+ * Creates the strategy described by the config, composing the strategies in
+ * order when given several.
+ */
+export function generateStrategy(config: StrategyConfig|
+                                 StrategyConfig[]): BundleStrategy {
+  if (Array.isArray(config)) {
+    return composeStrategies(config.map(generateStrategy));
+  }
+  switch (config.name) {
+    case 'eager':
+      return generateEagerMergeStrategy(config.entrypoint);
+    case 'no-back-link':
+      return generateNoBackLinkStrategy(config.urls);
+    case 'shared-deps':
+      return generateSharedDepsMergeStrategy(config.minEntrypoints);
+    case 'shell':
+      return generateShellMergeStrategy(config.shell, config.minEntrypoints);
+    case 'size-limited':
+      return generateSizeLimitedStrategy(config.maxBytes);
+  }
+  throw new Error(`Unknown strategy: ${config.name}`);
+}
+
+/**
+ * Creates the url mapper described by the config.
+ */
+export function generateUrlMapper(config: UrlMapperConfig): BundleUrlMapper {
+  const prefix = config.prefix === undefined ? 'shared_bundle_' : config.prefix;
+  switch (config.name) {
+    case 'content-hash':
+      return generateContentHashBundleUrlMapper(prefix, config.hashEntrypoints);
+    case 'counting':
+      return generateCountingSharedBundleUrlMapper(prefix);
+  }
+  throw new Error(`Unknown url mapper: ${config.name}`);
+}
+
+/**
+ * Reads and validates the config file at the given path and resolves its file
+ * system paths against the folder of the file.
+ */
+export function loadConfig(path: string): Config {
+  let json: any;
+  try {
+    json = JSON.parse(fs.readFileSync(path, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Could not read config file ${path}: ${err.message}`);
+  }
+  const config = validateConfig(json, path);
+  const dir = pathLib.dirname(pathLib.resolve(path));
+  for (const key of pathKeys) {
+    const value = (<any>config)[key];
+    if (value !== undefined) {
+      (<any>config)[key] = pathLib.resolve(dir, value);
+    }
+  }
+  if (config.redirects) {
+    config.redirects = config.redirects.map(
+        (r) => ({prefix: r.prefix, path: pathLib.resolve(dir, r.path)}));
+  }
+  return config;
+}
+
+/**
+ * Parses a budget given as a bundle url and a size, separated by `=`, where
+ * the size is a number of bytes optionally followed by `b`, `kb` or `mb`, e.g.
+ * `shared_bundle_1.html=200kb`.  A kilobyte is 1024 bytes.
+ */
+export function parseBudget(spec: string): BudgetConfig {
+  const match = spec.match(/^(.+)=(\d+(?:\.\d+)?)(b|kb|mb)?$/i);
+  if (!match) {
+    throw new Error(
+        `Invalid budget "${spec}"; expected <url>=<size>, e.g. app.html=200kb`);
+  }
+  const units: {[unit: string]: number} = {b: 1, kb: 1024, mb: 1024 * 1024};
+  const unit = units[(match[3] || 'b').toLowerCase()];
+  return {url: match[1], maxBytes: Math.round(Number(match[2]) * unit)};
+}
+
+/**
+ * Parses a strategy given on the command line as its name, optionally followed
+ * by a colon and its comma separated arguments in the order of its parameters,
+ * e.g. `shared-deps:3`, `shell:app-shell.html,2` or
+ * `no-back-link:shell.html,login.html`, where all arguments are the urls.
+ */
+export function parseStrategy(spec: string): StrategyConfig {
+  const separator = spec.indexOf(':');
+  const name = separator === -1 ? spec : spec.slice(0, separator);
+  const args = separator === -1 ? [] : spec.slice(separator + 1).split(',');
+  const source = `--strategy ${spec}`;
+  const parameters = strategyParameters[name];
+  if (!parameters) {
+    throw new Error(
+        `Unknown strategy name "${name}" in ${source}; expected one of ` +
+        Object.keys(strategyParameters).join(', '));
+  }
+  const strategy: StrategyConfig = {name};
+  const parameterNames = Object.keys(parameters);
+  if (parameters[parameterNames[0]] === 'strings') {
+    if (args.length > 0) {
+      strategy[parameterNames[0]] = args;
+    }
+  } else {
+    if (args.length > parameterNames.length) {
+      throw new Error(
+          `Too many arguments in ${source}; expected at most ` +
+          parameterNames.length);
+    }
+    args.forEach((arg, i) => {
+      const parameter = parameterNames[i];
+      if (parameters[parameter] === 'number') {
+        if (!/^\d+$/.test(arg)) {
+          throw new Error(
+              `Parameter "${parameter}" in ${source} must be a number`);
+        }
+        strategy[parameter] = Number(arg);
+      } else {
+        strategy[parameter] = arg;
+      }
+    });
+  }
+  checkNamedConfig(strategy, strategyParameters, 'strategy', source, true);
+  return strategy;
+}
+
+/**
+ * Checks that the parsed contents of a config file are a valid config,
+ * throwing an error for unknown keys and values of the wrong type.  The
+ * `source` names the config in error messages.
+ */
+export function validateConfig(json: any, source: string): Config {
+  if (!isObject(json)) {
+    throw new Error(`Config in ${source} must be an object`);
+  }
+  for (const key of Object.keys(json)) {
+    const value = json[key];
+    if (valueTypes[key]) {
+      checkType(value, valueTypes[key], key, source);
+    } else if (key === 'redirects') {
+      checkRedirects(value, source);
+    } else if (key === 'sourcemaps') {
+      if (typeof value !== 'boolean' && value !== 'external' &&
+          value !== 'index') {
+        throw new Error(
+            `Config key "sourcemaps" in ${source} must be true, false, ` +
+            `"external" or "index"`);
+      }
+    } else if (key === 'strategy') {
+      for (const strategy of Array.isArray(value) ? value : [value]) {
+        checkNamedConfig(
+            strategy, strategyParameters, 'strategy', source, true);
+      }
+    } else if (key === 'urlMapper') {
+      checkNamedConfig(value, urlMapperParameters, 'urlMapper', source, false);
+    } else {
+      throw new Error(`Unknown config key "${key}" in ${source}`);
+    }
+  }
+  return json;
+}
+
+/**
+ * Checks a config of a strategy or url mapper, which is an object with a
+ * `name` from `parametersByName` and parameters of that name.
+ */
+function checkNamedConfig(
+    value: any,
+    parametersByName: {[name: string]: {[parameter: string]: ValueType}},
+    key: string,
+    source: string,
+    parametersRequired: boolean) {
+  if (!isObject(value) || typeof value.name !== 'string') {
+    throw new Error(
+        `Config key "${key}" in ${source} must be an object with a "name"`);
+  }
+  const parameters = parametersByName[value.name];
+  if (!parameters) {
+    throw new Error(
+        `Unknown ${key} name "${value.name}" in ${source}; expected one of ` +
+        Object.keys(parametersByName).join(', '));
+  }
+  for (const parameter of Object.keys(value)) {
+    if (parameter === 'name') {
+      continue;
+    }
+    if (!parameters[parameter]) {
+      throw new Error(
+          `Unknown parameter "${parameter}" of ${key} "${value.name}" in ` +
+          source);
+    }
+    checkType(
+        value[parameter], parameters[parameter], `${key}.${parameter}`, source);
+  }
+  if (parametersRequired) {
+    for (const parameter of Object.keys(parameters)) {
+      if (value[parameter] === undefined &&
+          !optionalStrategyParameters.has(parameter)) {
+        throw new Error(
+            `Missing parameter "${parameter}" of ${key} "${value.name}" in ` +
+            source);
+      }
+    }
+  }
+}
+
+function checkRedirects(value: any, source: string) {
+  if (!Array.isArray(value) ||
+      !value.every(
+          (r) => isObject(r) && Object.keys(r).length === 2 &&
+              typeof r.prefix === 'string' && typeof r.path === 'string')) {
+    throw new Error(
+        `Config key "redirects" in ${source} must be an array of objects ` +
+        `with a "prefix" and a "path"`);
+  }
+}
+
+function checkType(value: any, type: ValueType, key: string, source: string) {
+  const valid = type === 'strings' ?
+      Array.isArray(value) && value.every((v) => typeof v === 'string') :
+      typeof value === type;
+  if (!valid) {
+    const description =
+        type === 'strings' ? 'an array of strings' : `a ${type}`;
+    throw new Error(`Config key "${key}" in ${source} must be ${description}`);
+  }
+}
+
+function isObject(value: any): boolean {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -18,14 +18,19 @@ import * as fs from 'fs';
 import * as parse5 from 'parse5';
 import * as mkdirp from 'mkdirp';
 import * as pathLib from 'path';
-import {Bundler} from '../bundler';
+import * as urlLib from 'url';
+import {Bundler, BundleResult, formatBytes, formatReport, formatWarning, generateFileAssetLoader, generatePushManifest, generateReport, generateTreemap, ManifestExplanation, Severity} from '../bundler';
 import {Analyzer, FSUrlLoader, MultiUrlLoader, MultiUrlResolver, PackageUrlResolver, PrefixedUrlLoader, UrlLoader, UrlResolver} from 'polymer-analyzer';
-import {DocumentCollection} from '../document-collection';
-import {UrlString} from '../url-utils';
-import {generateShellMergeStrategy, BundleManifest} from '../bundle-manifest';
+import {buildDepsIndex, depsGraphToDot, depsGraphToJson, DepsIndex} from '../deps-index';
+import {DocumentCollection, ModuleCollection} from '../document-collection';
+import {generateUrlMatcher, UrlString} from '../url-utils';
+import {composeStrategies, generateShellMergeStrategy, BundleManifest, BundleStrategy} from '../bundle-manifest';
+import {RawIndexMap, RawSourceMap} from 'source-map';
+import {BudgetConfig, Config, defaultConfigFilename, findConfigFile, generateStrategy, generateUrlMapper, loadConfig, parseBudget, parseStrategy} from './config';
 
 const prefixArgument = '[underline]{prefix}';
 const pathArgument = '[underline]{path}';
+const budgetArgument = '[underline]{url}=[underline]{size}';
 
 const optionDefinitions = [
   {name: 'help', type: Boolean, alias: 'h', description: 'Print this message'},
@@ -40,7 +45,28 @@ const optionDefinitions = [
     type: String,
     multiple: true,
     description:
-        'URL to exclude from inlining. Use multiple times to exclude multiple files and folders. HTML tags referencing excluded URLs are preserved.'
+        'URL to exclude from inlining. Use multiple times to exclude multiple files and folders. Globs like "**/*.min.js" are supported, and URLs matched by earlier excludes are kept by excludes starting with "!". HTML tags referencing excluded URLs are preserved.'
+  },
+  {
+    name: 'exclude-html-import',
+    type: String,
+    multiple: true,
+    description:
+        'Like --exclude, but only excludes HTML imports from inlining. Applied after --exclude, so an exclude starting with "!" keeps HTML imports matched by --exclude.'
+  },
+  {
+    name: 'exclude-script',
+    type: String,
+    multiple: true,
+    description:
+        'Like --exclude, but only excludes scripts from inlining. Applied after --exclude, so an exclude starting with "!" keeps scripts matched by --exclude.'
+  },
+  {
+    name: 'exclude-style',
+    type: String,
+    multiple: true,
+    description:
+        'Like --exclude, but only excludes stylesheets from inlining. Applied after --exclude, so an exclude starting with "!" keeps stylesheets matched by --exclude.'
   },
   {
     name: 'skip-unresolved-imports',
@@ -64,6 +90,28 @@ const optionDefinitions = [
     type: Boolean,
     description: 'Inline external stylesheets'
   },
+  {
+    name: 'inline-assets-under',
+    type: Number,
+    typeLabel: '[underline]{bytes}',
+    description: 'Inline images and fonts referenced by styles, style ' +
+        'attributes and <img src> as data URLs when they are smaller than ' +
+        '[underline]{bytes}.'
+  },
+  {
+    name: 'lazy-import-hints',
+    type: Boolean,
+    description: 'Add <link rel="prefetch"> hints to entrypoint bundles for ' +
+        'the bundles of their lazy imports, or <link rel="preload"> hints ' +
+        'for lazy imports with priority="high".'
+  },
+  {
+    name: 'link-only',
+    type: Boolean,
+    description: 'Inline nothing.  Bundles import their files, and html ' +
+        'imports of files in other bundles are rewritten to point at those ' +
+        'bundles, so files stay separately cacheable.'
+  },
   {
     name: 'out-html',
     type: String,
@@ -78,6 +126,15 @@ const optionDefinitions = [
     description: 'If specified, the bundle manifest will be written to ' +
         `${pathArgument}.`
   },
+  {
+    name: 'push-manifest-out',
+    type: String,
+    typeLabel: pathArgument,
+    description: 'If specified, an HTTP/2 push manifest listing the ' +
+        'bundles, scripts, stylesheets and html imports each bundle ' +
+        `requests is written to ${pathArgument}, in the format of ` +
+        'polymer serve and prpl-server.'
+  },
   {
     name: 'shell',
     type: String,
@@ -85,6 +142,18 @@ const optionDefinitions = [
     description: 'If specified, shared dependencies will be inlined into ' +
         `${pathArgument}.`
   },
+  {
+    name: 'strategy',
+    type: String,
+    typeLabel: '[underline]{name}[:[underline]{args}]',
+    multiple: true,
+    description: 'Applies the named strategy, with its comma separated ' +
+        'arguments: shared-deps[:minEntrypoints], ' +
+        'shell:shell[,minEntrypoints], eager:entrypoint, ' +
+        'no-back-link:urls or size-limited:maxBytes.  Multiple strategies ' +
+        'are applied in the order given, after the --shell strategy.  For ' +
+        'example --strategy shared-deps:3 --strategy eager:app.html.'
+  },
   {
     name: 'out-dir',
     type: String,
@@ -92,6 +161,13 @@ const optionDefinitions = [
     description: 'If specified, all output files will be written to ' +
         `${pathArgument}.`
   },
+  {
+    name: 'copy-assets',
+    type: Boolean,
+    description: 'Copy the files referenced by the bundles which were ' +
+        'neither inlined nor bundled, such as images, fonts and excluded ' +
+        'scripts, into the out-dir at the same relative paths.'
+  },
   {
     name: 'in-html',
     type: String,
@@ -124,7 +200,97 @@ const optionDefinitions = [
   {
     name: 'sourcemaps',
     type: Boolean,
-    description: 'Create and process sourcemaps for scripts.'
+    typeLabel: '[=external|index]',
+    description: 'Create and process sourcemaps for scripts and inlined ' +
+        'stylesheets.  With ' +
+        '--sourcemaps=external, sourcemaps are written to .map files next to ' +
+        'the bundles instead of inline.  With --sourcemaps=index, the ' +
+        'sourcemaps of each bundle are combined into one index sourcemap ' +
+        'file.  Both require out-dir or out-html.'
+  },
+  {
+    name: 'strict',
+    type: Boolean,
+    description: 'Fail without writing output when bundling produces ' +
+        'warnings with a severity of error, such as for missing imports.  ' +
+        'Html import cycles are reported as errors instead of warnings.'
+  },
+  {
+    name: 'verbose',
+    type: Boolean,
+    description: 'Also print warnings with a severity of info, such as for ' +
+        'urls which can not be resolved, like those of CDNs, and so are not ' +
+        'inlined.'
+  },
+  {
+    name: 'report',
+    type: Boolean,
+    description: 'Print the raw and gzipped size of each bundle and the ' +
+        'bytes contributed by each html import, script and stylesheet ' +
+        'inlined into it.'
+  },
+  {
+    name: 'graph-out',
+    type: String,
+    typeLabel: pathArgument,
+    description: 'If specified, the html import graph of the entrypoints, ' +
+        'with eager and lazy imports and the location of each, is written ' +
+        `to ${pathArgument}, in the DOT language of Graphviz if it ends in ` +
+        '.dot or as JSON if it ends in .json.'
+  },
+  {
+    name: 'treemap-out',
+    type: String,
+    typeLabel: pathArgument,
+    description: 'If specified, a self-contained html page with a treemap ' +
+        'of the bundles and the files inlined into them, sized by bytes and ' +
+        `coloured by the entrypoints sharing them, is written to ${pathArgument}.`
+  },
+  {
+    name: 'budget',
+    type: String,
+    multiple: true,
+    typeLabel: budgetArgument,
+    description: 'Fail without writing output when a bundle matching ' +
+        '[underline]{url} is larger than [underline]{size}, in bytes unless ' +
+        'followed by kb or mb, e.g. shared_bundle_1.html=200kb.  Use ' +
+        'multiple times for multiple bundles.'
+  },
+  {
+    name: 'concurrency',
+    type: Number,
+    typeLabel: '[underline]{count}',
+    description: 'Produce up to [underline]{count} bundles at once.  The ' +
+        'output is the same for any count.  Defaults to 1.'
+  },
+  {
+    name: 'watch',
+    type: Boolean,
+    description: 'Keep running after bundling and bundle again when files ' +
+        'change.  Only the bundles including changed files are rewritten.  ' +
+        'Requires out-dir or out-html.'
+  },
+  {
+    name: 'dry-run',
+    type: Boolean,
+    description: 'Print the bundling plan without bundling or writing ' +
+        'output: the url, entrypoints, files and stripped imports of each ' +
+        'bundle, with the entrypoints which share each file and the strategy ' +
+        'steps which put it in its bundle.'
+  },
+  {
+    name: 'explain',
+    type: Boolean,
+    description: 'Same as --dry-run.'
+  },
+  {
+    name: 'config',
+    type: String,
+    typeLabel: pathArgument,
+    description: 'Read options from the JSON config file at ' +
+        `${pathArgument}.  Defaults to ${defaultConfigFilename} in the ` +
+        'current working folder, if it exists.  Options given on the ' +
+        'command line override those of the config file.'
   },
   {
     name: 'root',
@@ -172,7 +338,101 @@ const usage = [
   },
 ];
 
-const options = commandLineArgs(optionDefinitions);
+// command-line-args can not parse a value given to a Boolean option, as in
+// `--sourcemaps=external`, so the value is taken out of the arguments first.
+// So are the values of the options which may be given multiple times, one for
+// each time the option is given, since command-line-args would take the
+// entrypoints following them as their values as well.
+const repeatedOptionNames = ['budget', 'strategy'];
+const repeatedOptionValues: {[name: string]: string[]} = {};
+let sourcemapsMode: string|undefined;
+const args = process.argv.slice(2);
+const argv: string[] = [];
+for (let i = 0; i < args.length; i++) {
+  const sourcemapsMatch = args[i].match(/^--sourcemaps=(.*)$/);
+  const optionMatch = args[i].match(/^--([^=]+)(?:=(.*))?$/);
+  if (sourcemapsMatch) {
+    sourcemapsMode = sourcemapsMatch[1];
+    argv.push('--sourcemaps');
+  } else if (
+      optionMatch && repeatedOptionNames.indexOf(optionMatch[1]) !== -1) {
+    const name = optionMatch[1];
+    const value = optionMatch[2] === undefined ? args[++i] : optionMatch[2];
+    if (value === undefined) {
+      console.error(`Missing value for --${name}`);
+      process.exit(1);
+    }
+    repeatedOptionValues[name] = repeatedOptionValues[name] || [];
+    repeatedOptionValues[name].push(value);
+  } else {
+    argv.push(args[i]);
+  }
+}
+
+// The command line option set by each key of the config file, other than the
+// strategy, which is given differently on the command line, and the url mapper,
+// which has no command line option.
+const configOptionNames: {[key: string]: string} = {
+  budgets: 'budget',
+  concurrency: 'concurrency',
+  copyAssets: 'copy-assets',
+  entrypoints: 'in-html',
+  excludeHtmlImports: 'exclude-html-import',
+  excludeScripts: 'exclude-script',
+  excludeStyles: 'exclude-style',
+  excludes: 'exclude',
+  graphOut: 'graph-out',
+  inlineAssetsUnder: 'inline-assets-under',
+  inlineCss: 'inline-css',
+  inlineScripts: 'inline-scripts',
+  lazyImportHints: 'lazy-import-hints',
+  linkOnly: 'link-only',
+  manifestOut: 'manifest-out',
+  outDir: 'out-dir',
+  outHtml: 'out-html',
+  pushManifestOut: 'push-manifest-out',
+  report: 'report',
+  rewriteUrlsInTemplates: 'rewrite-urls-in-templates',
+  root: 'root',
+  shell: 'shell',
+  skipUnresolvedImports: 'skip-unresolved-imports',
+  sourcemaps: 'sourcemaps',
+  strict: 'strict',
+  stripComments: 'strip-comments',
+  treemapOut: 'treemap-out',
+  watch: 'watch',
+};
+
+const commandLineOptions = commandLineArgs(optionDefinitions, argv);
+Object.assign(commandLineOptions, repeatedOptionValues);
+
+let config: Config = {};
+try {
+  const configPath = commandLineOptions.config || findConfigFile('.');
+  if (configPath) {
+    config = loadConfig(configPath);
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const options: {[name: string]: any} = {};
+for (const key of Object.keys(config)) {
+  if (configOptionNames[key]) {
+    options[configOptionNames[key]] = (<any>config)[key];
+  }
+}
+if (config.redirects) {
+  options.redirect = config.redirects.map((r) => `${r.prefix}|${r.path}`);
+}
+if (typeof config.sourcemaps === 'string') {
+  options.sourcemaps = true;
+  if (!commandLineOptions.sourcemaps) {
+    sourcemapsMode = config.sourcemaps;
+  }
+}
+Object.assign(options, commandLineOptions);
 const projectRoot =
     options.root ? pathLib.resolve(options.root) : pathLib.resolve('.');
 
@@ -198,12 +458,53 @@ if (options.help || !entrypoints) {
 }
 
 options.excludes = options.exclude || [];
+options.excludeHtmlImports = options['exclude-html-import'] || [];
+options.excludeScripts = options['exclude-script'] || [];
+options.excludeStyles = options['exclude-style'] || [];
 options.stripComments = options['strip-comments'];
 options.implicitStrip = !options['no-implicit-strip'];
 options.inlineScripts = Boolean(options['inline-scripts']);
 options.inlineCss = Boolean(options['inline-css']);
+options.inlineAssetsUnder = options['inline-assets-under'];
+options.lazyImportHints = Boolean(options['lazy-import-hints']);
+options.linkOnly = Boolean(options['link-only']);
 options.rewriteUrlsInTemplates = Boolean(options['rewrite-urls-in-templates']);
 options.skipUnresolvedImports = Boolean(options['skip-unresolved-imports']);
+if (sourcemapsMode !== undefined && sourcemapsMode !== 'external' &&
+    sourcemapsMode !== 'index') {
+  console.error(`Unknown sourcemaps mode: ${sourcemapsMode}`);
+  process.exit(1);
+}
+if (sourcemapsMode === 'external' || sourcemapsMode === 'index') {
+  if (!options['out-dir'] && !options['out-html']) {
+    console.error(
+        'Must specify out-dir or out-html when writing external sourcemaps');
+    process.exit(1);
+  }
+  options.sourcemaps = sourcemapsMode;
+}
+
+// The formats --graph-out writes by the extension of its path.
+const graphFormatters:
+    {[extension: string]: (depsIndex: DepsIndex) => string} = {
+      '.dot': depsGraphToDot,
+      '.gv': depsGraphToDot,
+      '.json': depsGraphToJson,
+    };
+const graphOut: string|undefined = options['graph-out'];
+if (graphOut && !graphFormatters[pathLib.extname(graphOut).toLowerCase()]) {
+  console.error(
+      `Unknown graph format of ${graphOut}; expected a .dot or .json file`);
+  process.exit(1);
+}
+if (options.watch && !options['out-dir'] && !options['out-html']) {
+  console.error('Must specify out-dir or out-html when watching');
+  process.exit(1);
+}
+if (options['copy-assets'] && !options['out-dir']) {
+  console.error('Must specify out-dir when copying assets');
+  process.exit(1);
+}
 
 if (options.redirect) {
   type redirection = {prefix: string, path: string};
@@ -223,6 +524,7 @@ if (options.redirect) {
       (r: redirection) =>
           new PrefixedUrlLoader(r.prefix, new FSUrlLoader(r.path)));
   if (loaders.length > 0) {
+    options.loadAsset = generateFileAssetLoader(projectRoot, redirections);
     options.analyzer = new Analyzer({
       urlResolver:
           new MultiUrlResolver([...resolvers, new PackageUrlResolver()]),
@@ -236,8 +538,40 @@ if (!options.analyzer) {
   options.analyzer = new Analyzer({urlLoader: new FSUrlLoader(projectRoot)});
 }
 
+if (!options.loadAsset) {
+  options.loadAsset = generateFileAssetLoader(projectRoot);
+}
+
+const strategies: BundleStrategy[] = [];
 if (options.shell) {
-  options.strategy = generateShellMergeStrategy(options.shell, 2);
+  strategies.push(generateShellMergeStrategy(options.shell, 2));
+}
+try {
+  const strategyConfig = commandLineOptions.strategy ?
+      commandLineOptions.strategy.map(parseStrategy) :
+      config.strategy;
+  if (strategyConfig) {
+    strategies.push(generateStrategy(strategyConfig));
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+let budgets: BudgetConfig[] = [];
+try {
+  budgets = (options.budget || []).map(parseBudget);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+if (strategies.length > 0) {
+  options.strategy =
+      strategies.length === 1 ? strategies[0] : composeStrategies(strategies);
+}
+
+if (config.urlMapper) {
+  options.urlMapper = generateUrlMapper(config.urlMapper);
 }
 
 interface JsonManifest {
@@ -268,29 +602,13 @@ function bundleManifestToJson(manifest: BundleManifest): JsonManifest {
   return json;
 }
 
-(async () => {
-  const bundler = new Bundler(options);
-  let documents: DocumentCollection;
-  let manifest: BundleManifest;
-  try {
-    const shell = options.shell;
-    if (shell) {
-      if (entrypoints.indexOf(shell) === -1) {
-        throw new Error('Shell must be provided as `in-html`');
-      }
-    }
-    ({documents, manifest} =
-         await bundler.bundle(await bundler.generateManifest(entrypoints)));
-  } catch (err) {
-    console.log(err);
-    return;
-  }
-  if (options['manifest-out']) {
-    const manifestJson = bundleManifestToJson(manifest);
-    const fd = fs.openSync(options['manifest-out'], 'w');
-    fs.writeSync(fd, JSON.stringify(manifestJson));
-    fs.closeSync(fd);
-  }
+/**
+ * Writes the bundled documents to the out-dir, or writes the document of the
+ * first entrypoint to out-html or stdout.  When `previousDocuments` is given,
+ * documents which are unchanged from it are not written again.
+ */
+function writeDocuments(
+    documents: DocumentCollection, previousDocuments?: DocumentCollection) {
   const outDir = options['out-dir'];
   if (documents.size > 1 || outDir) {
     if (!outDir) {
@@ -298,6 +616,9 @@ function bundleManifestToJson(manifest: BundleManifest): JsonManifest {
           'Must specify out-dir when bundling multiple entrypoints');
     }
     for (const [url, document] of documents) {
+      if (previousDocuments && previousDocuments.get(url) === document) {
+        continue;
+      }
       const ast = document.ast;
       const out = pathLib.resolve(pathLib.join(outDir, url));
       const finalDir = pathLib.dirname(out);
@@ -313,6 +634,9 @@ function bundleManifestToJson(manifest: BundleManifest): JsonManifest {
   if (!doc) {
     return;
   }
+  if (previousDocuments && previousDocuments.get(entrypoints[0]) === doc) {
+    return;
+  }
   const serialized = parse5.serialize(doc.ast);
   if (options['out-html']) {
     const fd = fs.openSync(options['out-html'], 'w');
@@ -321,6 +645,312 @@ function bundleManifestToJson(manifest: BundleManifest): JsonManifest {
   } else {
     process.stdout.write(serialized);
   }
+}
+
+/**
+ * Writes the module bundles to the out-dir, which is required when there are
+ * any, since they are loaded by the bundled documents.
+ */
+function writeModules(modules: ModuleCollection) {
+  if (modules.size === 0) {
+    return;
+  }
+  const outDir = options['out-dir'];
+  if (!outDir) {
+    throw new Error('Must specify out-dir when bundling es modules');
+  }
+  for (const [url, module] of modules) {
+    const out = pathLib.resolve(pathLib.join(outDir, url));
+    mkdirp.sync(pathLib.dirname(out));
+    fs.writeFileSync(out, module.code);
+  }
+}
+
+/**
+ * Copies the assets referenced by the bundled documents into the out-dir.
+ * Assets which are not loaded from the file system, such as those from
+ * external urls, are not copied.
+ */
+async function copyAssets(assets: Set<UrlString>) {
+  for (const url of assets) {
+    if (urlLib.parse(url).protocol) {
+      continue;
+    }
+    let contents: Buffer;
+    try {
+      contents = await options.loadAsset(url);
+    } catch (err) {
+      console.error(`Could not copy asset ${url}: ${err.message}`);
+      continue;
+    }
+    const out = pathLib.resolve(
+        options['out-dir'], decodeURIComponent(urlLib.parse(url).pathname!));
+    mkdirp.sync(pathLib.dirname(out));
+    fs.writeFileSync(out, contents);
+  }
+}
+
+/**
+ * Writes the html import graph of the dependency index to graph-out, in a
+ * format given by its extension.
+ */
+function writeGraph(depsIndex: DepsIndex) {
+  const path = graphOut!;
+  const formatGraph = graphFormatters[pathLib.extname(path).toLowerCase()];
+  fs.writeFileSync(path, formatGraph(depsIndex));
+}
+
+function writeManifest(manifest: BundleManifest) {
+  if (options['manifest-out']) {
+    const manifestJson = bundleManifestToJson(manifest);
+    const fd = fs.openSync(options['manifest-out'], 'w');
+    fs.writeSync(fd, JSON.stringify(manifestJson));
+    fs.closeSync(fd);
+  }
+}
+
+function writePushManifest(result: BundleResult) {
+  if (options['push-manifest-out']) {
+    fs.writeFileSync(
+        options['push-manifest-out'],
+        JSON.stringify(generatePushManifest(result), null, 2));
+  }
+}
+
+async function writeTreemap(bundler: Bundler, result: BundleResult) {
+  if (options['treemap-out']) {
+    fs.writeFileSync(
+        options['treemap-out'],
+        generateTreemap(
+            result, await buildDepsIndex(entrypoints, bundler.analyzer)));
+  }
+}
+
+/**
+ * Writes the external sourcemap files next to the bundled documents.  When
+ * `previousSourcemaps` is given, sourcemaps which are unchanged from it are not
+ * written again.
+ */
+function writeSourcemaps(
+    sourcemaps: Map<UrlString, RawSourceMap|RawIndexMap>,
+    previousSourcemaps?: Map<UrlString, RawSourceMap|RawIndexMap>) {
+  for (const [url, sourcemap] of sourcemaps) {
+    if (previousSourcemaps && previousSourcemaps.get(url) === sourcemap) {
+      continue;
+    }
+    const out = options['out-dir'] ?
+        pathLib.resolve(pathLib.join(options['out-dir'], url)) :
+        pathLib.resolve(
+            pathLib.dirname(options['out-html']), pathLib.basename(url));
+    mkdirp.sync(pathLib.dirname(out));
+    const fd = fs.openSync(out, 'w');
+    fs.writeSync(fd, JSON.stringify(sourcemap));
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Prints the bundles of the explained manifest and the reasons each file was
+ * put in its bundle.
+ */
+function printExplanation(explanation: ManifestExplanation) {
+  const list = (urls: Iterable<UrlString>) =>
+      [...urls].join(', ') || '(none)';
+  for (const [url, bundle] of explanation.manifest.bundles) {
+    console.log(`Bundle ${url}`);
+    console.log(`  Entrypoints: ${list(bundle.entrypoints)}`);
+    console.log(`  Strip imports: ${list(bundle.stripImports)}`);
+    console.log(`  Files:`);
+    for (const file of bundle.files) {
+      const fileExplanation = explanation.files.get(file);
+      console.log(`    ${file}`);
+      if (fileExplanation) {
+        console.log(`      Shared by: ${list(fileExplanation.entrypoints)}`);
+        console.log(
+            `      Strategy steps: ${list(fileExplanation.strategySteps)}`);
+      }
+    }
+  }
+}
+
+/**
+ * Prints the warnings of the result to stderr, leaving out those with a
+ * severity of info unless `--verbose` is given, and returns true if there are
+ * errors among them that should prevent output from being written.
+ */
+function reportWarnings(result: BundleResult): boolean {
+  for (const warning of result.warnings) {
+    if (warning.severity !== Severity.INFO || options.verbose) {
+      console.error(formatWarning(warning));
+    }
+  }
+  return Boolean(options.strict) &&
+      result.warnings.some((w) => w.severity === Severity.ERROR);
+}
+
+/**
+ * Prints the size report of the result when `--report` is given and returns
+ * true if any bundle is larger than its budget, printing those which are.
+ */
+function reportSizes(result: BundleResult): boolean {
+  if (!options.report && budgets.length === 0) {
+    return false;
+  }
+  const report = generateReport(result);
+  if (options.report) {
+    // Without out-dir or out-html the bundle is written to stdout.
+    const log = options['out-dir'] || options['out-html'] ? console.log :
+                                                            console.error;
+    log(formatReport(report));
+  }
+  let exceeded = false;
+  for (const budget of budgets) {
+    const isBudgeted = generateUrlMatcher([budget.url]);
+    for (const bundle of report) {
+      if (isBudgeted(bundle.url) && bundle.size > budget.maxBytes) {
+        console.error(
+            `Bundle ${bundle.url} is ${formatBytes(bundle.size)}, over its ` +
+            `budget of ${formatBytes(budget.maxBytes)}`);
+        exceeded = true;
+      }
+    }
+  }
+  return exceeded;
+}
+
+/**
+ * Prints the warnings and the size report of the result and returns true if
+ * output should not be written, because of errors or exceeded budgets.
+ */
+function reportResult(result: BundleResult): boolean {
+  const failed = reportWarnings(result);
+  return reportSizes(result) || failed;
+}
+
+/**
+ * Watches the files which went into the bundles of the result and bundles
+ * again when any of them change, writing out the bundles which differ from
+ * `writtenDocuments`, the documents last written.  Only files which are loaded
+ * from the project root can be watched.
+ */
+function watch(
+    bundler: Bundler,
+    result: BundleResult,
+    writtenDocuments?: DocumentCollection,
+    writtenSourcemaps?: Map<UrlString, RawSourceMap|RawIndexMap>) {
+  const watchers = new Map<UrlString, fs.FSWatcher>();
+  const changedUrls = new Set<UrlString>();
+  let rebundling: Promise<void> = Promise.resolve();
+  let timer: NodeJS.Timer|undefined;
+
+  const watchFiles = () => {
+    for (const [, bundle] of result.manifest.bundles) {
+      for (const url of [
+             ...bundle.files,
+             ...bundle.inlinedHtmlImports,
+             ...bundle.inlinedScripts,
+             ...bundle.inlinedStyles,
+             ...bundle.inlinedAssets
+           ]) {
+        const filePath = pathLib.resolve(projectRoot, url);
+        if (watchers.has(url) || urlLib.parse(url).protocol ||
+            !fs.existsSync(filePath)) {
+          continue;
+        }
+        const watcher = fs.watch(filePath, () => {
+          // Editors often replace files rather than write to them, which ends
+          // the watch, so the file is watched anew after rebundling.
+          watcher.close();
+          watchers.delete(url);
+          changedUrls.add(url);
+          if (timer) {
+            clearTimeout(timer);
+          }
+          timer = setTimeout(() => {
+            rebundling = rebundling.then(rebundle);
+          }, 100);
+        });
+        watchers.set(url, watcher);
+      }
+    }
+  };
+
+  const rebundle = async () => {
+    const urls = [...changedUrls];
+    changedUrls.clear();
+    if (urls.length === 0) {
+      return;
+    }
+    try {
+      result = await bundler.rebundle(entrypoints, urls, result);
+      if (reportResult(result)) {
+        console.log('Not writing output because of errors');
+      } else {
+        writeManifest(result.manifest);
+        writeModules(result.modules);
+        writeDocuments(result.documents, writtenDocuments);
+        writeSourcemaps(result.sourcemaps, writtenSourcemaps);
+        writePushManifest(result);
+        await writeTreemap(bundler, result);
+        if (options['copy-assets']) {
+          await copyAssets(result.assets);
+        }
+        writtenDocuments = result.documents;
+        writtenSourcemaps = result.sourcemaps;
+        console.log(`Bundled again after changes to ${urls.join(', ')}`);
+      }
+    } catch (err) {
+      console.log(err);
+    }
+    watchFiles();
+  };
+
+  watchFiles();
+  console.log('Watching for changes...');
+}
+
+(async () => {
+  const bundler = new Bundler(options);
+  let result: BundleResult;
+  try {
+    const shell = options.shell;
+    if (shell) {
+      if (entrypoints.indexOf(shell) === -1) {
+        throw new Error('Shell must be provided as `in-html`');
+      }
+    }
+    if (options['graph-out']) {
+      writeGraph(await buildDepsIndex(entrypoints, bundler.analyzer));
+    }
+    if (options['dry-run'] || options.explain) {
+      printExplanation(await bundler.explainManifest(entrypoints));
+      return;
+    }
+    result = await bundler.bundle(await bundler.generateManifest(entrypoints));
+  } catch (err) {
+    console.log(err);
+    return;
+  }
+  if (reportResult(result)) {
+    if (!options.watch) {
+      process.exit(1);
+    }
+    console.log('Not writing output because of errors');
+    watch(bundler, result);
+    return;
+  }
+  writeManifest(result.manifest);
+  writeModules(result.modules);
+  writeDocuments(result.documents);
+  writeSourcemaps(result.sourcemaps);
+  writePushManifest(result);
+  await writeTreemap(bundler, result);
+  if (options['copy-assets']) {
+    await copyAssets(result.assets);
+  }
+  if (options.watch) {
+    watch(bundler, result, result.documents, result.sourcemaps);
+  }
 })().catch((err) => {
   console.log(err.stack);
   process.stderr.write(require('util').inspect(err));
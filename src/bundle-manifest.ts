@@ -14,18 +14,34 @@
 
 import * as clone from 'clone';
 
+import {DepsIndex} from './deps-index';
 import {UrlString} from './url-utils';
+import {BundlerWarning} from './warnings';
 
 /**
- * A bundle strategy function is used to transform an array of bundles.
+ * A bundle strategy function is used to transform an array of bundles.  The
+ * dependency index the bundles were generated from is provided for strategies
+ * which need to consider file sizes or the dependency graph.
  */
-export type BundleStrategy = (bundles: Bundle[]) => Bundle[];
+export type BundleStrategy = (bundles: Bundle[], depsIndex?: DepsIndex) =>
+    Bundle[];
 
 /**
  * A bundle url mapper function produces a map of urls to bundles.
  */
 export type BundleUrlMapper = (bundles: Bundle[]) => Map<UrlString, Bundle>;
 
+/**
+ * A bundle url mapper which names bundles by a hash of their bundled content.
+ * Since the content is not known until bundling takes place, the mapper gives
+ * bundles provisional urls and `hashUrl` is called with the hash of each
+ * bundled document to produce its final url.  The final url must be in the
+ * same folder as the provisional one.
+ */
+export interface ContentHashBundleUrlMapper extends BundleUrlMapper {
+  hashUrl(url: UrlString, bundle: Bundle, hash: string): UrlString;
+}
+
 /**
  * A mapping of entrypoints to their full set of transitive dependencies,
  * such that a dependency graph `a->c, c->d, d->e, b->d, b->f` would be
@@ -34,6 +50,25 @@ export type BundleUrlMapper = (bundles: Bundle[]) => Map<UrlString, Bundle>;
  */
 export type TransitiveDependenciesMap = Map<UrlString, Set<UrlString>>;
 
+/**
+ * Explains why a file was put in its bundle.
+ */
+export interface FileExplanation {
+  // The entrypoints which depend on the file.
+  entrypoints: Set<UrlString>;
+
+  // Descriptions of the strategy steps which changed the bundle of the file,
+  // in order.  Steps of composed strategies are described by the path to the
+  // step, e.g. `generateShellMergeStrategy("shell.html", 2) > ...`.
+  strategySteps: string[];
+}
+
+// Descriptions of strategy functions, given by `describeStrategy`.
+const strategyDescriptions = new WeakMap<BundleStrategy, string>();
+
+// The strategy functions composed by `composeStrategies`.
+const composedStrategies = new WeakMap<BundleStrategy, BundleStrategy[]>();
+
 /**
  * A bundle is a grouping of files which serve the need of one or more
  * entrypoint files.
@@ -56,6 +91,26 @@ export class Bundle {
   inlinedScripts = new Set<UrlString>();
   inlinedStyles = new Set<UrlString>();
 
+  // Map of the urls of the inlined sets to the number of bytes of content
+  // inlined from them.
+  inlinedSizes = new Map<UrlString, number>();
+
+  // Map of the urls of the inlined sets to the url of the html import they
+  // were inlined from, for those which were not in the bundle's document.
+  inlinedFrom = new Map<UrlString, UrlString>();
+
+  // Set of images and fonts inlined as `data:` urls.  Updated as bundling
+  // occurs.
+  inlinedAssets = new Set<UrlString>();
+
+  // Set of files referenced by the bundle which were left in place, such as
+  // images, fonts and excluded scripts.  Updated as bundling occurs.
+  assets = new Set<UrlString>();
+
+  // Problems encountered when the bundle was bundled, and html import cycles
+  // found among its files when the manifest was generated.
+  warnings: BundlerWarning[] = [];
+
   constructor(entrypoints?: Set<UrlString>, files?: Set<UrlString>) {
     this.entrypoints = entrypoints || new Set<UrlString>();
     this.files = files || new Set<UrlString>();
@@ -112,13 +167,105 @@ export class BundleManifest {
   }
 }
 
+/**
+ * Returns true if any of the given urls is one of the bundle's files, or was
+ * inlined into or found missing from the bundle when it was bundled, including
+ * images and fonts inlined as `data:` urls.
+ */
+export function bundleIncludesAny(
+    bundle: Bundle, urls: Set<UrlString>): boolean {
+  for (const set
+           of [bundle.files,
+               bundle.inlinedHtmlImports,
+               bundle.inlinedScripts,
+               bundle.inlinedStyles,
+               bundle.inlinedAssets,
+               bundle.missingImports]) {
+    for (const url of set) {
+      if (urls.has(url)) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
 /**
  * Chains multiple bundle strategy functions together so the output of one
  * becomes the input of the next and so-on.
  */
 export function composeStrategies(strategies: BundleStrategy[]):
     BundleStrategy {
-  return strategies.reduce((s1, s2) => (b) => s2(s1(b)));
+  const strategy = strategies.reduce((s1, s2) => (b, d) => s2(s1(b, d), d));
+  const composedStrategy: BundleStrategy = (b, d) => strategy(b, d);
+  composedStrategies.set(composedStrategy, strategies);
+  return composedStrategy;
+}
+
+/**
+ * Gives a strategy function a description, which is used to explain which
+ * strategy steps put files in their bundles.  Returns the strategy function.
+ */
+export function describeStrategy(
+    strategy: BundleStrategy, description: string): BundleStrategy {
+  strategyDescriptions.set(strategy, description);
+  return strategy;
+}
+
+/**
+ * Applies the strategy to the bundles like calling it would, and explains why
+ * each file was put in its bundle.  Each step of a strategy made with
+ * `composeStrategies` is applied in turn, and the steps which change the
+ * entrypoints or files of the bundle of a file are recorded for the file.
+ */
+export function explainStrategy(
+    bundles: Bundle[], strategy: BundleStrategy, depsIndex?: DepsIndex):
+    {bundles: Bundle[], files: Map<UrlString, FileExplanation>} {
+  const files = new Map<UrlString, FileExplanation>();
+  for (const bundle of bundles) {
+    for (const file of bundle.files) {
+      files.set(
+          file, {entrypoints: new Set(bundle.entrypoints), strategySteps: []});
+    }
+  }
+  const describeBundles = (bundles: Bundle[]) => {
+    const descriptions = new Map<UrlString, string>();
+    for (const bundle of bundles) {
+      const description = serializeBundleContents(bundle);
+      for (const file of bundle.files) {
+        descriptions.set(file, description);
+      }
+    }
+    return descriptions;
+  };
+  const applyStrategy =
+      (strategy: BundleStrategy, bundles: Bundle[], path: string[]) => {
+        const description = strategyDescriptions.get(strategy);
+        if (description) {
+          path = path.concat([description]);
+        }
+        const steps = composedStrategies.get(strategy);
+        if (steps) {
+          for (const step of steps) {
+            bundles = applyStrategy(step, bundles, path);
+          }
+          return bundles;
+        }
+        if (!description) {
+          path = path.concat([strategy.name || 'unnamed strategy']);
+        }
+        const before = describeBundles(bundles);
+        bundles = strategy(bundles, depsIndex);
+        const after = describeBundles(bundles);
+        for (const entry of after) {
+          const explanation = files.get(entry[0]);
+          if (explanation && before.get(entry[0]) !== entry[1]) {
+            explanation.strategySteps.push(path.join(' > '));
+          }
+        }
+        return bundles;
+      };
+  return {bundles: applyStrategy(strategy, bundles, []), files};
 }
 
 /**
@@ -158,6 +305,31 @@ export function generateBundles(depsIndex: TransitiveDependenciesMap):
   return bundles;
 }
 
+/**
+ * Creates a bundle url mapper function which names shared bundles by a prefix
+ * followed by a hash of their content, e.g. `shared_bundle_3fa9c1d2.html`, so
+ * the urls of bundles only change when their content changes.  When
+ * `hashEntrypoints` is true, the hash is also added to the urls of entrypoint
+ * bundles, e.g. `app_0b6e8a3f.html` for `app.html`.
+ */
+export function generateContentHashBundleUrlMapper(
+    urlPrefix: UrlString,
+    hashEntrypoints?: boolean): ContentHashBundleUrlMapper {
+  const mapper =
+      <ContentHashBundleUrlMapper>generateCountingSharedBundleUrlMapper(
+          urlPrefix);
+  mapper.hashUrl = (url: UrlString, bundle: Bundle, hash: string) => {
+    if (!getBundleEntrypoint(bundle)) {
+      return `${urlPrefix}${hash}.html`;
+    }
+    if (hashEntrypoints) {
+      return url.replace(/(\.[^./]*)?$/, `_${hash}$1`);
+    }
+    return url;
+  };
+  return mapper;
+}
+
 /**
  * Creates a bundle url mapper function which takes a prefix and appends an
  * incrementing value, starting with `1` to the filename.
@@ -178,9 +350,11 @@ export function generateCountingSharedBundleUrlMapper(urlPrefix: UrlString):
  */
 export function generateEagerMergeStrategy(entrypoint: UrlString):
     BundleStrategy {
-  return generateMatchMergeStrategy(
-      (b) => b.files.has(entrypoint) ||
-          b.entrypoints.has(entrypoint) && !getBundleEntrypoint(b));
+  return describeStrategy(
+      generateMatchMergeStrategy(
+          (b) => b.files.has(entrypoint) ||
+              b.entrypoints.has(entrypoint) && !getBundleEntrypoint(b)),
+      describeCall('generateEagerMergeStrategy', [entrypoint]));
 }
 
 /**
@@ -189,7 +363,9 @@ export function generateEagerMergeStrategy(entrypoint: UrlString):
  */
 export function generateMatchMergeStrategy(predicate: (b: Bundle) => boolean):
     BundleStrategy {
-  return (bundles: Bundle[]) => mergeMatchingBundles(bundles, predicate);
+  return describeStrategy(
+      (bundles: Bundle[]) => mergeMatchingBundles(bundles, predicate),
+      'generateMatchMergeStrategy(predicate)');
 }
 
 /**
@@ -237,8 +413,11 @@ export function generateSharedDepsMergeStrategy(maybeMinEntrypoints?: number):
   if (minEntrypoints < 0) {
     throw new Error(`Minimum entrypoints argument must be non-negative`);
   }
-  return generateMatchMergeStrategy(
-      (b) => b.entrypoints.size >= minEntrypoints && !getBundleEntrypoint(b));
+  return describeStrategy(
+      generateMatchMergeStrategy(
+          (b) =>
+              b.entrypoints.size >= minEntrypoints && !getBundleEntrypoint(b)),
+      describeCall('generateSharedDepsMergeStrategy', [minEntrypoints]));
 }
 
 /**
@@ -252,23 +431,63 @@ export function generateShellMergeStrategy(
   if (minEntrypoints < 0) {
     throw new Error(`Minimum entrypoints argument must be non-negative`);
   }
-  return composeStrategies([
-    // Merge all bundles that are direct dependencies of the shell into the
-    // shell.
-    generateEagerMergeStrategy(shell),
-    // Create a new bundle which contains the contents of all bundles which
-    // either...
-    generateMatchMergeStrategy((bundle) => {
-      // ...contain the shell file
-      return bundle.files.has(shell) ||
-          // or are dependencies of at least the minimum number of entrypoints
-          // and are not entrypoints themselves.
-          bundle.entrypoints.size >= minEntrypoints &&
-          !getBundleEntrypoint(bundle);
-    }),
-    // Don't link to the shell from other bundles.
-    generateNoBackLinkStrategy([shell]),
-  ]);
+  return describeStrategy(
+      composeStrategies([
+        // Merge all bundles that are direct dependencies of the shell into the
+        // shell.
+        generateEagerMergeStrategy(shell),
+        // Create a new bundle which contains the contents of all bundles
+        // which either...
+        describeStrategy(
+            generateMatchMergeStrategy((bundle) => {
+              // ...contain the shell file
+              return bundle.files.has(shell) ||
+                  // or are dependencies of at least the minimum number of
+                  // entrypoints and are not entrypoints themselves.
+                  bundle.entrypoints.size >= minEntrypoints &&
+                  !getBundleEntrypoint(bundle);
+            }),
+            'merge shared dependencies into the shell'),
+        // Don't link to the shell from other bundles.
+        generateNoBackLinkStrategy([shell]),
+      ]),
+      describeCall('generateShellMergeStrategy', [shell, minEntrypoints]));
+}
+
+/**
+ * Generates a strategy function which splits every bundle whose combined file
+ * size exceeds `maxBytes` into multiple bundles, each within the limit when
+ * possible.  File sizes are those recorded in the dependency index, so the
+ * strategy must be given one.  Files are assigned to the split bundles in
+ * dependency order, such that the dependencies of a file are always in the
+ * same bundle as it or an earlier one.  A single file larger than `maxBytes`
+ * is given a bundle of its own.
+ *
+ * For example, with a `maxBytes` of 10 and files of size 6, where `a->b->c`:
+ *   `[a]->[a,b,c]`
+ *
+ * Would be split into the following 3 bundles:
+ *   `[a]->[c], [a]->[b], [a]->[a]`
+ *
+ * Compose this strategy after merge strategies to keep them from producing
+ * bundles which are too large.
+ */
+export function generateSizeLimitedStrategy(maxBytes: number): BundleStrategy {
+  if (!(maxBytes > 0)) {
+    throw new Error(`Maximum bytes argument must be positive`);
+  }
+  return describeStrategy((bundles: Bundle[], depsIndex?: DepsIndex) => {
+    if (!depsIndex) {
+      throw new Error(
+          `Size limited strategy requires a dependency index of file ` +
+          `sizes`);
+    }
+    const newBundles: Bundle[] = [];
+    for (const bundle of bundles) {
+      newBundles.push(...splitBundle(bundle, maxBytes, depsIndex));
+    }
+    return newBundles;
+  }, describeCall('generateSizeLimitedStrategy', [maxBytes]));
 }
 
 /**
@@ -276,7 +495,7 @@ export function generateShellMergeStrategy(
  * Bundles which contain matching files will still have them inlined.
  */
 export function generateNoBackLinkStrategy(urls: UrlString[]): BundleStrategy {
-  return (bundles) => {
+  return describeStrategy((bundles) => {
     for (const bundle of bundles) {
       for (const url of urls) {
         if (!bundle.files.has(url)) {
@@ -285,7 +504,28 @@ export function generateNoBackLinkStrategy(urls: UrlString[]): BundleStrategy {
       }
     }
     return bundles;
-  };
+  }, describeCall('generateNoBackLinkStrategy', [urls]));
+}
+
+/**
+ * Returns true if both manifests map the same urls to bundles with the same
+ * entrypoints, files and stripped imports.  The sets which are updated as
+ * bundling occurs are not compared.
+ */
+export function manifestsDefineSameBundles(
+    manifest1: BundleManifest, manifest2: BundleManifest): boolean {
+  if (manifest1.bundles.size !== manifest2.bundles.size) {
+    return false;
+  }
+  for (const [url, bundle1] of manifest1.bundles) {
+    const bundle2 = manifest2.bundles.get(url);
+    if (!bundle2 || !setEquals(bundle1.entrypoints, bundle2.entrypoints) ||
+        !setEquals(bundle1.files, bundle2.files) ||
+        !setEquals(bundle1.stripImports, bundle2.stripImports)) {
+      return false;
+    }
+  }
+  return true;
 }
 
 /**
@@ -295,11 +535,16 @@ export function generateNoBackLinkStrategy(urls: UrlString[]): BundleStrategy {
 export function mergeBundles(bundles: Bundle[]): Bundle {
   const newBundle = new Bundle();
   for (const {
+         assets,
          entrypoints,
          files,
+         inlinedAssets,
+         inlinedFrom,
          inlinedHtmlImports,
          inlinedScripts,
+         inlinedSizes,
          inlinedStyles,
+         warnings,
        } of bundles) {
     newBundle.entrypoints =
         new Set<UrlString>([...newBundle.entrypoints, ...entrypoints]);
@@ -310,6 +555,18 @@ export function mergeBundles(bundles: Bundle[]): Bundle {
         new Set<UrlString>([...newBundle.inlinedScripts, ...inlinedScripts]);
     newBundle.inlinedStyles =
         new Set<UrlString>([...newBundle.inlinedStyles, ...inlinedStyles]);
+    newBundle.inlinedAssets =
+        new Set<UrlString>([...newBundle.inlinedAssets, ...inlinedAssets]);
+    for (const fromEntry of inlinedFrom) {
+      newBundle.inlinedFrom.set(fromEntry[0], fromEntry[1]);
+    }
+    for (const sizeEntry of inlinedSizes) {
+      newBundle.inlinedSizes.set(
+          sizeEntry[0],
+          (newBundle.inlinedSizes.get(sizeEntry[0]) || 0) + sizeEntry[1]);
+    }
+    newBundle.assets = new Set<UrlString>([...newBundle.assets, ...assets]);
+    newBundle.warnings = [...newBundle.warnings, ...warnings];
   }
   return newBundle;
 }
@@ -331,6 +588,67 @@ export function mergeMatchingBundles(
   return newBundles;
 }
 
+/**
+ * Given a bundle, return an array of bundles containing its files such that
+ * each bundle's files do not exceed `maxBytes` when possible, and a file's
+ * dependencies are always in the same bundle as it or in an earlier one.  The
+ * bundle is returned as-is if it is within the limit.
+ */
+export function splitBundle(
+    bundle: Bundle, maxBytes: number, depsIndex: DepsIndex): Bundle[] {
+  const sizeOf = (file: UrlString) => depsIndex.fileSizes.get(file) || 0;
+  let totalSize = 0;
+  for (const file of bundle.files) {
+    totalSize += sizeOf(file);
+  }
+  if (totalSize <= maxBytes) {
+    return [bundle];
+  }
+
+  // Order the files such that every file follows its dependencies.
+  const orderedFiles: UrlString[] = [];
+  const visited = new Set<UrlString>();
+  const visit = (file: UrlString) => {
+    if (visited.has(file)) {
+      return;
+    }
+    visited.add(file);
+    for (const dep of depsIndex.fileToDirectDeps.get(file) || []) {
+      if (bundle.files.has(dep)) {
+        visit(dep);
+      }
+    }
+    orderedFiles.push(file);
+  };
+  for (const file of bundle.files) {
+    visit(file);
+  }
+
+  const splitBundles: Bundle[] = [];
+  let currentBundle: Bundle|undefined;
+  let currentSize = 0;
+  for (const file of orderedFiles) {
+    const size = sizeOf(file);
+    if (!currentBundle || currentSize + size > maxBytes) {
+      currentBundle = new Bundle(new Set(bundle.entrypoints));
+      currentBundle.stripImports = new Set(bundle.stripImports);
+      splitBundles.push(currentBundle);
+      currentSize = 0;
+    }
+    currentBundle.files.add(file);
+    currentSize += size;
+  }
+  return splitBundles;
+}
+
+
+/**
+ * Describes a call of a strategy generator function with the given arguments,
+ * e.g. `generateSharedDepsMergeStrategy(2)`.
+ */
+function describeCall(functionName: string, args: any[]): string {
+  return `${functionName}(${args.map((a) => JSON.stringify(a)).join(', ')})`;
+}
 
 /**
  * Return the entrypoint that represents the given bundle, or null if no
@@ -364,6 +682,15 @@ function invertMultimap(multimap: Map<any, Set<any>>): Map<any, Set<any>> {
   return inverted;
 }
 
+/**
+ * Serializes the entrypoints and files of a bundle, such that bundles with the
+ * same entrypoints and files have the same serialization.
+ */
+function serializeBundleContents(bundle: Bundle): string {
+  return `[${[...bundle.entrypoints].sort().join(',')}]->` +
+      `[${[...bundle.files].sort().join(',')}]`;
+}
+
 /**
  * Returns true if both sets contain exactly the same items.  This check is
  * order-independent.
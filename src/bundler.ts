@@ -12,49 +12,112 @@
  * http://polymer.github.io/PATENTS.txt
  */
 import * as clone from 'clone';
+import * as crypto from 'crypto';
 import * as dom5 from 'dom5';
 import * as parse5 from 'parse5';
 import {ASTNode, serialize, treeAdapters} from 'parse5';
 import * as path from 'path';
 import {Analyzer, Document, FSUrlLoader, InMemoryOverlayUrlLoader} from 'polymer-analyzer';
+import {RawIndexMap, RawSourceMap} from 'source-map';
+import * as urlLib from 'url';
 import {getAnalysisDocument} from './analyzer-utils';
 
+import {AssetLoader, generateFileAssetLoader} from './asset-utils';
 import * as astUtils from './ast-utils';
 import * as bundleManifestLib from './bundle-manifest';
-import {AssignedBundle, Bundle, BundleManifest, BundleStrategy, BundleUrlMapper} from './bundle-manifest';
+import {AssignedBundle, Bundle, BundleManifest, BundleStrategy, BundleUrlMapper, ContentHashBundleUrlMapper, FileExplanation} from './bundle-manifest';
 import * as depsIndexLib from './deps-index';
-import {BundledDocument, DocumentCollection} from './document-collection';
+import {DepsEdge} from './deps-index';
+import {BundledDocument, BundledModule, DocumentCollection, ModuleCollection} from './document-collection';
+import {bundleModules, InlineModule} from './es-module-bundler';
+import {getModuleBundleUrl, getModuleSpecifiers, isModuleFile, ModuleSpecifier, resolveModuleSpecifier, resolveModuleUrl, rewriteModuleSpecifiers, toRelativeSpecifier} from './es-module-utils';
 import * as importUtils from './import-utils';
 import * as matchers from './matchers';
-import {updateSourcemapLocations} from './source-map';
+import {BundlerPlugin} from './plugin';
+import {addInlineSourcemapComment, createIndexSourcemap, externalizeModuleSourcemap, externalizeSourcemaps, extractInlineSourcemap, getExternalSourcemapUrls, updateSourcemapLocations} from './source-map';
+import encodeString from './third_party/UglifyJS2/encode-string';
 import * as urlUtils from './url-utils';
-import {UrlString} from './url-utils';
+import {UrlMatcher, UrlPattern, UrlString} from './url-utils';
+import {BundlerWarning, Severity} from './warnings';
 
+export * from './asset-utils';
 export * from './bundle-manifest';
+export * from './plugin';
+export * from './push-manifest';
+export * from './report';
+export * from './treemap';
+export * from './warnings';
 
 // TODO(usergenic): Add plylog
 export interface Options {
   // The instance of the Polymer Analyzer which has completed analysis
   analyzer?: Analyzer;
 
-  // URLs of files and/or folders that should not be inlined. HTML tags
-  // referencing excluded URLs are preserved.'
-  excludes?: UrlString[];
+  // The number of bundles to produce at once.  The bundled documents do not
+  // depend on the number, as long as plugins give the same output for the
+  // same input.  Defaults to 1.
+  concurrency?: number;
+
+  // Patterns like those of `excludes` for html imports, scripts and
+  // stylesheets only, which are applied after `excludes`.  A negated pattern
+  // can keep urls excluded by `excludes` from being excluded for its type.
+  excludeHtmlImports?: UrlPattern[];
+  excludeScripts?: UrlPattern[];
+  excludeStyles?: UrlPattern[];
+
+  // URLs of files and/or folders that should not be inlined, given as urls,
+  // globs or regular expressions.  Strings starting with `!` are negated,
+  // keeping urls matched by earlier patterns.  HTML tags referencing excluded
+  // URLs are preserved.
+  excludes?: UrlPattern[];
+
+  // When set, images and fonts referenced by `<style>` tags, `style`
+  // attributes and `<img src>` attributes are inlined as base64 `data:` urls
+  // when they are smaller than this number of bytes.
+  inlineAssetsUnder?: number;
 
   // When true, inline external CSS file contents into <style> tags in the
   // output document.
   inlineCss?: boolean;
 
   // When true, inline external Javascript file contents into <script> tags in
-  // the output document.
+  // the output document.  The module bundle of a bundle is inlined into the
+  // bundle's document as well, when nothing else loads it.
   inlineScripts?: boolean;
 
+  // When true, each entrypoint bundle gets a `<link rel="prefetch">` hint for
+  // the bundle of each html import it loads with `<link rel="lazy-import">`,
+  // or a `<link rel="preload">` hint when the lazy import has
+  // `priority="high"`, so browsers fetch them ahead of time.
+  lazyImportHints?: boolean;
+
+  // When true, nothing is inlined.  Bundles are documents importing their
+  // files, and html imports of files in other bundles are rewritten to point
+  // at the bundles which own them, so the bundles import each other.  Scripts
+  // and stylesheets, which are not in bundles, are left at their own urls, and
+  // so are es modules.  This keeps files separately cacheable, e.g. when
+  // serving over HTTP/2.
+  linkOnly?: boolean;
+
+  // Loads the contents of the images and fonts inlined for
+  // `inlineAssetsUnder`.  Defaults to reading files relative to the current
+  // working folder.
+  loadAsset?: AssetLoader;
+
+  // Plugins with hooks to transform scripts, stylesheets and html imports
+  // before they are inlined.
+  plugins?: BundlerPlugin[];
+
   // Rewrite element attributes inside of templates to adjust urls in inlined
   // html imports.
   rewriteUrlsInTemplates?: boolean;
 
   // Create identity source maps for inline scripts
-  sourcemaps?: boolean;
+  // When 'external', the source maps are written to separate files which are
+  // returned in the BundleResult instead of being inlined in the scripts.
+  // When 'index', the source maps of the scripts in each bundle are combined
+  // into a single index source map file which is returned in the same way.
+  sourcemaps?: boolean|'external'|'index';
 
   // Remove of all comments (except those containing '@license') when true.
   stripComments?: boolean;
@@ -65,31 +128,99 @@ export interface Options {
   // Bundle strategy used to construct the output bundles.
   strategy?: BundleStrategy;
 
+  // Report problems which are almost always mistakes, like html import
+  // cycles, as errors instead of warnings.
+  strict?: boolean;
+
   // Bundle url mapper function that produces urls for the generated bundles.
   urlMapper?: BundleUrlMapper;
 }
 
 export interface BundleResult {
+  // Urls of the files referenced by the documents which were neither inlined
+  // nor bundled, such as images, fonts and excluded scripts.  They must be
+  // deployed along with the documents.
+  assets: Set<UrlString>;
   documents: DocumentCollection;
+  // When bundle urls are content hashed, map of the url each bundle had
+  // before hashing to its hashed url.  Used by `rebundle` to find the
+  // previous documents of the bundles.
+  hashedUrls?: Map<UrlString, UrlString>;
   manifest: BundleManifest;
+  // The module bundles holding the es modules of the bundles, which are
+  // loaded by the documents.  The module bundle of a bundle is at the bundle's
+  // url with its extension replaced by `.js`, e.g. `app.js` for `app.html`.
+  modules: ModuleCollection;
+  // Problems encountered while bundling, such as files which could not be
+  // loaded.  The warnings of each bundle are also recorded on the `Bundle`.
+  warnings: BundlerWarning[];
+  // Map of url to source map for the source map files referenced by the
+  // documents, when the `sourcemaps` option is 'external' or 'index'.
+  sourcemaps: Map<UrlString, RawSourceMap|RawIndexMap>;
+}
+
+/**
+ * A named build of the bundles, e.g. one with scripts transformed to ES5 and
+ * one without, produced from the same manifest and analysis by `bundle`.
+ */
+export interface BundleVariant {
+  name: string;
+
+  // Options overriding those of the Bundler for this variant.  The analyzer,
+  // strategy and url mapper of the Bundler are always used, since the
+  // manifest was generated with them.
+  options?: Options;
+
+  // The folder of the out-dir to write the variant's documents to, which is
+  // given in the variant's result.  Defaults to the name of the variant.
+  outDir?: string;
+}
+
+/**
+ * The result of bundling a variant, with the folder of the out-dir its
+ * documents are to be written to.
+ */
+export interface BundleVariantResult extends BundleResult { outDir: string; }
+
+/**
+ * A bundle manifest along with an explanation of why each file was put in its
+ * bundle.
+ */
+export interface ManifestExplanation {
+  manifest: BundleManifest;
+  files: Map<UrlString, FileExplanation>;
 }
 
 export class Bundler {
   analyzer: Analyzer;
+  concurrency: number;
   enableCssInlining: boolean;
   enableScriptInlining: boolean;
-  excludes: UrlString[];
+  excludeHtmlImports: UrlPattern[];
+  excludeScripts: UrlPattern[];
+  excludeStyles: UrlPattern[];
+  excludes: UrlPattern[];
+  externalSourcemaps: boolean;
+  indexSourcemaps: boolean;
+  inlineAssetsUnder: number;
+  lazyImportHints: boolean;
+  linkOnly: boolean;
+  loadAsset: AssetLoader;
+  plugins: BundlerPlugin[];
   rewriteUrlsInTemplates: boolean;
   sourcemaps: boolean;
   stripComments: boolean;
   skipUnresolvedImports: boolean;
   strategy: BundleStrategy;
+  strict: boolean;
   urlMapper: BundleUrlMapper;
 
+  private _options: Options;
   private _overlayUrlLoader: InMemoryOverlayUrlLoader;
 
   constructor(options?: Options) {
     const opts = options ? options : {};
+    this._options = opts;
 
     // In order for the bundler to use a given analyzer, we'll have to fork it
     // so we can provide our own overlayUrlLoader which falls back to the
@@ -104,17 +235,36 @@ export class Bundler {
       this.analyzer = new Analyzer({urlLoader: this._overlayUrlLoader});
     }
 
+    this.concurrency = opts.concurrency && opts.concurrency > 1 ?
+        Math.floor(opts.concurrency) :
+        1;
     this.excludes = Array.isArray(opts.excludes) ? opts.excludes : [];
+    this.excludeHtmlImports =
+        Array.isArray(opts.excludeHtmlImports) ? opts.excludeHtmlImports : [];
+    this.excludeScripts =
+        Array.isArray(opts.excludeScripts) ? opts.excludeScripts : [];
+    this.excludeStyles =
+        Array.isArray(opts.excludeStyles) ? opts.excludeStyles : [];
+    this.plugins = Array.isArray(opts.plugins) ? opts.plugins : [];
+    this.linkOnly = Boolean(opts.linkOnly);
+    this.inlineAssetsUnder = this.linkOnly ? 0 : opts.inlineAssetsUnder || 0;
+    this.lazyImportHints = Boolean(opts.lazyImportHints);
+    this.loadAsset =
+        opts.loadAsset || generateFileAssetLoader(path.resolve('.'));
     this.stripComments = Boolean(opts.stripComments);
-    this.enableCssInlining =
-        opts.inlineCss === undefined ? true : opts.inlineCss;
-    this.enableScriptInlining =
-        opts.inlineScripts === undefined ? true : opts.inlineScripts;
+    this.enableCssInlining = !this.linkOnly &&
+        (opts.inlineCss === undefined ? true : opts.inlineCss);
+    this.enableScriptInlining = !this.linkOnly &&
+        (opts.inlineScripts === undefined ? true : opts.inlineScripts);
     this.rewriteUrlsInTemplates = Boolean(opts.rewriteUrlsInTemplates);
     this.skipUnresolvedImports = opts.skipUnresolvedImports === true;
     this.sourcemaps = Boolean(opts.sourcemaps);
+    this.externalSourcemaps =
+        opts.sourcemaps === 'external' || opts.sourcemaps === 'index';
+    this.indexSourcemaps = opts.sourcemaps === 'index';
     this.strategy =
         opts.strategy || bundleManifestLib.generateSharedDepsMergeStrategy();
+    this.strict = Boolean(opts.strict);
     this.urlMapper = opts.urlMapper ||
         bundleManifestLib.generateCountingSharedBundleUrlMapper(
             'shared_bundle_');
@@ -125,26 +275,84 @@ export class Bundler {
    * documents with HTML imports, external stylesheets and external scripts
    * inlined according to the options for this Bundler.
    *
+   * When given variants, the bundles are produced once for each variant, with
+   * the options of the variant, and the results are returned by the names of
+   * the variants.  The analysis and the manifest are shared by the variants.
+   *
    * @param manifest - The manifest that describes the bundles to be produced.
+   * @param variants - The variants of the bundles to produce, if any.
    */
-  async bundle(manifest: BundleManifest): Promise<BundleResult> {
-    const documents: DocumentCollection = new Map<string, BundledDocument>();
+  bundle(manifest: BundleManifest): Promise<BundleResult>;
+  bundle(manifest: BundleManifest, variants: BundleVariant[]):
+      Promise<Map<string, BundleVariantResult>>;
+  async bundle(manifest: BundleManifest, variants?: BundleVariant[]):
+      Promise<BundleResult|Map<string, BundleVariantResult>> {
+    if (variants) {
+      return this._bundleVariants(manifest, variants);
+    }
     manifest = manifest.fork();
 
+    const bundles: AssignedBundle[] = [];
     for (const bundleEntry of manifest.bundles) {
-      const bundleUrl = bundleEntry[0];
-      const bundle = {url: bundleUrl, bundle: bundleEntry[1]};
-      const bundledAst = await this._bundleDocument(bundle, manifest);
-      documents.set(
-          bundleUrl, {ast: bundledAst, files: Array.from(bundle.bundle.files)});
+      bundles.push({url: bundleEntry[0], bundle: bundleEntry[1]});
+    }
+    const bundled = await this._bundleDocuments(bundles, manifest);
+    let documents = bundled.documents;
+    let modules = bundled.modules;
+
+    let hashedUrls: Map<UrlString, UrlString>|undefined;
+    if (typeof(<ContentHashBundleUrlMapper>this.urlMapper).hashUrl ===
+        'function') {
+      const hashed = this._hashBundleUrls(
+          manifest,
+          documents,
+          modules,
+          <ContentHashBundleUrlMapper>this.urlMapper);
+      manifest = hashed.manifest;
+      documents = hashed.documents;
+      modules = hashed.modules;
+      hashedUrls = hashed.hashedUrls;
     }
+    return {
+      assets: this._getAssets(manifest),
+      manifest,
+      documents,
+      modules,
+      hashedUrls,
+      warnings: this._getWarnings(manifest),
+      sourcemaps: this._externalizeSourcemaps(documents, modules)
+    };
+  }
 
-    return {manifest, documents};
+  /**
+   * Generates the same BundleManifest as `generateManifest` and explains why
+   * each file was put in its bundle: which entrypoints depend on the file and
+   * which steps of the strategy changed its bundle.  Nothing is bundled.
+   *
+   * @param entrypoints - The list of entrypoints that will be analyzed for
+   *     dependencies.
+   */
+  async explainManifest(entrypoints: UrlString[]):
+      Promise<ManifestExplanation> {
+    const dependencyIndex =
+        await depsIndexLib.buildDepsIndex(entrypoints, this.analyzer);
+    const bundles =
+        bundleManifestLib.generateBundles(dependencyIndex.entrypointToDeps);
+    this._filterExcludesFromBundles(bundles);
+    const explanation = bundleManifestLib.explainStrategy(
+        bundles, this.strategy, dependencyIndex);
+    return {
+      manifest: new BundleManifest(explanation.bundles, this.urlMapper),
+      files: explanation.files
+    };
   }
 
   /**
    * Generates a BundleManifest with all bundles defined, using entrypoints,
-   * strategy and mapper.
+   * strategy and mapper.  Cycles of html imports among the files are
+   * reported as warnings of the bundles, or errors when `strict` is set.  So
+   * are es modules which can not be loaded or parsed, which are left out of
+   * the bundles.
    *
    * @param entrypoints - The list of entrypoints that will be analyzed for
    *     dependencies. The results of the analysis will be passed to the
@@ -160,8 +368,250 @@ export class Bundler {
     let bundles =
         bundleManifestLib.generateBundles(dependencyIndex.entrypointToDeps);
     this._filterExcludesFromBundles(bundles);
-    bundles = this.strategy(bundles);
-    return new BundleManifest(bundles, this.urlMapper);
+    bundles = this.strategy(bundles, dependencyIndex);
+    const manifest = new BundleManifest(bundles, this.urlMapper);
+    this._addImportCycleWarnings(manifest, dependencyIndex.cycles);
+    this._addModuleErrorWarnings(manifest, dependencyIndex);
+    return manifest;
+  }
+
+  /**
+   * Produces an updated BundleResult after the files at `changedUrls` have
+   * changed, reusing the bundled documents of `previousResult` for bundles
+   * the change does not affect.  The analyzer is told which files changed
+   * and the manifest is regenerated, which is inexpensive since the analysis
+   * of unchanged files is cached.  If the regenerated manifest defines the
+   * same bundles as the previous one, only bundles whose files, inlined
+   * resources or missing imports include a changed url are bundled again,
+   * along with the bundles which hold or load es modules, since the module
+   * bundles are always bundled again.  Otherwise, all bundles are bundled
+   * again.
+   *
+   * @param entrypoints - The entrypoints the previous result was produced for.
+   * @param changedUrls - The urls of files which have changed.
+   * @param previousResult - The result of the previous bundling.
+   */
+  async rebundle(
+      entrypoints: UrlString[],
+      changedUrls: UrlString[],
+      previousResult: BundleResult): Promise<BundleResult> {
+    // Contents for bundle basis documents are put in the overlay while
+    // bundling; they must be cleared so the analyzer loads the originals.
+    const overlaidUrls =
+        Array.from(this._overlayUrlLoader.urlContentsMap.keys());
+    this._overlayUrlLoader.urlContentsMap.clear();
+    await this.analyzer.filesChanged([...changedUrls, ...overlaidUrls]);
+
+    let manifest = await this.generateManifest(entrypoints);
+    // With content hashed bundle urls, the bundles are compared by the urls
+    // they had before hashing.
+    const previousHashedUrls =
+        previousResult.hashedUrls || new Map<UrlString, UrlString>();
+    let previousManifest = previousResult.manifest;
+    if (previousResult.hashedUrls) {
+      const previousBundles = new Map<UrlString, Bundle>();
+      for (const hashedEntry of previousResult.hashedUrls) {
+        previousBundles.set(
+            hashedEntry[0], previousResult.manifest.bundles.get(hashedEntry[1])!
+            );
+      }
+      previousManifest = new BundleManifest(
+          [...previousBundles.values()], () => previousBundles);
+    }
+    if (!bundleManifestLib.manifestsDefineSameBundles(
+            manifest, previousManifest)) {
+      return this.bundle(manifest);
+    }
+
+    const changed = new Set<UrlString>(changedUrls);
+    let documents: DocumentCollection = new Map<string, BundledDocument>();
+    const reusedUrls = new Set<UrlString>();
+    const changedBundles: AssignedBundle[] = [];
+    for (const bundleEntry of manifest.bundles) {
+      const bundleUrl = bundleEntry[0];
+      const bundle = {url: bundleUrl, bundle: bundleEntry[1]};
+      const previousBundle = previousManifest.bundles.get(bundleUrl)!;
+      const previousDocument = previousResult.documents.get(
+          previousHashedUrls.get(bundleUrl) || bundleUrl);
+      const hasModules = [...bundle.bundle.files].some(isModuleFile) ||
+          previousDocument &&
+              dom5.query(previousDocument.ast, matchers.moduleScript);
+      if (previousDocument && !hasModules &&
+          !bundleManifestLib.bundleIncludesAny(previousBundle, changed)) {
+        bundle.bundle.inlinedHtmlImports =
+            new Set(previousBundle.inlinedHtmlImports);
+        bundle.bundle.inlinedScripts = new Set(previousBundle.inlinedScripts);
+        bundle.bundle.inlinedStyles = new Set(previousBundle.inlinedStyles);
+        bundle.bundle.inlinedSizes = new Map(previousBundle.inlinedSizes);
+        bundle.bundle.inlinedFrom = new Map(previousBundle.inlinedFrom);
+        bundle.bundle.inlinedAssets = new Set(previousBundle.inlinedAssets);
+        bundle.bundle.missingImports = new Set(previousBundle.missingImports);
+        bundle.bundle.assets = new Set(previousBundle.assets);
+        bundle.bundle.warnings = previousBundle.warnings.slice();
+        documents.set(bundleUrl, previousDocument);
+        reusedUrls.add(bundleUrl);
+        continue;
+      }
+      changedBundles.push(bundle);
+    }
+    const bundled = await this._bundleDocuments(changedBundles, manifest);
+    for (const documentEntry of bundled.documents) {
+      documents.set(documentEntry[0], documentEntry[1]);
+    }
+    let modules = bundled.modules;
+    // Puts the documents back in the order of the bundles.
+    for (const bundleUrl of manifest.bundles.keys()) {
+      const document = documents.get(bundleUrl);
+      if (document) {
+        documents.delete(bundleUrl);
+        documents.set(bundleUrl, document);
+      }
+    }
+
+    let hashedUrls: Map<UrlString, UrlString>|undefined;
+    if (typeof(<ContentHashBundleUrlMapper>this.urlMapper).hashUrl ===
+        'function') {
+      const hashed = this._hashBundleUrls(
+          manifest,
+          documents,
+          modules,
+          <ContentHashBundleUrlMapper>this.urlMapper,
+          previousHashedUrls,
+          reusedUrls);
+      manifest = hashed.manifest;
+      documents = hashed.documents;
+      modules = hashed.modules;
+      hashedUrls = hashed.hashedUrls;
+    }
+
+    // Reused documents reference the source map files of the previous result.
+    const sourcemaps = new Map<UrlString, RawSourceMap|RawIndexMap>();
+    for (const documentEntry of documents) {
+      for (const sourcemapUrl of getExternalSourcemapUrls(
+               documentEntry[0], documentEntry[1].ast)) {
+        const sourcemap = previousResult.sourcemaps.get(sourcemapUrl);
+        if (sourcemap) {
+          sourcemaps.set(sourcemapUrl, sourcemap);
+        }
+      }
+    }
+    for (const sourcemapEntry of this._externalizeSourcemaps(
+             documents, modules)) {
+      sourcemaps.set(sourcemapEntry[0], sourcemapEntry[1]);
+    }
+    return {
+      assets: this._getAssets(manifest),
+      manifest,
+      documents,
+      modules,
+      hashedUrls,
+      warnings: this._getWarnings(manifest),
+      sourcemaps
+    };
+  }
+
+  /**
+   * Adds a warning for each html import cycle to the bundle containing the
+   * import which closes the cycle, located at that import's `<link>`.
+   */
+  private _addImportCycleWarnings(
+      manifest: BundleManifest,
+      cycles: DepsEdge[][]) {
+    for (const cycle of cycles) {
+      const closingEdge = cycle[cycle.length - 1];
+      const assignedBundle = manifest.getBundleForFile(closingEdge.from);
+      if (!assignedBundle) {
+        continue;
+      }
+      const files = [...cycle.map((edge) => edge.from), closingEdge.to];
+      assignedBundle.bundle.warnings.push({
+        code: 'import-cycle',
+        message: `Html import cycle ${files.join(' -> ')}`,
+        severity: this.strict ? Severity.ERROR : Severity.WARNING,
+        url: closingEdge.from,
+        sourceRange: closingEdge.sourceRange
+      });
+    }
+  }
+
+  /**
+   * Adds a `<link rel="preload">` or `<link rel="prefetch">` hint to the
+   * `<head>` of an entrypoint bundle for the bundle of each html import the
+   * entrypoint loads lazily, directly or from its eager html imports.  The
+   * hint is a preload when any `<link rel="lazy-import">` of the bundle has
+   * `priority="high"`.  Lazy imports of lazily imported files are left to the
+   * bundles of those files.
+   */
+  private _addLazyImportHints(
+      document: Document,
+      ast: ASTNode,
+      docBundle: AssignedBundle,
+      bundleManifest: BundleManifest) {
+    if (!docBundle.bundle.entrypoints.has(docBundle.url)) {
+      return;
+    }
+    const preloads = new Map<UrlString, boolean>();
+    for (const htmlImport of document.getFeatures({
+           kind: 'html-import',
+           imported: true,
+           externalPackages: true,
+           noLazyImports: true
+         })) {
+      if (!htmlImport.lazy || !htmlImport.document) {
+        continue;
+      }
+      const importBundle =
+          bundleManifest.getBundleForFile(htmlImport.document.url);
+      if (!importBundle || importBundle.url === docBundle.url) {
+        continue;
+      }
+      const priority = dom5.getAttribute(htmlImport.astNode, 'priority');
+      preloads.set(
+          importBundle.url,
+          preloads.get(importBundle.url) || priority === 'high');
+    }
+    if (preloads.size === 0) {
+      return;
+    }
+    const head = dom5.query(ast, matchers.head) || ast;
+    for (const preloadEntry of preloads) {
+      const hint = dom5.constructors.element('link');
+      dom5.setAttribute(hint, 'rel', preloadEntry[1] ? 'preload' : 'prefetch');
+      dom5.setAttribute(hint, 'as', 'document');
+      dom5.setAttribute(
+          hint, 'href', urlUtils.relativeUrl(docBundle.url, preloadEntry[0]));
+      dom5.append(head, hint);
+    }
+  }
+
+  /**
+   * Adds a warning to the bundle of each file which loads an es module that
+   * could not be loaded or parsed, located in that file.  Such modules are
+   * left out of the bundles, so the `<script type="module">` elements and
+   * imports loading them are left pointing at the modules themselves.
+   */
+  private _addModuleErrorWarnings(
+      manifest: BundleManifest,
+      depsIndex: depsIndexLib.DepsIndex) {
+    for (const moduleDepsEntry of depsIndex.fileToModuleDeps) {
+      const assignedBundle = manifest.getBundleForFile(moduleDepsEntry[0]);
+      if (!assignedBundle) {
+        continue;
+      }
+      for (const module of moduleDepsEntry[1]) {
+        const moduleError = depsIndex.moduleErrors.get(module);
+        if (!moduleError) {
+          continue;
+        }
+        assignedBundle.bundle.warnings.push({
+          code: moduleError.code,
+          message: moduleError.message,
+          severity: moduleError.code === 'missing-module' ? Severity.ERROR :
+                                                            Severity.WARNING,
+          url: moduleDepsEntry[0]
+        });
+      }
+    }
   }
 
   /**
@@ -200,49 +650,338 @@ export class Bundler {
   }
 
   /**
-   * Produces a document containing the content of all of the bundle's files.
-   * If the bundle's url resolves to an existing html file, that file will be
-   * used as the basis for the generated document.
+   * Produces a document containing the content of all of the bundle's files,
+   * by inlining into the ast of the bundle's document from
+   * `_prepareForInlining`.
    */
   private async _bundleDocument(
+      document: Document,
+      ast: ASTNode,
       docBundle: AssignedBundle,
       bundleManifest: BundleManifest): Promise<ASTNode> {
-    let document = await this._prepareBundleDocument(docBundle);
-    const ast = clone(document.parsedDocument.ast);
-    dom5.removeFakeRootElements(ast);
-    this._injectHtmlImportsForBundle(document, ast, docBundle, bundleManifest);
-    importUtils.rewriteAstToEmulateBaseTag(
-        ast, document.url, this.rewriteUrlsInTemplates);
-
-    // Re-analyzing the document using the updated ast to refresh the scanned
-    // imports, since we may now have appended some that were not initially
-    // present.
-    document = await this._analyzeContents(document.url, serialize(ast));
+    // The inline scripts and styles of the document itself are transformed
+    // before the contents of other files are inlined into it.
+    await importUtils.transformInlineScriptsAndStyles(
+        document.url, ast, this.plugins);
 
     // The following set of operations manipulate the ast directly, so
     await this._inlineHtmlImports(document, ast, docBundle, bundleManifest);
 
+    if (this.lazyImportHints) {
+      this._addLazyImportHints(document, ast, docBundle, bundleManifest);
+    }
+
     if (this.enableScriptInlining) {
-      await this._inlineScripts(document, ast, docBundle, this.excludes);
+      await this._inlineScripts(
+          document,
+          ast,
+          docBundle,
+          this._generateExcludeMatcher(this.excludeScripts));
     }
     if (this.enableCssInlining) {
+      const isExcludedStyle = this._generateExcludeMatcher(this.excludeStyles);
       await this._inlineStylesheetLinks(
-          document, ast, docBundle, this.excludes, this.rewriteUrlsInTemplates);
+          document,
+          ast,
+          docBundle,
+          isExcludedStyle,
+          this.rewriteUrlsInTemplates);
       await this._inlineStylesheetImports(
-          document, ast, docBundle, this.excludes, this.rewriteUrlsInTemplates);
+          document,
+          ast,
+          docBundle,
+          isExcludedStyle,
+          this.rewriteUrlsInTemplates);
     }
+    if (this.inlineAssetsUnder > 0) {
+      await importUtils.inlineAssets(
+          this.analyzer,
+          document.url,
+          ast,
+          docBundle,
+          this.inlineAssetsUnder,
+          this.loadAsset,
+          this.rewriteUrlsInTemplates);
+    }
+    importUtils.collectAssets(
+        this.analyzer,
+        document.url,
+        ast,
+        docBundle,
+        bundleManifest,
+        this.rewriteUrlsInTemplates);
 
     if (this.stripComments) {
       astUtils.stripComments(ast);
     }
 
     this._removeEmptyHiddenDivs(ast);
+    return ast;
+  }
 
-    if (this.sourcemaps) {
-      return updateSourcemapLocations(document, ast);
-    } else {
-      return ast;
+  /**
+   * Produces the documents of the bundles, up to `concurrency` at a time, and
+   * returns them by the urls of the bundles, in the order of the bundles,
+   * along with the module bundles.  Bundles whose files are all es modules
+   * have no document.  Preparing a document puts its contents in the overlay
+   * url loader and analyzes it, so the documents of all the bundles are
+   * prepared first, one at a time and in order.  Inlining only reads from the
+   * analyzer, so the documents are then inlined into concurrently, all
+   * against the same analysis.  The es modules of the bundles are bundled
+   * last, since the module scripts of the documents are rewritten to load the
+   * module bundles.
+   */
+  private async _bundleDocuments(
+      bundles: AssignedBundle[],
+      bundleManifest: BundleManifest):
+      Promise<{documents: DocumentCollection, modules: ModuleCollection}> {
+    const documentBundles = bundles.filter(
+        (bundle) => bundle.bundle.files.size === 0 ||
+            ![...bundle.bundle.files].every(isModuleFile));
+    const prepared: Array<{document: Document, ast: ASTNode}> = [];
+    for (const bundle of documentBundles) {
+      prepared.push(await this._prepareForInlining(bundle, bundleManifest));
+    }
+    let next = 0;
+    const bundleNext = async () => {
+      while (next < documentBundles.length) {
+        const i = next++;
+        prepared[i].ast = await this._bundleDocument(
+            prepared[i].document,
+            prepared[i].ast,
+            documentBundles[i],
+            bundleManifest);
+      }
+    };
+    const workers: Promise<void>[] = [];
+    for (let i = 0; i < Math.min(this.concurrency, documentBundles.length);
+         i++) {
+      workers.push(bundleNext());
     }
+    await Promise.all(workers);
+
+    const modules = this.linkOnly ?
+        new Map<string, BundledModule>() :
+        await this._bundleModules(
+            bundles,
+            documentBundles.map(
+                (bundle, i) => ({bundle, ast: prepared[i].ast})));
+
+    const documents: DocumentCollection = new Map<string, BundledDocument>();
+    documentBundles.forEach((bundle, i) => {
+      let ast = prepared[i].ast;
+      // The mappings of index source maps are offset to the location of the
+      // scripts by their sections instead.
+      if (this.sourcemaps && !this.indexSourcemaps) {
+        ast = updateSourcemapLocations(prepared[i].document, ast);
+      }
+      documents.set(bundle.url, {ast, files: Array.from(bundle.bundle.files)});
+    });
+    return {documents, modules};
+  }
+
+  /**
+   * Bundles the es modules of the bundles into their module bundles, and
+   * rewrites the module scripts of the bundled documents to load them.  A
+   * `<script type="module">` whose module is bundled is pointed at the module
+   * bundle holding it, or removed if an earlier one in the document already
+   * loads that module bundle.  The imports of inline module scripts are
+   * rewritten to the module bundles holding the imported modules.  Modules
+   * which are not in any bundle, such as those which could not be parsed,
+   * are left where they are.  When script inlining is enabled, a module
+   * bundle which only its own bundle's document loads is inlined into the
+   * document instead.
+   */
+  private async _bundleModules(
+      bundles: AssignedBundle[],
+      documents: Array<{bundle: AssignedBundle, ast: ASTNode}>):
+      Promise<ModuleCollection> {
+    const moduleBundles = new Map<UrlString, UrlString[]>();
+    const moduleBundleOwners = new Map<UrlString, AssignedBundle>();
+    const bundledModuleUrls = new Map<UrlString, UrlString>();
+    for (const bundle of bundles) {
+      const files = [...bundle.bundle.files].filter(isModuleFile);
+      if (files.length === 0) {
+        continue;
+      }
+      const moduleBundleUrl = getModuleBundleUrl(bundle.url);
+      moduleBundles.set(moduleBundleUrl, files);
+      moduleBundleOwners.set(moduleBundleUrl, bundle);
+      for (const file of files) {
+        bundledModuleUrls.set(file, moduleBundleUrl);
+      }
+    }
+    const modules: ModuleCollection = new Map<string, BundledModule>();
+    if (moduleBundles.size === 0) {
+      return modules;
+    }
+
+    // The module scripts which load each module bundle, with their documents,
+    // and the inline module scripts which import bundled modules.
+    const moduleBundleScripts =
+        new Map<UrlString, Array<{document: ASTNode, script: ASTNode}>>();
+    const inlineModules: InlineModule[] = [];
+    const inlineModuleScripts: ASTNode[] = [];
+    for (const document of documents) {
+      const docBundle = document.bundle;
+      for (const script of dom5.queryAll(document.ast, matchers.moduleScript)) {
+        if (dom5.hasAttribute(script, 'src')) {
+          const moduleUrl = resolveModuleUrl(
+              this.analyzer, docBundle.url, dom5.getAttribute(script, 'src')!);
+          const moduleBundleUrl = moduleUrl && bundledModuleUrls.get(moduleUrl);
+          if (!moduleUrl || !moduleBundleUrl) {
+            continue;
+          }
+          docBundle.bundle.assets.delete(moduleUrl);
+          const scripts = moduleBundleScripts.get(moduleBundleUrl) || [];
+          if (scripts.some((s) => s.document === document.ast)) {
+            astUtils.removeElementAndNewline(script);
+            continue;
+          }
+          dom5.setAttribute(
+              script,
+              'src',
+              urlUtils.relativeUrl(docBundle.url, moduleBundleUrl));
+          moduleBundleScripts.set(
+              moduleBundleUrl, [...scripts, {document: document.ast, script}]);
+          continue;
+        }
+        const extracted = extractInlineSourcemap(dom5.getTextContent(script));
+        let specifiers: string[];
+        try {
+          specifiers = getModuleSpecifiers(extracted.content)
+                           .map((specifier) => specifier.value);
+        } catch (e) {
+          docBundle.bundle.warnings.push({
+            code: 'unparseable-module',
+            message: 'Unable to parse inline module script, so its imports ' +
+                `were not rewritten: ${e.message}`,
+            severity: Severity.WARNING,
+            url: docBundle.url
+          });
+          continue;
+        }
+        if (specifiers.some(
+                (specifier) => bundledModuleUrls.has(
+                    resolveModuleSpecifier(
+                        this.analyzer, docBundle.url, specifier) ||
+                    ''))) {
+          inlineModules.push({
+            documentUrl: docBundle.url,
+            source: extracted.content,
+            sourcemap: extracted.sourcemap
+          });
+          inlineModuleScripts.push(script);
+        }
+      }
+    }
+
+    const bundled = await bundleModules(
+        this.analyzer,
+        moduleBundles,
+        inlineModules,
+        this.sourcemaps,
+        this.plugins);
+    const firstOwner = moduleBundleOwners.values().next().value;
+    for (const warning of bundled.warnings) {
+      const moduleBundleUrl = bundledModuleUrls.get(warning.url);
+      const owner =
+          moduleBundleUrl && moduleBundleOwners.get(moduleBundleUrl) ||
+          firstOwner;
+      owner.bundle.warnings.push(warning);
+    }
+
+    // Module bundles imported by other module bundles or inline module
+    // scripts can not be inlined.
+    const importedModuleBundles = new Set<UrlString>();
+    inlineModuleScripts.forEach((script, i) => {
+      const inlineModule = bundled.inlineModules[i];
+      for (const url of inlineModule.imports) {
+        importedModuleBundles.add(url);
+      }
+      let code = inlineModule.code;
+      if (inlineModule.sourcemap) {
+        code = addInlineSourcemapComment(code, inlineModule.sourcemap);
+      }
+      dom5.setTextContent(script, encodeString(code, true));
+    });
+    for (const moduleBundle of bundled.bundles.values()) {
+      for (const url of moduleBundle.imports) {
+        importedModuleBundles.add(url);
+      }
+    }
+
+    for (const moduleBundleEntry of bundled.bundles) {
+      const moduleBundleUrl = moduleBundleEntry[0];
+      const moduleBundle = moduleBundleEntry[1];
+      const owner = moduleBundleOwners.get(moduleBundleUrl)!;
+      const scripts = moduleBundleScripts.get(moduleBundleUrl) || [];
+      const ownerDocument =
+          documents.find((document) => document.bundle === owner);
+      if (this.enableScriptInlining &&
+          !importedModuleBundles.has(moduleBundleUrl) && scripts.length === 1 &&
+          ownerDocument && scripts[0].document === ownerDocument.ast) {
+        // As for inlined scripts, the code starts on the line after the
+        // script tag.
+        let code = '\n' + moduleBundle.code;
+        if (moduleBundle.sourcemap) {
+          code = addInlineSourcemapComment(code, moduleBundle.sourcemap, 1);
+        }
+        dom5.removeAttribute(scripts[0].script, 'src');
+        dom5.setTextContent(scripts[0].script, encodeString(code, true));
+        for (const sizeEntry of moduleBundle.sizes) {
+          owner.bundle.inlinedScripts.add(sizeEntry[0]);
+          owner.bundle.inlinedSizes.set(sizeEntry[0], sizeEntry[1]);
+        }
+        continue;
+      }
+      modules.set(moduleBundleUrl, {
+        code: moduleBundle.sourcemap ?
+            addInlineSourcemapComment(
+                moduleBundle.code, moduleBundle.sourcemap) :
+            moduleBundle.code,
+        files: moduleBundles.get(moduleBundleUrl)!,
+        sizes: moduleBundle.sizes
+      });
+    }
+    return modules;
+  }
+
+  /**
+   * Bundles the manifest with a Bundler for each variant.  Their analyzers are
+   * forked from this Bundler's, so the files analyzed while generating the
+   * manifest are not analyzed again.
+   */
+  private async _bundleVariants(
+      manifest: BundleManifest,
+      variants: BundleVariant[]): Promise<Map<string, BundleVariantResult>> {
+    const names = new Set<string>();
+    const outDirs = new Set<string>();
+    for (const variant of variants) {
+      const outDir = variant.outDir || variant.name;
+      if (names.has(variant.name)) {
+        throw new Error(`Duplicate bundle variant name: ${variant.name}`);
+      }
+      if (outDirs.has(outDir)) {
+        throw new Error(`Duplicate bundle variant out-dir: ${outDir}`);
+      }
+      names.add(variant.name);
+      outDirs.add(outDir);
+    }
+    const results = new Map<string, BundleVariantResult>();
+    for (const variant of variants) {
+      const variantBundler =
+          new Bundler(Object.assign({}, this._options, variant.options, {
+            analyzer: this.analyzer,
+            strategy: this.strategy,
+            urlMapper: this.urlMapper
+          }));
+      const result = await variantBundler.bundle(manifest);
+      results.set(
+          variant.name,
+          Object.assign(result, {outDir: variant.outDir || variant.name}));
+    }
+    return results;
   }
 
   /**
@@ -268,20 +1007,62 @@ export class Bundler {
   }
 
   /**
-   * Given an array of Bundles, remove all files from bundles which are in the
-   * "excludes" set.  Remove any bundles which are left empty after excluded
+   * When the `sourcemaps` option is 'external' or 'index', moves the inline
+   * source maps of the documents into separate files and returns them by url.
+   * Source maps are moved after bundles are renamed by a content hash url
+   * mapper, so the source map files are named after the final bundle urls.
+   * Module bundles have a single source map either way, which is moved to a
+   * file named after the module bundle.
+   */
+  private _externalizeSourcemaps(
+      documents: DocumentCollection,
+      modules: ModuleCollection): Map<UrlString, RawSourceMap|RawIndexMap> {
+    const sourcemaps = new Map<UrlString, RawSourceMap|RawIndexMap>();
+    if (!this.externalSourcemaps) {
+      return sourcemaps;
+    }
+    for (const documentEntry of documents) {
+      if (this.indexSourcemaps) {
+        const indexSourcemap =
+            createIndexSourcemap(documentEntry[0], documentEntry[1].ast);
+        if (indexSourcemap) {
+          sourcemaps.set(`${documentEntry[0]}.map`, indexSourcemap);
+        }
+        continue;
+      }
+      for (const sourcemapEntry of externalizeSourcemaps(
+               documentEntry[0], documentEntry[1].ast)) {
+        sourcemaps.set(sourcemapEntry[0], sourcemapEntry[1]);
+      }
+    }
+    for (const moduleEntry of modules) {
+      const externalized =
+          externalizeModuleSourcemap(moduleEntry[0], moduleEntry[1].code);
+      if (externalized.sourcemap) {
+        moduleEntry[1].code = externalized.code;
+        sourcemaps.set(`${moduleEntry[0]}.map`, externalized.sourcemap);
+      }
+    }
+    return sourcemaps;
+  }
+
+  /**
+   * Given an array of Bundles, remove all files from bundles which are matched
+   * by "excludes" or "excludeHtmlImports", or for es modules by "excludes" or
+   * "excludeScripts".  Remove any bundles which are left empty after excluded
    * files are removed.
    */
   private _filterExcludesFromBundles(bundles: Bundle[]) {
     // Remove excluded files from bundles.
+    const isExcludedHtmlImport =
+        this._generateExcludeMatcher(this.excludeHtmlImports);
+    const isExcludedModule = this._generateExcludeMatcher(this.excludeScripts);
     for (const bundle of bundles) {
-      for (const exclude of this.excludes) {
-        bundle.files.delete(exclude);
-        const excludeAsFolder = exclude.endsWith('/') ? exclude : exclude + '/';
-        for (const file of bundle.files) {
-          if (file.startsWith(excludeAsFolder)) {
-            bundle.files.delete(file);
-          }
+      for (const file of bundle.files) {
+        const isExcluded =
+            isModuleFile(file) ? isExcludedModule : isExcludedHtmlImport;
+        if (isExcluded(file)) {
+          bundle.files.delete(file);
         }
       }
     }
@@ -310,6 +1091,296 @@ export class Bundler {
     return hiddenDiv;
   }
 
+  /**
+   * Creates a matcher for the urls of a type of resource excluded from
+   * inlining, by the `excludes` followed by the excludes of that type.
+   */
+  private _generateExcludeMatcher(typeExcludes: UrlPattern[]): UrlMatcher {
+    return urlUtils.generateUrlMatcher([...this.excludes, ...typeExcludes]);
+  }
+
+  /**
+   * Returns the assets of all bundles in the manifest.
+   */
+  private _getAssets(manifest: BundleManifest): Set<UrlString> {
+    const assets = new Set<UrlString>();
+    for (const bundle of manifest.bundles.values()) {
+      for (const url of bundle.assets) {
+        assets.add(url);
+      }
+    }
+    return assets;
+  }
+
+  /**
+   * Returns the warnings of all bundles in the manifest.
+   */
+  private _getWarnings(manifest: BundleManifest): BundlerWarning[] {
+    const warnings: BundlerWarning[] = [];
+    for (const bundle of manifest.bundles.values()) {
+      warnings.push(...bundle.warnings);
+    }
+    return warnings;
+  }
+
+  /**
+   * Renames the bundles using the content hash url mapper, rewriting the html
+   * imports of bundles by other bundles, lazy import hints, and the module
+   * scripts and module imports of module bundles, to the new urls.  A bundle's
+   * module bundle is renamed along with it, keeping the `.js` extension.  The
+   * hash of a bundle covers the content of its document and module bundle and
+   * that of every bundle it imports, directly or not, so that a change to an
+   * imported bundle also changes the url of the importing bundle, and bundles
+   * which import each other in a cycle can all be renamed.  The urls of all
+   * bundles are assigned before any links are rewritten.  Throws when two
+   * bundles would get the same url.
+   *
+   * When rebundling, `reusedUrls` are the bundles whose documents, already
+   * hashed, were reused from the previous result, and `previousHashedUrls`
+   * maps the provisional urls of the previous bundles to their hashed urls.
+   * A reused bundle keeps its previous document unless the url of a bundle it
+   * imports has changed, in which case a copy of its document is rewritten.
+   * Bundles which hold or load es modules are never reused.
+   */
+  private _hashBundleUrls(
+      manifest: BundleManifest,
+      documents: DocumentCollection,
+      modules: ModuleCollection,
+      urlMapper: ContentHashBundleUrlMapper,
+      previousHashedUrls = new Map<UrlString, UrlString>(),
+      reusedUrls = new Set<UrlString>()): {
+    manifest: BundleManifest,
+    documents: DocumentCollection,
+    modules: ModuleCollection,
+    hashedUrls: Map<UrlString, UrlString>
+  } {
+    const provisionalUrls = new Map<UrlString, UrlString>();
+    for (const hashedEntry of previousHashedUrls) {
+      provisionalUrls.set(hashedEntry[1], hashedEntry[0]);
+    }
+    const moduleBundleUrls = new Map<UrlString, UrlString>();
+    for (const bundleUrl of manifest.bundles.keys()) {
+      if (modules.has(getModuleBundleUrl(bundleUrl))) {
+        moduleBundleUrls.set(getModuleBundleUrl(bundleUrl), bundleUrl);
+      }
+    }
+    const findImports = (bundleUrl: UrlString, ast: ASTNode) => {
+      const imports = new Map<ASTNode, UrlString>();
+      for (const link of dom5.queryAll(
+               ast,
+               dom5.predicates.OR(
+                   matchers.htmlImport, matchers.lazyImportHint))) {
+        const domModule = dom5.nodeWalkAncestors(
+            link, dom5.predicates.hasTagName('dom-module'));
+        const assetpath =
+            domModule && dom5.getAttribute(domModule, 'assetpath') || '';
+        const href = dom5.getAttribute(link, 'href')!;
+        let importUrl =
+            urlLib.resolve(urlLib.resolve(bundleUrl, assetpath), href);
+        if (reusedUrls.has(bundleUrl)) {
+          importUrl = provisionalUrls.get(importUrl) || importUrl;
+        }
+        if (documents.has(importUrl)) {
+          imports.set(link, importUrl);
+        }
+      }
+      return imports;
+    };
+    // Module bundles are imported by the urls of their bundles.  Sources which
+    // can not be parsed were left alone when bundling.
+    const findModuleImports = (baseUrl: UrlString, source: string) => {
+      let specifiers: ModuleSpecifier[];
+      try {
+        specifiers = getModuleSpecifiers(source);
+      } catch (e) {
+        return [];
+      }
+      const imports: UrlString[] = [];
+      for (const specifier of specifiers) {
+        const importUrl =
+            moduleBundleUrls.get(urlLib.resolve(baseUrl, specifier.value));
+        if (importUrl) {
+          imports.push(importUrl);
+        }
+      }
+      return imports;
+    };
+    const findModuleScriptImports = (bundleUrl: UrlString, ast: ASTNode) => {
+      const imports: UrlString[] = [];
+      for (const script of dom5.queryAll(ast, matchers.moduleScript)) {
+        const src = dom5.getAttribute(script, 'src');
+        if (src === null) {
+          imports.push(
+              ...findModuleImports(bundleUrl, dom5.getTextContent(script)));
+          continue;
+        }
+        const importUrl = moduleBundleUrls.get(urlLib.resolve(bundleUrl, src));
+        if (importUrl) {
+          imports.push(importUrl);
+        }
+      }
+      return imports;
+    };
+
+    const bundleUrls: UrlString[] = [];
+    const bundleImports = new Map<UrlString, Map<ASTNode, UrlString>>();
+    const allBundleImports = new Map<UrlString, Set<UrlString>>();
+    const documentHashes = new Map<UrlString, string>();
+    const contentHashes = new Map<UrlString, string>();
+    for (const bundleUrl of manifest.bundles.keys()) {
+      const document = documents.get(bundleUrl);
+      const module = modules.get(getModuleBundleUrl(bundleUrl));
+      if (!document && !module) {
+        continue;
+      }
+      bundleUrls.push(bundleUrl);
+      const imports = document ? findImports(bundleUrl, document.ast) :
+                                 new Map<ASTNode, UrlString>();
+      bundleImports.set(bundleUrl, imports);
+      allBundleImports.set(
+          bundleUrl, new Set([
+            ...imports.values(),
+            ...(document ? findModuleScriptImports(bundleUrl, document.ast) :
+                           []),
+            ...(module ? findModuleImports(
+                             getModuleBundleUrl(bundleUrl), module.code) :
+                         [])
+          ]));
+      const hashes: string[] = [];
+      if (document) {
+        documentHashes.set(
+            bundleUrl,
+            document.contentHash ||
+                crypto.createHash('sha256')
+                    .update(serialize(document.ast))
+                    .digest('hex'));
+        hashes.push(documentHashes.get(bundleUrl)!);
+      }
+      if (module) {
+        hashes.push(
+            crypto.createHash('sha256').update(module.code).digest('hex'));
+      }
+      contentHashes.set(bundleUrl, hashes.join('\n'));
+    }
+
+    const hashedUrls = new Map<UrlString, UrlString>();
+    const bundlesByHashedUrl = new Map<UrlString, UrlString>();
+    for (const bundleUrl of bundleUrls) {
+      // Note: the following iteration takes place over a Set which may be
+      // added to from within the loop.
+      const importedUrls = new Set<UrlString>([bundleUrl]);
+      for (const url of importedUrls) {
+        for (const importUrl of allBundleImports.get(url)!) {
+          importedUrls.add(importUrl);
+        }
+      }
+      importedUrls.delete(bundleUrl);
+      const importedContentHashes =
+          [...importedUrls].map((url) => contentHashes.get(url)!).sort();
+      const hash = crypto.createHash('sha256')
+                       .update([
+                         contentHashes.get(bundleUrl)!,
+                         ...importedContentHashes
+                       ].join('\n'))
+                       .digest('hex')
+                       .slice(0, 8);
+      const hashedUrl =
+          urlMapper.hashUrl(bundleUrl, manifest.bundles.get(bundleUrl)!, hash);
+      const otherBundleUrl = bundlesByHashedUrl.get(hashedUrl);
+      if (otherBundleUrl) {
+        throw new Error(
+            `Bundles ${otherBundleUrl} and ${bundleUrl} have the same ` +
+            `content hashed url ${hashedUrl}`);
+      }
+      bundlesByHashedUrl.set(hashedUrl, bundleUrl);
+      hashedUrls.set(bundleUrl, hashedUrl);
+    }
+
+    const rewriteModuleImports = (baseUrl: UrlString, source: string) =>
+        rewriteModuleSpecifiers(source, (specifier) => {
+          const importUrl =
+              moduleBundleUrls.get(urlLib.resolve(baseUrl, specifier));
+          if (!importUrl || hashedUrls.get(importUrl) === importUrl) {
+            return;
+          }
+          return toRelativeSpecifier(urlUtils.relativeUrl(
+              baseUrl, getModuleBundleUrl(hashedUrls.get(importUrl)!)));
+        });
+
+    const hashedBundles = new Map<UrlString, Bundle>();
+    const hashedDocuments: DocumentCollection =
+        new Map<string, BundledDocument>();
+    const hashedModules: ModuleCollection = new Map<string, BundledModule>();
+    for (const bundleUrl of bundleUrls) {
+      const hashedUrl = hashedUrls.get(bundleUrl)!;
+      hashedBundles.set(hashedUrl, manifest.bundles.get(bundleUrl)!);
+      const module = modules.get(getModuleBundleUrl(bundleUrl));
+      if (module) {
+        hashedModules.set(getModuleBundleUrl(hashedUrl), {
+          code:
+              rewriteModuleImports(getModuleBundleUrl(bundleUrl), module.code),
+          files: module.files,
+          sizes: module.sizes
+        });
+      }
+      let document = documents.get(bundleUrl);
+      if (!document) {
+        continue;
+      }
+      let imports = bundleImports.get(bundleUrl)!;
+      const isReused = reusedUrls.has(bundleUrl);
+      const linkedUrl = (importUrl: UrlString) =>
+          isReused ? previousHashedUrls.get(importUrl) : importUrl;
+      const importsRenamed = [...imports.values()].some(
+          (importUrl) => hashedUrls.get(importUrl) !== linkedUrl(importUrl));
+      if (isReused && importsRenamed) {
+        // The reused document belongs to the previous result, so a copy of it
+        // is rewritten.
+        const ast = clone(document.ast);
+        imports = findImports(bundleUrl, ast);
+        document = {ast, files: document.files};
+      } else if (!isReused) {
+        document = {ast: document.ast, files: document.files};
+      }
+      document.contentHash = documentHashes.get(bundleUrl)!;
+      for (const importEntry of imports) {
+        const hashedImportUrl = hashedUrls.get(importEntry[1])!;
+        if (hashedImportUrl !== linkedUrl(importEntry[1])) {
+          dom5.setAttribute(
+              importEntry[0],
+              'href',
+              urlUtils.relativeUrl(bundleUrl, hashedImportUrl));
+        }
+      }
+      for (const script of dom5.queryAll(document.ast, matchers.moduleScript)) {
+        const src = dom5.getAttribute(script, 'src');
+        if (src === null) {
+          dom5.setTextContent(
+              script,
+              rewriteModuleImports(bundleUrl, dom5.getTextContent(script)));
+          continue;
+        }
+        const importUrl = moduleBundleUrls.get(urlLib.resolve(bundleUrl, src));
+        if (importUrl && hashedUrls.get(importUrl) !== importUrl) {
+          dom5.setAttribute(
+              script,
+              'src',
+              urlUtils.relativeUrl(
+                  bundleUrl, getModuleBundleUrl(hashedUrls.get(importUrl)!)));
+        }
+      }
+      hashedDocuments.set(hashedUrl, document);
+    }
+    const hashedManifest =
+        new BundleManifest([...hashedBundles.values()], () => hashedBundles);
+    return {
+      manifest: hashedManifest,
+      documents: hashedDocuments,
+      modules: hashedModules,
+      hashedUrls
+    };
+  }
+
   /**
    * Add HTML Import elements for each file in the bundle.  Efforts are made to
    * ensure that imports are injected prior to any eager imports of other
@@ -342,6 +1413,11 @@ export class Bundler {
         continue;
       }
 
+      // Es modules are loaded from the module bundle instead.
+      if (isModuleFile(importUrl)) {
+        continue;
+      }
+
       // If there is an existing import in the document that matches the import
       // URL already, we don't need to inject one.
       if (existingImports.find((e) => e.document.url === importUrl)) {
@@ -409,20 +1485,27 @@ export class Bundler {
           this.sourcemaps,
           this.skipUnresolvedImports,
           this.rewriteUrlsInTemplates,
-          this.excludes);
+          this._generateExcludeMatcher(this.excludeHtmlImports),
+          this.plugins,
+          this.linkOnly);
     }
   }
 
   /**
    * Replace all external javascript tags (`<script src="...">`)
-   * with `<script>` tags containing the file contents inlined.
+   * with `<script>` tags containing the file contents inlined.  Module scripts
+   * are left to `_bundleModules`.
    */
   private async _inlineScripts(
       document: Document,
       ast: ASTNode,
       bundle: AssignedBundle,
-      excludes: string[]): Promise<void> {
-    const scriptImports = dom5.queryAll(ast, matchers.externalJavascript);
+      isExcluded: UrlMatcher): Promise<void> {
+    const scriptImports = dom5.queryAll(
+        ast,
+        dom5.predicates.AND(
+            matchers.externalJavascript,
+            dom5.predicates.NOT(matchers.moduleScript)));
     for (const externalScript of scriptImports) {
       await importUtils.inlineScript(
           this.analyzer,
@@ -430,7 +1513,8 @@ export class Bundler {
           externalScript,
           bundle,
           this.sourcemaps,
-          excludes);
+          isExcluded,
+          this.plugins);
     }
   }
 
@@ -443,7 +1527,7 @@ export class Bundler {
       document: Document,
       ast: ASTNode,
       bundle: AssignedBundle,
-      excludes: string[],
+      isExcluded: UrlMatcher,
       rewriteUrlsInTemplates: boolean) {
     const cssImports = dom5.queryAll(ast, matchers.stylesheetImport);
     let lastInlined: (ASTNode|undefined);
@@ -454,8 +1538,10 @@ export class Bundler {
           document,
           cssLink,
           bundle,
-          excludes,
-          rewriteUrlsInTemplates);
+          isExcluded,
+          rewriteUrlsInTemplates,
+          this.sourcemaps,
+          this.plugins);
       if (style) {
         this._moveDomModuleStyleIntoTemplate(style, lastInlined);
         lastInlined = style;
@@ -472,7 +1558,7 @@ export class Bundler {
       document: Document,
       ast: ASTNode,
       bundle: AssignedBundle,
-      excludes?: string[],
+      isExcluded?: UrlMatcher,
       rewriteUrlsInTemplates?: boolean) {
     const cssLinks = dom5.queryAll(
         ast, matchers.externalStyle, undefined, dom5.childNodesIncludeTemplate);
@@ -482,8 +1568,10 @@ export class Bundler {
           document,
           cssLink,
           bundle,
-          excludes,
-          rewriteUrlsInTemplates);
+          isExcluded,
+          rewriteUrlsInTemplates,
+          this.sourcemaps,
+          this.plugins);
     }
   }
 
@@ -564,20 +1652,53 @@ export class Bundler {
    * Generate a fresh document (ASTNode) to bundle contents into.
    * If we're building a bundle which is based on an existing file, we
    * should load that file and prepare it as the bundle document, otherwise
-   * we'll create a clean/empty html document.
+   * we'll create a clean/empty html document.  The analysis of the existing
+   * file is returned as the `originalDocument`.
    */
   private async _prepareBundleDocument(bundle: AssignedBundle):
-      Promise<Document> {
+      Promise<{document: Document, originalDocument?: Document}> {
     if (!bundle.bundle.files.has(bundle.url)) {
-      return this._analyzeContents(bundle.url, '');
+      return {document: await this._analyzeContents(bundle.url, '')};
     }
     const analysis = await this.analyzer.analyze([bundle.url]);
-    const document = getAnalysisDocument(analysis, bundle.url);
-    const ast = clone(document.parsedDocument.ast);
+    const originalDocument = getAnalysisDocument(analysis, bundle.url);
+    const ast = clone(originalDocument.parsedDocument.ast);
     this._moveOrderedImperativesFromHeadIntoHiddenDiv(ast);
     this._moveUnhiddenHtmlImportsIntoHiddenDiv(ast);
     dom5.removeFakeRootElements(ast);
-    return this._analyzeContents(document.url, serialize(ast));
+    return {
+      document: await this._analyzeContents(bundle.url, serialize(ast)),
+      originalDocument
+    };
+  }
+
+  /**
+   * Prepares the document of the bundle to be inlined into, returning its ast
+   * and its analysis.  If the bundle's url resolves to an existing html file,
+   * that file will be used as the basis for the document.  Html imports of
+   * the bundle's dependencies are injected into the document and its urls are
+   * rewritten for the bundle's url.
+   */
+  private async _prepareForInlining(
+      docBundle: AssignedBundle,
+      bundleManifest: BundleManifest):
+      Promise<{document: Document, ast: ASTNode}> {
+    const prepared = await this._prepareBundleDocument(docBundle);
+    let document = prepared.document;
+    const ast = clone(document.parsedDocument.ast);
+    dom5.removeFakeRootElements(ast);
+    this._injectHtmlImportsForBundle(document, ast, docBundle, bundleManifest);
+    importUtils.rewriteAstToEmulateBaseTag(
+        ast, document.url, this.rewriteUrlsInTemplates);
+    if (prepared.originalDocument) {
+      importUtils.recordBasisSourceRanges(ast, prepared.originalDocument);
+    }
+
+    // Re-analyzing the document using the updated ast to refresh the scanned
+    // imports, since we may now have appended some that were not initially
+    // present.
+    document = await this._analyzeContents(document.url, serialize(ast));
+    return {document, ast};
   }
 
   /**
@@ -11,13 +11,57 @@
  * subject to an additional IP rights grant found at
  * http://polymer.github.io/PATENTS.txt
  */
-import {Analyzer, Document} from 'polymer-analyzer';
+import {Analysis, Analyzer, Document, SourceRange} from 'polymer-analyzer';
 import {getAnalysisDocument} from './analyzer-utils';
+import {getModuleImports, getModuleScriptUrls} from './es-module-utils';
 import {UrlString} from './url-utils';
+import {formatSourceRange} from './warnings';
 
 export interface DepsIndex {
-  // An index of entrypoint -> html dependencies
+  // An index of entrypoint -> html dependencies, followed by the es modules
+  // they load, transitively
   entrypointToDeps: Map<UrlString, Set<UrlString>>;
+  // An index of html file -> its direct, eagerly loaded html dependencies
+  fileToDirectDeps: Map<UrlString, Set<UrlString>>;
+  // An index of html file -> the size in bytes of its content as loaded by
+  // the analyzer, including the external scripts and stylesheets it
+  // references, and of es module -> the size in bytes of its source
+  fileSizes: Map<UrlString, number>;
+  // An index of html file or es module -> the es modules it loads directly,
+  // with `<script type="module">` or static `import` and `export ... from`
+  // declarations
+  fileToModuleDeps: Map<UrlString, Set<UrlString>>;
+  // An index of html file -> its direct html imports, eager and lazy, in the
+  // order they appear in the file
+  fileToEdges: Map<UrlString, DepsEdge[]>;
+  // The cycles of eager html imports among the files, each as the edges
+  // making it up, ending with the import which closes the cycle
+  cycles: DepsEdge[][];
+  // An index of es module -> the problem which keeps it out of the bundles,
+  // for the modules which could not be loaded or parsed
+  moduleErrors: Map<UrlString, ModuleError>;
+}
+
+/**
+ * A problem with an es module which keeps it from being bundled.  The module
+ * is left where it is, along with the modules it imports.
+ */
+export interface ModuleError {
+  code: 'missing-module'|'unparseable-module';
+  message: string;
+}
+
+/**
+ * An html import of one file by another.
+ */
+export interface DepsEdge {
+  from: UrlString;
+  to: UrlString;
+  // Whether the import is a `<link rel="import">` or a
+  // `<link rel="lazy-import">`.
+  kind: 'eager'|'lazy';
+  // The location of the `<link>` in the importing file, when it is known.
+  sourceRange?: SourceRange;
 }
 
 type DependencyMapEntry = {
@@ -33,11 +77,12 @@ type DependencyMapEntry = {
  * For a given document, return a set of transitive dependencies, including
  * all eagerly-loaded dependencies and lazy html imports encountered.
  */
-function getHtmlDependencies(document: Document): DependencyMapEntry {
+function getHtmlDependencies(
+    document: Document, depsIndex: DepsIndex): DependencyMapEntry {
   const deps = new Set<UrlString>();
   const eagerDeps = new Set<UrlString>();
   const lazyImports = new Set<UrlString>();
-  _getHtmlDependencies(document, true, deps, eagerDeps, lazyImports);
+  _getHtmlDependencies(document, true, deps, eagerDeps, lazyImports, depsIndex);
   return {deps, eagerDeps, lazyImports};
 }
 
@@ -46,7 +91,9 @@ function _getHtmlDependencies(
     viaEager: boolean,
     visited: Set<UrlString>,
     visitedEager: Set<UrlString>,
-    lazyImports: Set<UrlString>) {
+    lazyImports: Set<UrlString>,
+    depsIndex: DepsIndex) {
+  indexFile(document, depsIndex);
   const htmlImports = document.getFeatures(
       {kind: 'html-import', imported: false, externalPackages: true});
   for (const htmlImport of htmlImports) {
@@ -68,7 +115,220 @@ function _getHtmlDependencies(
     }
     visited.add(importUrl);
     _getHtmlDependencies(
-        htmlImport.document, isEager, visited, visitedEager, lazyImports);
+        htmlImport.document,
+        isEager,
+        visited,
+        visitedEager,
+        lazyImports,
+        depsIndex);
+  }
+}
+
+/**
+ * Records the direct eager html dependencies, the html import edges and the
+ * content size of the document in the index, unless it has already been
+ * recorded.
+ */
+function indexFile(document: Document, depsIndex: DepsIndex) {
+  if (depsIndex.fileSizes.has(document.url)) {
+    return;
+  }
+  const directDeps = new Set<UrlString>();
+  const edges: DepsEdge[] = [];
+  for (const htmlImport of document.getFeatures(
+           {kind: 'html-import', imported: false, externalPackages: true})) {
+    if (!htmlImport.lazy) {
+      directDeps.add(htmlImport.document.url);
+    }
+    edges.push({
+      from: document.url,
+      to: htmlImport.document.url,
+      kind: htmlImport.lazy ? 'lazy' : 'eager',
+      sourceRange: htmlImport.sourceRange
+    });
+  }
+  depsIndex.fileToDirectDeps.set(document.url, directDeps);
+  depsIndex.fileToEdges.set(document.url, edges);
+
+  // The size of the file is approximated as the size of the document plus any
+  // external scripts and stylesheets it references, since those are the
+  // contents which may be inlined along with it.
+  let size = Buffer.byteLength(document.parsedDocument.contents, 'utf8');
+  const resourceKinds: ('html-script'|'html-style'|'css-import')[] =
+      ['html-script', 'html-style', 'css-import'];
+  for (const kind of resourceKinds) {
+    for (const resource of document.getFeatures(
+             {kind, imported: false, externalPackages: true})) {
+      if (resource.document && !resource.document.isInline) {
+        size += Buffer.byteLength(
+            resource.document.parsedDocument.contents, 'utf8');
+      }
+    }
+  }
+  depsIndex.fileSizes.set(document.url, size);
+}
+
+/**
+ * Formats the html import edges of the index as a graph in the DOT language
+ * of Graphviz.  Entrypoints are drawn as boxes and lazy imports as dashed
+ * edges, with the location of the `<link>` as the tooltip of each edge.
+ */
+export function depsGraphToDot(depsIndex: DepsIndex): string {
+  const lines = ['digraph deps {'];
+  for (const entrypoint of depsIndex.entrypointToDeps.keys()) {
+    lines.push(`  ${quoteDotId(entrypoint)} [shape=box];`);
+  }
+  for (const edges of depsIndex.fileToEdges.values()) {
+    for (const edge of edges) {
+      const attributes: string[] = [];
+      if (edge.kind === 'lazy') {
+        attributes.push('style=dashed', 'label="lazy"');
+      }
+      if (edge.sourceRange) {
+        attributes.push(
+            `tooltip=${quoteDotId(formatSourceRange(edge.sourceRange))}`);
+      }
+      const attributeList =
+          attributes.length > 0 ? ` [${attributes.join(', ')}]` : '';
+      const from = quoteDotId(edge.from);
+      const to = quoteDotId(edge.to);
+      lines.push(`  ${from} -> ${to}${attributeList};`);
+    }
+  }
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats the html import edges of the index as JSON, with a list of the
+ * files, which are flagged when they are entrypoints, and a list of the edges.
+ */
+export function depsGraphToJson(depsIndex: DepsIndex): string {
+  const files = new Set<UrlString>(depsIndex.entrypointToDeps.keys());
+  const edges: DepsEdge[] = [];
+  for (const fileEdges of depsIndex.fileToEdges.values()) {
+    for (const edge of fileEdges) {
+      files.add(edge.from);
+      files.add(edge.to);
+      edges.push(edge);
+    }
+  }
+  const nodes = [...files].map(
+      (url) => ({url, entrypoint: depsIndex.entrypointToDeps.has(url)}));
+  return JSON.stringify({nodes, edges}, null, 2);
+}
+
+/**
+ * Quotes text as an ID in the DOT language, whose quoted strings escape
+ * quotes and backslashes the same way as JSON strings.
+ */
+function quoteDotId(text: string): string {
+  return JSON.stringify(text);
+}
+
+/**
+ * Finds the cycles of eager html imports in the edges, with a depth first
+ * search from each file in the order the files were indexed.  A cycle is
+ * reported once, starting from the first of its files the search reaches.
+ */
+function findCycles(fileToEdges: Map<UrlString, DepsEdge[]>): DepsEdge[][] {
+  const cycles: DepsEdge[][] = [];
+  const visited = new Set<UrlString>();
+  // The edges from the file the search started from to the current file, and
+  // the position in them of the edge leaving each file on the path.
+  const path: DepsEdge[] = [];
+  const pathPositions = new Map<UrlString, number>();
+  const visit = (file: UrlString) => {
+    visited.add(file);
+    pathPositions.set(file, path.length);
+    for (const edge of fileToEdges.get(file) || []) {
+      if (edge.kind !== 'eager') {
+        continue;
+      }
+      path.push(edge);
+      const position = pathPositions.get(edge.to);
+      if (position !== undefined) {
+        cycles.push(path.slice(position));
+      } else if (!visited.has(edge.to)) {
+        visit(edge.to);
+      }
+      path.pop();
+    }
+    pathPositions.delete(file);
+  };
+  for (const file of fileToEdges.keys()) {
+    if (!visited.has(file)) {
+      visit(file);
+    }
+  }
+  return cycles;
+}
+
+/**
+ * Records the es modules loaded by each html file in the index, and the
+ * modules those modules import, transitively, along with the sizes of the
+ * modules.  Modules which can not be loaded or parsed are recorded in
+ * `moduleErrors` instead, and the modules they import are not followed.
+ */
+async function indexModules(
+    analyzer: Analyzer, analysis: Analysis, depsIndex: DepsIndex) {
+  const modules: UrlString[] = [];
+  for (const file of depsIndex.fileToDirectDeps.keys()) {
+    const document = getAnalysisDocument(analysis, file);
+    const moduleDeps = getModuleScriptUrls(
+        analyzer, document.url, document.parsedDocument.ast);
+    depsIndex.fileToModuleDeps.set(file, new Set(moduleDeps));
+    modules.push(...moduleDeps);
+  }
+  // Note: the following iteration takes place over an array which may be
+  // added to from within the loop.
+  for (const module of modules) {
+    if (depsIndex.fileToModuleDeps.has(module) ||
+        depsIndex.moduleErrors.has(module)) {
+      continue;
+    }
+    let source: string;
+    try {
+      source = await analyzer.load(module);
+    } catch (e) {
+      depsIndex.moduleErrors.set(
+          module,
+          {code: 'missing-module', message: `Unable to load module ${module}`});
+      continue;
+    }
+    let moduleDeps: UrlString[];
+    try {
+      moduleDeps = getModuleImports(analyzer, module, source);
+    } catch (e) {
+      depsIndex.moduleErrors.set(module, {
+        code: 'unparseable-module',
+        message: `Unable to parse module ${module}, so it was not bundled: ` +
+            e.message
+      });
+      continue;
+    }
+    depsIndex.fileToModuleDeps.set(module, new Set(moduleDeps));
+    depsIndex.fileSizes.set(module, Buffer.byteLength(source, 'utf8'));
+    modules.push(...moduleDeps);
+  }
+}
+
+/**
+ * Adds the es modules which the html files of each entrypoint's dependencies
+ * load, directly or through other modules, to the entrypoint's dependencies.
+ * Modules with errors are left out.
+ */
+function addModuleDeps(depsIndex: DepsIndex) {
+  for (const deps of depsIndex.entrypointToDeps.values()) {
+    // Note: the following iteration takes place over a Set which may be
+    // added to from within the loop.
+    for (const file of deps) {
+      for (const module of depsIndex.fileToModuleDeps.get(file) || []) {
+        if (!depsIndex.moduleErrors.has(module)) {
+          deps.add(module);
+        }
+      }
+    }
   }
 }
 
@@ -82,7 +342,15 @@ function _getHtmlDependencies(
  */
 export async function buildDepsIndex(
     entrypoints: UrlString[], analyzer: Analyzer): Promise<DepsIndex> {
-  const depsIndex = {entrypointToDeps: new Map<UrlString, Set<UrlString>>()};
+  const depsIndex: DepsIndex = {
+    entrypointToDeps: new Map<UrlString, Set<UrlString>>(),
+    fileToDirectDeps: new Map<UrlString, Set<UrlString>>(),
+    fileSizes: new Map<UrlString, number>(),
+    fileToModuleDeps: new Map<UrlString, Set<UrlString>>(),
+    fileToEdges: new Map<UrlString, DepsEdge[]>(),
+    cycles: [],
+    moduleErrors: new Map<UrlString, ModuleError>(),
+  };
   const analysis = await analyzer.analyze(entrypoints);
   const allEntrypoints = new Set<UrlString>(entrypoints);
 
@@ -91,7 +359,7 @@ export async function buildDepsIndex(
   for (const entrypoint of allEntrypoints) {
     try {
       const document = getAnalysisDocument(analysis, entrypoint);
-      const deps = getHtmlDependencies(document);
+      const deps = getHtmlDependencies(document, depsIndex);
       depsIndex.entrypointToDeps.set(
           entrypoint, new Set([entrypoint, ...deps.eagerDeps]));
       // Add lazy imports to the set of all entrypoints, which supports
@@ -103,5 +371,8 @@ export async function buildDepsIndex(
       console.warn(e.message);
     }
   }
+  await indexModules(analyzer, analysis, depsIndex);
+  addModuleDeps(depsIndex);
+  depsIndex.cycles = findCycles(depsIndex.fileToEdges);
   return depsIndex;
 }
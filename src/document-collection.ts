@@ -17,7 +17,23 @@ import {UrlString} from './url-utils';
 export interface BundledDocument {
   ast: ASTNode;
   files: UrlString[];
+
+  // When bundle urls are content hashed, the hash of the document's content
+  // before its links to other bundles were rewritten to their hashed urls.
+  contentHash?: string;
 }
 
 /* A collection of documents, keyed by path */
 export type DocumentCollection = Map<string, BundledDocument>;
+
+export interface BundledModule {
+  code: string;
+  files: UrlString[];
+
+  // Map of the urls of the files to the number of bytes of code they
+  // contributed to the module bundle.
+  sizes: Map<UrlString, number>;
+}
+
+/* A collection of module bundles, keyed by path */
+export type ModuleCollection = Map<string, BundledModule>;
@@ -0,0 +1,280 @@
+/**
+ * @license
+ * Copyright (c) 2017 The Polymer Project Authors. All rights reserved.
+ * This code may only be used under the BSD style license found at
+ * http://polymer.github.io/LICENSE.txt
+ * The complete set of authors may be found at
+ * http://polymer.github.io/AUTHORS.txt
+ * The complete set of contributors may be found at
+ * http://polymer.github.io/CONTRIBUTORS.txt
+ * Code distributed by Google as part of the polymer project is also
+ * subject to an additional IP rights grant found at
+ * http://polymer.github.io/PATENTS.txt
+ */
+import * as path from 'path';
+import {Analyzer} from 'polymer-analyzer';
+import {OutputChunk, Plugin, rollup, SourceDescription} from 'rollup';
+import {RawSourceMap} from 'source-map';
+
+import {resolveModuleSpecifier} from './es-module-utils';
+import {toTransformResult} from './import-utils';
+import {BundlerPlugin} from './plugin';
+import {getExistingSourcemap} from './source-map';
+import {UrlString} from './url-utils';
+import {BundlerWarning, Severity} from './warnings';
+
+/**
+ * The source of an inline module script of a bundled document, which is
+ * bundled along with the module bundles so that its imports of bundled
+ * modules can be rewritten to the module bundles which hold them.
+ */
+export interface InlineModule {
+  // The url of the document, which the specifiers of the script are relative
+  // to.
+  documentUrl: UrlString;
+  source: string;
+
+  // The existing source map of the source, if any, with urls as its sources.
+  sourcemap?: RawSourceMap;
+}
+
+/**
+ * The code of a module bundle or an inline module script produced by
+ * `bundleModules`.
+ */
+export interface BundledModuleCode {
+  code: string;
+
+  // The urls of the module bundles the code imports.
+  imports: UrlString[];
+
+  // Map of the urls of the modules in the code to the number of bytes of code
+  // they contributed.
+  sizes: Map<UrlString, number>;
+
+  // The source map of the code, when source maps are enabled.
+  sourcemap?: RawSourceMap;
+}
+
+export interface BundledModules {
+  // The code of each module bundle, by its url.
+  bundles: Map<UrlString, BundledModuleCode>;
+
+  // The code of each inline module script, in the order they were given.
+  inlineModules: BundledModuleCode[];
+
+  // Problems reported by rollup or encountered while loading the modules,
+  // located in the modules they were found in.
+  warnings: BundlerWarning[];
+}
+
+// Rollup is given a virtual entry module for each module bundle, which imports
+// the modules of the bundle, and one for each inline module script.  The
+// `\0` prefix keeps other plugins from handling them.
+const bundleEntryPrefix = '\0bundle:';
+const inlineEntryPrefix = '\0inline:';
+
+/**
+ * Bundles es modules with rollup into the module bundles given as a map of
+ * the url of each module bundle to the urls of its modules, which must end in
+ * `.js`.  Imports of modules in other module bundles are rewritten to those
+ * bundles, and relative imports of modules which are not in any bundle are
+ * rewritten to be relative to the importing bundle.  Bare module specifiers
+ * are left alone.  Loading a module bundle evaluates all of its modules.
+ *
+ * The inline module scripts are bundled as well, with their imports rewritten
+ * the same way, but are not put in any module bundle.  The `transformScript`
+ * hooks of the plugins are called on the modules, but not on the inline
+ * scripts, which are transformed with the other inline scripts of their
+ * documents.
+ */
+export async function bundleModules(
+    analyzer: Analyzer,
+    moduleBundles: Map<UrlString, UrlString[]>,
+    inlineModules: InlineModule[],
+    sourcemaps: boolean,
+    plugins: BundlerPlugin[]): Promise<BundledModules> {
+  const bundledModuleUrls = new Map<UrlString, UrlString>();
+  const input: {[entryAlias: string]: string} = {};
+  const virtualModules = new Map<string, SourceDescription>();
+  const inlineModuleIds = new Map<string, InlineModule>();
+  for (const moduleBundleEntry of moduleBundles) {
+    const moduleBundleUrl = moduleBundleEntry[0];
+    const id = bundleEntryPrefix + moduleBundleUrl;
+    input[getChunkName(moduleBundleUrl)] = id;
+    virtualModules.set(id, {
+      code: moduleBundleEntry[1]
+                .map((url) => `import ${JSON.stringify('/' + url)};\n`)
+                .join('')
+    });
+    for (const url of moduleBundleEntry[1]) {
+      bundledModuleUrls.set(url, moduleBundleUrl);
+    }
+  }
+  inlineModules.forEach((inlineModule, index) => {
+    const id = `${inlineEntryPrefix}${index}`;
+    input[`${inlineModule.documentUrl}-inline-${index}`] = id;
+    inlineModuleIds.set(id, inlineModule);
+    const sourcemap = inlineModule.sourcemap &&
+        toAbsoluteSourcemapSources(inlineModule.sourcemap);
+    virtualModules.set(id, {code: inlineModule.source, map: sourcemap});
+  });
+
+  const warnings: BundlerWarning[] = [];
+  const rollupPlugins: Plugin[] = [{
+    name: 'polymer-bundler',
+    resolveId(source: string, importer: string | undefined) {
+      // Entries and the modules imported by module bundle entries are given
+      // by id.
+      if (importer === undefined || importer.startsWith(bundleEntryPrefix)) {
+        return source;
+      }
+      const inlineModule = inlineModuleIds.get(importer);
+      const baseUrl =
+          inlineModule ? inlineModule.documentUrl : importer.slice(1);
+      const url = resolveModuleSpecifier(analyzer, baseUrl, source);
+      if (url === undefined) {
+        return false;
+      }
+      if (!bundledModuleUrls.has(url)) {
+        return {id: '/' + url, external: true};
+      }
+      return '/' + url;
+    },
+    async load(id: string) {
+      const virtualModule = virtualModules.get(id);
+      if (virtualModule) {
+        return virtualModule;
+      }
+      const url = id.slice(1);
+      const code = await analyzer.load(url);
+      if (!sourcemaps) {
+        return code;
+      }
+      let sourcemap: RawSourceMap|null = null;
+      try {
+        sourcemap = await getExistingSourcemap(analyzer, url, code);
+      } catch (e) {
+        warnings.push({
+          code: 'could-not-load-sourcemap',
+          message: `Unable to load existing source map: ${e.message}`,
+          severity: Severity.WARNING,
+          url
+        });
+      }
+      return {code, map: sourcemap && toAbsoluteSourcemapSources(sourcemap)};
+    }
+  }];
+  for (const plugin of plugins) {
+    if (plugin.transformScript) {
+      const transformScript = plugin.transformScript.bind(plugin);
+      rollupPlugins.push({
+        name: 'polymer-bundler-transform-script',
+        async transform(code: string, id: string) {
+          if (virtualModules.has(id)) {
+            return null;
+          }
+          const result =
+              toTransformResult(await transformScript(id.slice(1), code));
+          return {
+            code: result.content,
+            map: result.map ? toAbsoluteSourcemapSources(result.map) : null
+          };
+        }
+      });
+    }
+  }
+
+  const build = await rollup({
+    input,
+    manualChunks: (id: string) => {
+      const moduleBundleUrl = id.startsWith(bundleEntryPrefix) ?
+          id.slice(bundleEntryPrefix.length) :
+          bundledModuleUrls.get(id.slice(1));
+      return moduleBundleUrl && getChunkName(moduleBundleUrl);
+    },
+    onwarn: (warning) => {
+      warnings.push({
+        code: 'module-bundling-warning',
+        message: warning.message,
+        severity: Severity.WARNING,
+        url: warning.id && !warning.id.startsWith('\0') ? warning.id.slice(1) :
+                                                          ''
+      });
+    },
+    plugins: rollupPlugins,
+    preserveEntrySignatures: false,
+    treeshake: false
+  });
+  const output = await build.generate({
+    chunkFileNames: '[name].js',
+    entryFileNames: '[name].js',
+    format: 'es',
+    // The exports of the module bundles keep the names they have in the
+    // modules.
+    minifyInternalExports: false,
+    sourcemap: sourcemaps,
+    // Module ids are absolute paths of the urls of the modules, so the
+    // sources of the source maps, which are relative to the module bundles,
+    // are resolved back to urls.
+    sourcemapPathTransform: (relativeSourcePath, sourcemapPath) =>
+        path.posix
+            .resolve(path.posix.dirname(sourcemapPath), relativeSourcePath)
+            .slice(1)
+  });
+
+  const bundles = new Map<UrlString, BundledModuleCode>();
+  const bundledInlineModules: BundledModuleCode[] = [];
+  for (const chunk of output.output) {
+    if (chunk.type !== 'chunk') {
+      continue;
+    }
+    const bundledCode = toBundledModuleCode(chunk, moduleBundles);
+    const inlineModule =
+        chunk.facadeModuleId && inlineModuleIds.get(chunk.facadeModuleId);
+    if (inlineModule) {
+      bundledInlineModules[inlineModules.indexOf(inlineModule)] = bundledCode;
+      continue;
+    }
+    if (!moduleBundles.has(chunk.fileName)) {
+      throw new Error(
+          `Rollup produced the unexpected module bundle ${chunk.fileName}`);
+    }
+    bundles.set(chunk.fileName, bundledCode);
+  }
+  return {bundles, inlineModules: bundledInlineModules, warnings};
+}
+
+/**
+ * The name of the rollup chunk of a module bundle, from which rollup names the
+ * chunk's file by adding `.js`.
+ */
+function getChunkName(moduleBundleUrl: UrlString): string {
+  return moduleBundleUrl.replace(/\.js$/, '');
+}
+
+/**
+ * Returns a copy of a source map with its sources as absolute paths, like the
+ * ids of the modules given to rollup.
+ */
+function toAbsoluteSourcemapSources(sourcemap: RawSourceMap): RawSourceMap {
+  return Object.assign(
+      {}, sourcemap, {sources: sourcemap.sources.map((url) => '/' + url)});
+}
+
+function toBundledModuleCode(
+    chunk: OutputChunk,
+    moduleBundles: Map<UrlString, UrlString[]>): BundledModuleCode {
+  const sizes = new Map<UrlString, number>();
+  for (const id of Object.keys(chunk.modules)) {
+    if (!id.startsWith('\0')) {
+      sizes.set(id.slice(1), chunk.modules[id].renderedLength);
+    }
+  }
+  return {
+    code: chunk.code,
+    imports: chunk.imports.filter((url) => moduleBundles.has(url)),
+    sizes,
+    sourcemap: chunk.map && <RawSourceMap>chunk.map
+  };
+}
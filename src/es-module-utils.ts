@@ -0,0 +1,225 @@
+/**
+ * @license
+ * Copyright (c) 2017 The Polymer Project Authors. All rights reserved.
+ * This code may only be used under the BSD style license found at
+ * http://polymer.github.io/LICENSE.txt
+ * The complete set of authors may be found at
+ * http://polymer.github.io/AUTHORS.txt
+ * The complete set of contributors may be found at
+ * http://polymer.github.io/CONTRIBUTORS.txt
+ * Code distributed by Google as part of the polymer project is also
+ * subject to an additional IP rights grant found at
+ * http://polymer.github.io/PATENTS.txt
+ */
+import * as dom5 from 'dom5';
+import * as espree from 'espree';
+import {ASTNode} from 'parse5';
+import {Analyzer} from 'polymer-analyzer';
+import * as urlLib from 'url';
+
+import * as matchers from './matchers';
+import * as urlUtils from './url-utils';
+import {UrlString} from './url-utils';
+
+/**
+ * The module specifier of an `import` or `export ... from` declaration.  The
+ * `start` and `end` offsets are those of the string literal, including its
+ * quotes, in the source of the module.
+ */
+export interface ModuleSpecifier {
+  value: string;
+  start: number;
+  end: number;
+}
+
+const moduleDeclarationTypes = new Set(
+    ['ImportDeclaration', 'ExportAllDeclaration', 'ExportNamedDeclaration']);
+
+/**
+ * Returns the specifiers of the static `import` and `export ... from`
+ * declarations of an es module.  Throws an error when the source of the module
+ * can not be parsed.
+ */
+export function getModuleSpecifiers(source: string): ModuleSpecifier[] {
+  const program =
+      espree.parse(source, {ecmaVersion: 2017, sourceType: 'module'});
+  const specifiers: ModuleSpecifier[] = [];
+  for (const node of program.body) {
+    if (moduleDeclarationTypes.has(node.type) && node.source &&
+        typeof node.source.value === 'string') {
+      specifiers.push({
+        value: node.source.value,
+        start: node.source.start,
+        end: node.source.end
+      });
+    }
+  }
+  return specifiers;
+}
+
+/**
+ * Returns the resolved urls of the es modules which the module at the given
+ * url, with the given source, imports directly.  Throws an error when the
+ * source can not be parsed.
+ */
+export function getModuleImports(
+    analyzer: Analyzer, url: UrlString, source: string): UrlString[] {
+  const imports: UrlString[] = [];
+  for (const specifier of getModuleSpecifiers(source)) {
+    const importUrl = resolveModuleSpecifier(analyzer, url, specifier.value);
+    if (importUrl && imports.indexOf(importUrl) === -1) {
+      imports.push(importUrl);
+    }
+  }
+  return imports;
+}
+
+/**
+ * Returns the url of the module bundle of a bundle, which holds the es modules
+ * among the bundle's files.  It is the bundle's url with its extension
+ * replaced by `.js`, e.g. `shared_bundle_1.js` for `shared_bundle_1.html`.
+ */
+export function getModuleBundleUrl(bundleUrl: UrlString): UrlString {
+  return bundleUrl.replace(/(\.[^./]*)?$/, '.js');
+}
+
+/**
+ * Returns the resolved urls of the es modules which the `<script
+ * type="module">` elements of an html document load directly, which are the
+ * `src` urls of external module scripts and the modules imported by inline
+ * module scripts.  The imports of inline module scripts which can not be
+ * parsed are not followed.
+ */
+export function getModuleScriptUrls(
+    analyzer: Analyzer, documentUrl: UrlString, ast: ASTNode): UrlString[] {
+  const urls: UrlString[] = [];
+  for (const script of dom5.queryAll(ast, matchers.moduleScript)) {
+    let moduleUrls: (UrlString|undefined)[];
+    if (dom5.hasAttribute(script, 'src')) {
+      moduleUrls = [resolveModuleUrl(
+          analyzer, documentUrl, dom5.getAttribute(script, 'src')!)];
+    } else {
+      try {
+        moduleUrls = getModuleImports(
+            analyzer, documentUrl, dom5.getTextContent(script));
+      } catch (e) {
+        continue;
+      }
+    }
+    for (const url of moduleUrls) {
+      if (url && urls.indexOf(url) === -1) {
+        urls.push(url);
+      }
+    }
+  }
+  return urls;
+}
+
+/**
+ * Whether a file of a bundle is an es module.  Bundles hold html imports and
+ * the es modules they load, and the analyzer only parses files with the
+ * `.html` extension as html.
+ */
+export function isModuleFile(url: UrlString): boolean {
+  return !/\.html$/.test(urlLib.parse(url).pathname || '');
+}
+
+/**
+ * Returns the resolved url of the module a specifier of an `import` or
+ * `export ... from` declaration refers to, or undefined when the specifier is
+ * a bare module name or can not be resolved.
+ */
+export function resolveModuleSpecifier(
+    analyzer: Analyzer, baseUrl: UrlString, specifier: string): UrlString|
+    undefined {
+  if (!isPathSpecifier(specifier)) {
+    return;
+  }
+  return resolveModuleUrl(analyzer, baseUrl, specifier);
+}
+
+/**
+ * Returns the resolved url of a module, or undefined when it can not be
+ * resolved.
+ */
+export function resolveModuleUrl(
+    analyzer: Analyzer, baseUrl: UrlString, url: UrlString): UrlString|
+    undefined {
+  const absoluteUrl = urlLib.resolve(baseUrl, url);
+  if (!analyzer.canResolveUrl(absoluteUrl)) {
+    return;
+  }
+  return analyzer.resolveUrl(absoluteUrl);
+}
+
+/**
+ * Rewrites the specifiers of the `import` and `export ... from` declarations
+ * of an es module with the given function, which returns the new specifier, or
+ * undefined to leave the specifier alone.  Sources which can not be parsed are
+ * returned unchanged.
+ */
+export function rewriteModuleSpecifiers(
+    source: string,
+    rewrite: (specifier: string) => string | undefined): string {
+  let specifiers: ModuleSpecifier[];
+  try {
+    specifiers = getModuleSpecifiers(source);
+  } catch (e) {
+    return source;
+  }
+  let rewritten = '';
+  let offset = 0;
+  for (const specifier of specifiers) {
+    const value = rewrite(specifier.value);
+    if (value === undefined) {
+      continue;
+    }
+    const quote = source[specifier.start];
+    rewritten += source.slice(offset, specifier.start) + quote + value + quote;
+    offset = specifier.end;
+  }
+  return rewritten + source.slice(offset);
+}
+
+/**
+ * Rewrites the relative specifiers of the `import` and `export ... from`
+ * declarations of an es module so they are based on the relationship of the
+ * old base url to the new base url, as needed when the source of the module
+ * is moved into a document at another url.
+ */
+export function rewriteModuleSpecifiersBaseUrl(
+    source: string, oldBaseUrl: UrlString, newBaseUrl: UrlString): string {
+  return rewriteModuleSpecifiers(source, (specifier) => {
+    if (!isRelativeSpecifier(specifier)) {
+      return;
+    }
+    return toRelativeSpecifier(
+        urlUtils.rewriteHrefBaseUrl(specifier, oldBaseUrl, newBaseUrl));
+  });
+}
+
+/**
+ * Returns a relative url as a relative specifier.  A specifier which does not
+ * start with `./` or `../` would be taken as a bare module name instead.
+ */
+export function toRelativeSpecifier(url: string): string {
+  if (urlUtils.isAbsolutePath(url) || isRelativeSpecifier(url)) {
+    return url;
+  }
+  return './' + url;
+}
+
+/**
+ * Only specifiers which are urls or paths can be loaded by browsers; bare
+ * module names like `lodash` are left alone.
+ */
+function isPathSpecifier(specifier: string): boolean {
+  return isRelativeSpecifier(specifier) || urlUtils.isAbsolutePath(specifier);
+}
+
+/**
+ * Relative specifiers must start with `./` or `../`.
+ */
+function isRelativeSpecifier(specifier: string): boolean {
+  return /^\.\.?\//.test(specifier);
+}
@@ -17,24 +17,46 @@ import {ASTNode} from 'parse5';
 import {Analyzer, Document, ParsedHtmlDocument} from 'polymer-analyzer';
 import * as urlLib from 'url';
 
+import {AssetLoader, getAssetMimeType} from './asset-utils';
 import * as astUtils from './ast-utils';
 import {AssignedBundle, BundleManifest} from './bundle-manifest';
 import constants from './constants';
+import {rewriteModuleSpecifiersBaseUrl} from './es-module-utils';
 import * as matchers from './matchers';
-import {addOrUpdateSourcemapComment} from './source-map';
+import {BundlerPlugin, TransformOutput, TransformResult} from './plugin';
+import {addOrUpdateCssSourcemapComment, addOrUpdateSourcemapComment, transformWithSourcemap} from './source-map';
 import encodeString from './third_party/UglifyJS2/encode-string';
 import * as urlUtils from './url-utils';
-import {UrlString} from './url-utils';
+import {UrlMatcher, UrlString} from './url-utils';
+import {BundlerWarning, Severity, SourceRange} from './warnings';
 
 
 // TODO(usergenic): Revisit the organization of this module and *consider*
 // building a class to encapsulate the common document details like docUrl and
 // docBundle and global notions like manifest etc.
 
+/**
+ * The contents of html imports are parsed with location info relative to the
+ * imported document, so the document is recorded for each element referencing
+ * another resource, to be able to report the element's source range in
+ * warnings.
+ */
+const sourceDocumentsForInlinedNodes =
+    new WeakMap<ASTNode, ParsedHtmlDocument>();
+
+/**
+ * The bundle's basis document is modified and analyzed again before inlining
+ * takes place, so the source ranges of its elements referencing other
+ * resources are recorded from the original document by
+ * `recordBasisSourceRanges`.
+ */
+const sourceRangesForBasisNodes = new WeakMap<ASTNode, SourceRange>();
+
 /**
  * Inline the contents of the html document returned by the link tag's href
  * at the location of the link tag and then remove the link tag.  If the link
- * is a `lazy-import` link, content will not be inlined.
+ * is a `lazy-import` link, or `linkOnly` is true, content will not be inlined.
+ * Links to files of other bundles are rewritten to point at those bundles.
  */
 export async function inlineHtmlImport(
     analyzer: Analyzer,
@@ -46,11 +68,14 @@ export async function inlineHtmlImport(
     enableSourcemaps: boolean,
     skipUnresolvedImports: boolean,
     rewriteUrlsInTemplates?: boolean,
-    excludes?: string[]) {
+    isExcluded?: UrlMatcher,
+    plugins?: BundlerPlugin[],
+    linkOnly?: boolean) {
   const isLazy = dom5.getAttribute(linkTag, 'rel')!.match(/lazy-import/i);
   const rawImportUrl = dom5.getAttribute(linkTag, 'href')!;
   const importUrl = urlLib.resolve(document.url, rawImportUrl);
   if (!analyzer.canResolveUrl(importUrl)) {
+    addUnresolvableUrlWarning(docBundle, linkTag, importUrl);
     return;
   }
   const resolvedImportUrl = analyzer.resolveUrl(importUrl);
@@ -80,12 +105,14 @@ export async function inlineHtmlImport(
       return;
     }
 
-    if (!excludes ||
-        !excludes.some(
-            (u) => u === resolvedImportUrl ||
-                resolvedImportUrl.startsWith(
-                    urlUtils.ensureTrailingSlash(u)))) {
+    if (!isExcluded || !isExcluded(resolvedImportUrl)) {
       docBundle.bundle.missingImports.add(resolvedImportUrl);
+      addWarning(
+          docBundle,
+          linkTag,
+          'missing-import',
+          Severity.ERROR,
+          `Unable to load import ${resolvedImportUrl}`);
     }
     return;
   }
@@ -128,8 +155,9 @@ export async function inlineHtmlImport(
   }
 
   // We don't actually inline a `lazy-import` because its loading is intended
-  // to be deferred until the client requests it.
-  if (isLazy) {
+  // to be deferred until the client requests it.  When only linking, imports
+  // of files in this bundle are left pointing at the files themselves.
+  if (isLazy || linkOnly) {
     return;
   }
 
@@ -147,6 +175,14 @@ export async function inlineHtmlImport(
   // not get html, head or body wrappers.
   const importAst = parse5.parseFragment(
       htmlImport.document.parsedDocument.contents, {locationInfo: true});
+  for (const node of dom5.queryAll(
+           importAst,
+           matchers.elementsReferencingResources,
+           undefined,
+           dom5.childNodesIncludeTemplate)) {
+    sourceDocumentsForInlinedNodes.set(
+        node, htmlImport.document.parsedDocument as ParsedHtmlDocument);
+  }
   rewriteAstToEmulateBaseTag(
       importAst, resolvedImportUrl, rewriteUrlsInTemplates);
   rewriteAstBaseUrl(
@@ -162,9 +198,22 @@ export async function inlineHtmlImport(
       astNode: null
     });
     await addOrUpdateSourcemapsForInlineScripts(
-        analyzer, document, reparsedDoc, resolvedImportUrl);
+        analyzer,
+        document,
+        reparsedDoc,
+        resolvedImportUrl,
+        docBundle.bundle.warnings);
+  }
+  await transformInlineScriptsAndStyles(
+      resolvedImportUrl, importAst, plugins || []);
+  for (const plugin of plugins || []) {
+    if (plugin.transformHtmlFragment) {
+      await plugin.transformHtmlFragment(resolvedImportUrl, importAst);
+    }
   }
   const nestedImports = dom5.queryAll(importAst, matchers.htmlImport);
+  addInlinedSize(docBundle, resolvedImportUrl, parse5.serialize(importAst));
+  addInlinedFrom(docBundle, linkTag, resolvedImportUrl);
 
   // Move all of the import doc content after the html import.
   astUtils.insertAllBefore(linkTag.parentNode!, linkTag, importAst.childNodes!);
@@ -185,7 +234,8 @@ export async function inlineHtmlImport(
         enableSourcemaps,
         skipUnresolvedImports,
         rewriteUrlsInTemplates,
-        excludes);
+        isExcluded,
+        plugins);
   }
 }
 
@@ -199,17 +249,16 @@ export async function inlineScript(
     scriptTag: ASTNode,
     docBundle: AssignedBundle,
     enableSourcemaps: boolean,
-    excludes?: string[]) {
+    isExcluded?: UrlMatcher,
+    plugins?: BundlerPlugin[]) {
   const rawImportUrl = dom5.getAttribute(scriptTag, 'src')!;
   const importUrl = urlLib.resolve(document.url, rawImportUrl);
   if (!analyzer.canResolveUrl(importUrl)) {
+    addUnresolvableUrlWarning(docBundle, scriptTag, importUrl);
     return;
   }
   const resolvedImportUrl = analyzer.resolveUrl(importUrl);
-  if (excludes &&
-      excludes.some(
-          (e) => resolvedImportUrl === e ||
-              resolvedImportUrl.startsWith(urlUtils.ensureTrailingSlash(e)))) {
+  if (isExcluded && isExcluded(resolvedImportUrl)) {
     return;
   }
   const scriptImport = findInSet(
@@ -218,6 +267,12 @@ export async function inlineScript(
       (i) => i.document && i.document.url === resolvedImportUrl);
   if (!scriptImport) {
     docBundle.bundle.missingImports.add(resolvedImportUrl);
+    addWarning(
+        docBundle,
+        scriptTag,
+        'missing-script',
+        Severity.ERROR,
+        `Unable to load script ${resolvedImportUrl}`);
     return;
   }
 
@@ -228,7 +283,25 @@ export async function inlineScript(
     // it's easier to calculate offsets if the external script contents don't
     // start on the same line as the script tag. Offset the map appropriately.
     scriptContent = await addOrUpdateSourcemapComment(
-        analyzer, resolvedImportUrl, '\n' + scriptContent, -1, 0, 1, 0);
+        analyzer,
+        resolvedImportUrl,
+        '\n' + scriptContent,
+        -1,
+        0,
+        1,
+        0,
+        docBundle.bundle.warnings);
+  }
+  for (const plugin of plugins || []) {
+    if (plugin.transformScript) {
+      const transformScript = plugin.transformScript.bind(plugin);
+      scriptContent = await transformWithSourcemap(
+          resolvedImportUrl,
+          scriptContent,
+          false,
+          async (content) => toTransformResult(
+              await transformScript(resolvedImportUrl, content)));
+    }
   }
 
   dom5.removeAttribute(scriptTag, 'src');
@@ -236,6 +309,8 @@ export async function inlineScript(
 
   // Record that the inlining took place.
   docBundle.bundle.inlinedScripts.add(resolvedImportUrl);
+  addInlinedSize(docBundle, resolvedImportUrl, scriptContent);
+  addInlinedFrom(docBundle, scriptTag, resolvedImportUrl);
 
   return scriptContent;
 }
@@ -249,18 +324,18 @@ export async function inlineStylesheet(
     document: Document,
     cssLink: ASTNode,
     docBundle: AssignedBundle,
-    excludes?: string[],
-    rewriteUrlsInTemplates?: boolean) {
+    isExcluded?: UrlMatcher,
+    rewriteUrlsInTemplates?: boolean,
+    enableSourcemaps?: boolean,
+    plugins?: BundlerPlugin[]) {
   const stylesheetUrl = dom5.getAttribute(cssLink, 'href')!;
   const importUrl = urlLib.resolve(document.url, stylesheetUrl);
   if (!analyzer.canResolveUrl(importUrl)) {
+    addUnresolvableUrlWarning(docBundle, cssLink, importUrl);
     return;
   }
   const resolvedImportUrl = analyzer.resolveUrl(importUrl);
-  if (excludes &&
-      excludes.some(
-          (e) => resolvedImportUrl === e ||
-              resolvedImportUrl.startsWith(urlUtils.ensureTrailingSlash(e)))) {
+  if (isExcluded && isExcluded(resolvedImportUrl)) {
     return;
   }
   const stylesheetImport =  // HACK(usergenic): clang-format workaround
@@ -274,6 +349,12 @@ export async function inlineStylesheet(
           (i) => i.document && i.document.url === resolvedImportUrl);
   if (!stylesheetImport) {
     docBundle.bundle.missingImports.add(resolvedImportUrl);
+    addWarning(
+        docBundle,
+        cssLink,
+        'missing-stylesheet',
+        Severity.ERROR,
+        `Unable to load stylesheet ${resolvedImportUrl}`);
     return;
   }
   const stylesheetContent = stylesheetImport.document.parsedDocument.contents;
@@ -294,8 +375,27 @@ export async function inlineStylesheet(
       newBaseUrl = urlLib.resolve(newBaseUrl, assetPath);
     }
   }
-  const resolvedStylesheetContent =
+  let resolvedStylesheetContent =
       rewriteCssTextBaseUrl(stylesheetContent, resolvedImportUrl, newBaseUrl);
+  if (enableSourcemaps) {
+    resolvedStylesheetContent = await addOrUpdateCssSourcemapComment(
+        analyzer,
+        resolvedImportUrl,
+        stylesheetContent,
+        resolvedStylesheetContent,
+        docBundle.bundle.warnings);
+  }
+  for (const plugin of plugins || []) {
+    if (plugin.transformStyle) {
+      const transformStyle = plugin.transformStyle.bind(plugin);
+      resolvedStylesheetContent = await transformWithSourcemap(
+          resolvedImportUrl,
+          resolvedStylesheetContent,
+          true,
+          async (content) => toTransformResult(
+              await transformStyle(resolvedImportUrl, content)));
+    }
+  }
   const styleNode = dom5.constructors.element('style');
   if (media) {
     dom5.setAttribute(styleNode, 'media', media);
@@ -306,9 +406,114 @@ export async function inlineStylesheet(
 
   // Record that the inlining took place.
   docBundle.bundle.inlinedStyles.add(resolvedImportUrl);
+  addInlinedSize(docBundle, resolvedImportUrl, resolvedStylesheetContent);
+  addInlinedFrom(docBundle, cssLink, resolvedImportUrl);
   return styleNode;
 }
 
+/**
+ * Records the urls of the files referenced by the bundled document which are
+ * left in place, such as images, fonts and excluded scripts, styles and html
+ * imports, in the bundle's `assets`.  Urls of other bundles and of external
+ * resources are not recorded.  Urls are resolved like those of
+ * `inlineAssets`.
+ */
+export function collectAssets(
+    analyzer: Analyzer,
+    documentUrl: UrlString,
+    ast: ASTNode,
+    docBundle: AssignedBundle,
+    manifest: BundleManifest,
+    rewriteUrlsInTemplates?: boolean) {
+  const p = dom5.predicates;
+  const assetNodes = p.OR(
+      matchers.styleMatcher,
+      p.hasAttr('style'),
+      p.hasAttr('src'),
+      p.AND(p.hasTagName('link'), p.hasAttr('href')));
+  const baseUrls = rewriteUrlsInTemplates ?
+      new Map<ASTNode, UrlString>() :
+      getDomModuleBaseUrls(ast, documentUrl, assetNodes);
+  for (const node of dom5.queryAll(
+           ast, assetNodes, undefined, dom5.childNodesIncludeTemplate)) {
+    const hrefs: string[] = [];
+    if (matchers.styleMatcher(node)) {
+      hrefs.push(...findCssUrls(dom5.getTextContent(node)));
+    }
+    hrefs.push(...findCssUrls(dom5.getAttribute(node, 'style') || ''));
+    hrefs.push(dom5.getAttribute(node, 'src') || '');
+    if (p.hasTagName('link')(node)) {
+      hrefs.push(dom5.getAttribute(node, 'href') || '');
+    }
+    const baseUrl = baseUrls.get(node) || documentUrl;
+    for (const href of hrefs) {
+      if (!href || href.startsWith('data:') || href.startsWith('#') ||
+          urlUtils.isTemplatedUrl(href)) {
+        continue;
+      }
+      const url = urlLib.resolve(baseUrl, href).replace(/[?#].*$/, '');
+      if (!analyzer.canResolveUrl(url)) {
+        continue;
+      }
+      const resolvedUrl = analyzer.resolveUrl(url);
+      if (urlLib.parse(resolvedUrl).protocol ||
+          manifest.bundles.has(resolvedUrl)) {
+        continue;
+      }
+      docBundle.bundle.assets.add(resolvedUrl);
+    }
+  }
+}
+
+/**
+ * Replaces the urls of images and fonts in `<style>` tags, `style` attributes
+ * and `<img src>` attributes with `data:` urls of their contents, when their
+ * contents are smaller than `maxBytes`, and records the urls in the bundle's
+ * `inlinedAssets`.  Unless urls in templates were
+ * rewritten, the urls inside of a `<dom-module>` with an `assetpath` are
+ * relative to the assetpath, like those of inlined stylesheets.
+ */
+export async function inlineAssets(
+    analyzer: Analyzer,
+    documentUrl: UrlString,
+    ast: ASTNode,
+    docBundle: AssignedBundle,
+    maxBytes: number,
+    loadAsset: AssetLoader,
+    rewriteUrlsInTemplates?: boolean) {
+  const p = dom5.predicates;
+  const assetNodes = p.OR(
+      matchers.styleMatcher,
+      p.hasAttr('style'),
+      p.AND(p.hasTagName('img'), p.hasAttr('src')));
+  const baseUrls = rewriteUrlsInTemplates ?
+      new Map<ASTNode, UrlString>() :
+      getDomModuleBaseUrls(ast, documentUrl, assetNodes);
+  const toDataUrl = (href: string, baseUrl: UrlString) => loadAssetAsDataUrl(
+      analyzer, href, baseUrl, docBundle, maxBytes, loadAsset);
+  for (const node of dom5.queryAll(
+           ast, assetNodes, undefined, dom5.childNodesIncludeTemplate)) {
+    const baseUrl = baseUrls.get(node) || documentUrl;
+    if (matchers.styleMatcher(node)) {
+      dom5.setTextContent(
+          node,
+          await inlineCssAssets(dom5.getTextContent(node), baseUrl, toDataUrl));
+    }
+    const style = dom5.getAttribute(node, 'style');
+    if (style) {
+      dom5.setAttribute(
+          node, 'style', await inlineCssAssets(style, baseUrl, toDataUrl));
+    }
+    if (dom5.predicates.hasTagName('img')(node)) {
+      const dataUrl =
+          await toDataUrl(dom5.getAttribute(node, 'src') || '', baseUrl);
+      if (dataUrl) {
+        dom5.setAttribute(node, 'src', dataUrl);
+      }
+    }
+  }
+}
+
 /**
  * Given an import document with a base tag, transform all of its URLs and set
  * link and form target attributes and remove the base tag.
@@ -354,6 +559,7 @@ export function rewriteAstBaseUrl(
   rewriteElementAttrsBaseUrl(
       ast, oldBaseUrl, newBaseUrl, rewriteUrlsInTemplates);
   rewriteStyleTagsBaseUrl(ast, oldBaseUrl, newBaseUrl, rewriteUrlsInTemplates);
+  rewriteModuleScriptsBaseUrl(ast, oldBaseUrl, newBaseUrl);
   setDomModuleAssetpaths(ast, oldBaseUrl, newBaseUrl);
 }
 
@@ -369,7 +575,8 @@ export async function addOrUpdateSourcemapsForInlineScripts(
     analyzer: Analyzer,
     originalDoc: Document,
     reparsedDoc: ParsedHtmlDocument,
-    oldBaseUrl: UrlString) {
+    oldBaseUrl: UrlString,
+    warnings?: BundlerWarning[]) {
   const inlineScripts =
       dom5.queryAll(reparsedDoc.ast, matchers.inlineJavascript);
   const promises = inlineScripts.map(scriptAst => {
@@ -382,7 +589,8 @@ export async function addOrUpdateSourcemapsForInlineScripts(
                sourceRange.end.line,
                sourceRange.end.column,
                -sourceRange.end.line + 1,
-               -sourceRange.end.column)
+               -sourceRange.end.column,
+               warnings)
         .then(updatedContent => {
           dom5.setTextContent(scriptAst, encodeString(updatedContent));
         });
@@ -391,6 +599,133 @@ export async function addOrUpdateSourcemapsForInlineScripts(
   return Promise.all(promises);
 }
 
+/**
+ * Runs the `transformScript` and `transformStyle` hooks of the plugins on the
+ * inline scripts and styles of the file at `url`, which are in the ast.
+ * Inline source maps of the content are kept as for external scripts and
+ * stylesheets.
+ */
+export async function transformInlineScriptsAndStyles(
+    url: UrlString, ast: ASTNode, plugins: BundlerPlugin[]) {
+  for (const plugin of plugins) {
+    if (plugin.transformScript) {
+      const transformScript = plugin.transformScript.bind(plugin);
+      for (const script of dom5.queryAll(ast, matchers.inlineJavascript)) {
+        const scriptContent = await transformWithSourcemap(
+            url,
+            dom5.getTextContent(script),
+            false,
+            async (content) =>
+                toTransformResult(await transformScript(url, content)));
+        dom5.setTextContent(script, encodeString(scriptContent, true));
+      }
+    }
+    if (plugin.transformStyle) {
+      const transformStyle = plugin.transformStyle.bind(plugin);
+      for (const style of dom5.queryAll(
+               ast,
+               matchers.styleMatcher,
+               undefined,
+               dom5.childNodesIncludeTemplate)) {
+        const styleContent = await transformWithSourcemap(
+            url,
+            dom5.getTextContent(style),
+            true,
+            async (content) =>
+                toTransformResult(await transformStyle(url, content)));
+        dom5.setTextContent(style, styleContent);
+      }
+    }
+  }
+}
+
+/**
+ * Records the source ranges of the elements of a bundle's basis document which
+ * reference other resources, for warnings about them.  The ranges are those of
+ * the same elements in the original document as parsed by the analyzer,
+ * matched by url in the order they appear, since the analyzer keeps no
+ * imports of files which could not be loaded.
+ */
+export function recordBasisSourceRanges(
+    ast: ASTNode, originalDocument: Document) {
+  const parsedDocument = originalDocument.parsedDocument as ParsedHtmlDocument;
+  const sourceRanges = new Map<UrlString, SourceRange[]>();
+  for (const node of dom5.queryAll(
+           parsedDocument.ast, matchers.elementsReferencingResources)) {
+    const sourceRange = parsedDocument.sourceRangeForStartTag(node);
+    if (sourceRange) {
+      const url = urlLib.resolve(parsedDocument.baseUrl, getResourceHref(node));
+      const urlSourceRanges = sourceRanges.get(url) || [];
+      urlSourceRanges.push(sourceRange);
+      sourceRanges.set(url, urlSourceRanges);
+    }
+  }
+  for (const node of dom5.queryAll(
+           ast, matchers.elementsReferencingResources)) {
+    const urlSourceRanges = sourceRanges.get(
+        urlLib.resolve(originalDocument.url, getResourceHref(node)));
+    if (urlSourceRanges && urlSourceRanges.length > 0) {
+      sourceRangesForBasisNodes.set(node, urlSourceRanges.shift()!);
+    }
+  }
+}
+
+/**
+ * Adds the byte size of content inlined from the url to the bundle's
+ * `inlinedSizes`.  Content inlined more than once is counted each time.
+ */
+function addInlinedSize(
+    docBundle: AssignedBundle, url: UrlString, content: string) {
+  const sizes = docBundle.bundle.inlinedSizes;
+  sizes.set(url, (sizes.get(url) || 0) + Buffer.byteLength(content));
+}
+
+/**
+ * Records a warning that the url referenced by the element could not be
+ * resolved, which is expected of urls the analyzer can not load, e.g. urls of
+ * external resources.
+ */
+function addUnresolvableUrlWarning(
+    docBundle: AssignedBundle, node: ASTNode, url: UrlString) {
+  addWarning(
+      docBundle,
+      node,
+      'unresolvable-url',
+      Severity.INFO,
+      `Unable to resolve ${url}, so it was not inlined`);
+}
+
+/**
+ * Records the html import the element referencing the inlined url was inlined
+ * from in the bundle's `inlinedFrom`, if it was not in the bundle's document.
+ */
+function addInlinedFrom(
+    docBundle: AssignedBundle, node: ASTNode, url: UrlString) {
+  const sourceDocument = sourceDocumentsForInlinedNodes.get(node);
+  if (sourceDocument) {
+    docBundle.bundle.inlinedFrom.set(url, sourceDocument.url);
+  }
+}
+
+/**
+ * Records a warning about the resource referenced by the element in the
+ * bundle's warnings, located at the element in the file it came from: an
+ * inlined html import, or else the bundle's own document.
+ */
+function addWarning(
+    docBundle: AssignedBundle,
+    node: ASTNode,
+    code: string,
+    severity: Severity,
+    message: string) {
+  const sourceDocument = sourceDocumentsForInlinedNodes.get(node);
+  const url = sourceDocument ? sourceDocument.url : docBundle.url;
+  const sourceRange: SourceRange|undefined = sourceDocument ?
+      sourceDocument.sourceRangeForStartTag(node) :
+      sourceRangesForBasisNodes.get(node);
+  docBundle.bundle.warnings.push({code, message, severity, url, sourceRange});
+}
+
 /**
  * Walk the ancestor nodes from parentNode up to document root, returning the
  * first one matching the predicate function.
@@ -410,6 +745,28 @@ function findAncestor(ast: ASTNode, predicate: dom5.Predicate): ASTNode|
 }
 
 
+/**
+ * Returns the url of the resource referenced by the element, from its `href`
+ * or `src`.
+ */
+function getResourceHref(node: ASTNode): string {
+  return dom5.getAttribute(node, 'href') || dom5.getAttribute(node, 'src') ||
+      '';
+}
+
+/**
+ * Returns the hrefs of the `url()`s in a string of CSS.
+ */
+function findCssUrls(cssText: string): string[] {
+  const hrefs: string[] = [];
+  const urlPattern = new RegExp(constants.URL.source, 'g');
+  let match: RegExpExecArray|null;
+  while (match = urlPattern.exec(cssText)) {
+    hrefs.push(getCssUrlHref(match[0]));
+  }
+  return hrefs;
+}
+
 /**
  * Simple utility function used to find an item in a set with a predicate
  * function.  Analagous to Array.find(), without requiring converting the set
@@ -425,19 +782,112 @@ function findInSet<T>(set: Set<T>, predicate: (item: T) => boolean): T|
   return;
 }
 
+/**
+ * Returns the href of a CSS `url()`, without its quotes.
+ */
+function getCssUrlHref(cssUrl: string): string {
+  return cssUrl.slice(4, -1).trim().replace(/^(["'])(.*)\1$/, '$2');
+}
+
+/**
+ * Returns the base urls of the nodes matching the predicate inside of
+ * `<dom-module>`s with an `assetpath`, which their urls are relative to.
+ */
+function getDomModuleBaseUrls(
+    ast: ASTNode, documentUrl: UrlString, predicate: dom5.Predicate):
+    Map<ASTNode, UrlString> {
+  const baseUrls = new Map<ASTNode, UrlString>();
+  for (const domModule of dom5.queryAll(
+           ast, dom5.predicates.hasTagName('dom-module'))) {
+    const assetPath = dom5.getAttribute(domModule, 'assetpath');
+    if (!assetPath) {
+      continue;
+    }
+    const baseUrl = urlLib.resolve(documentUrl, assetPath);
+    for (const node of dom5.queryAll(
+             domModule, predicate, undefined, dom5.childNodesIncludeTemplate)) {
+      baseUrls.set(node, baseUrl);
+    }
+  }
+  return baseUrls;
+}
+
+/**
+ * Replaces the urls in a string of CSS with the `data:` urls returned for them
+ * by `toDataUrl`, if any.
+ */
+async function inlineCssAssets(
+    cssText: string,
+    baseUrl: UrlString,
+    toDataUrl: (href: string, baseUrl: UrlString) => Promise<string|undefined>):
+    Promise<string> {
+      let inlined = '';
+      let offset = 0;
+      const urlPattern = new RegExp(constants.URL.source, 'g');
+      let match: RegExpExecArray|null;
+      while (match = urlPattern.exec(cssText)) {
+        const href = getCssUrlHref(match[0]);
+        const dataUrl = await toDataUrl(href, baseUrl);
+        if (dataUrl) {
+          inlined += cssText.slice(offset, match.index) + `url("${dataUrl}")`;
+          offset = match.index + match[0].length;
+        }
+      }
+      return inlined + cssText.slice(offset);
+    }
+
+/**
+ * Returns the contents of the image or font at the href as a base64 `data:`
+ * url, or undefined when the href is not of an image or font which can be
+ * loaded, or its contents are not smaller than `maxBytes`.  Hrefs with a hash,
+ * like those of svg sprites, are not inlined.  The urls of the images and
+ * fonts returned as `data:` urls are added to the bundle's `inlinedAssets`.
+ */
+async function loadAssetAsDataUrl(
+    analyzer: Analyzer,
+    href: string,
+    baseUrl: UrlString,
+    docBundle: AssignedBundle,
+    maxBytes: number,
+    loadAsset: AssetLoader):
+    Promise<string|undefined> {
+      if (!href || href.startsWith('data:') || href.indexOf('#') !== -1 ||
+          urlUtils.isTemplatedUrl(href)) {
+        return;
+      }
+      const url = urlLib.resolve(baseUrl, href);
+      const mimeType = getAssetMimeType(url);
+      if (!mimeType || !analyzer.canResolveUrl(url)) {
+        return;
+      }
+      const resolvedUrl = analyzer.resolveUrl(url);
+      let contents: Buffer;
+      try {
+        contents = await loadAsset(resolvedUrl);
+      } catch (err) {
+        return;
+      }
+      if (contents.length >= maxBytes) {
+        return;
+      }
+      docBundle.bundle.inlinedAssets.add(resolvedUrl);
+      return `data:${mimeType};base64,${contents.toString('base64')}`;
+    }
+
 /**
  * Given a string of CSS, return a version where all occurrences of urls,
  * have been rewritten based on the relationship of the old base url to the
  * new base url.
  */
 function rewriteCssTextBaseUrl(
-    cssText: string, oldBaseUrl: UrlString, newBaseUrl: UrlString): string {
-  return cssText.replace(constants.URL, (match) => {
-    let path = match.replace(/["']/g, '').slice(4, -1);
-    path = urlUtils.rewriteHrefBaseUrl(path, oldBaseUrl, newBaseUrl);
-    return 'url("' + path + '")';
-  });
-}
+    cssText: string, oldBaseUrl: UrlString, newBaseUrl: UrlString):
+    string {
+      return cssText.replace(constants.URL, (match) => {
+        let path = match.replace(/["']/g, '').slice(4, -1);
+        path = urlUtils.rewriteHrefBaseUrl(path, oldBaseUrl, newBaseUrl);
+        return 'url("' + path + '")';
+      });
+    }
 
 /**
  * Find all element attributes which express urls and rewrite them so they
@@ -471,6 +921,20 @@ function rewriteElementAttrsBaseUrl(
   }
 }
 
+/**
+ * Find all module specifiers in inline module scripts and rewrite them so they
+ * are based on the relationship of the old base url to the new base url.
+ */
+function rewriteModuleScriptsBaseUrl(
+    ast: ASTNode, oldBaseUrl: UrlString, newBaseUrl: UrlString) {
+  for (const node of dom5.queryAll(ast, matchers.inlineModuleScript)) {
+    dom5.setTextContent(
+        node,
+        rewriteModuleSpecifiersBaseUrl(
+            dom5.getTextContent(node), oldBaseUrl, newBaseUrl));
+  }
+}
+
 /**
  * Find all urls in imported style nodes and rewrite them so they are based
  * on the relationship of the old base url to the new base url.
@@ -530,3 +994,10 @@ function setDomModuleAssetpaths(
     }
   }
 }
+
+/**
+ * Normalizes the output of a plugin's transform hook.
+ */
+export function toTransformResult(output: TransformOutput): TransformResult {
+  return typeof output === 'string' ? {content: output} : output;
+}
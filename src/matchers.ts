@@ -26,7 +26,8 @@ export const jsMatcher: Matcher = predicates.AND(
     predicates.OR(
         predicates.NOT(predicates.hasAttr('type')),
         predicates.hasAttrValue('type', 'text/javascript'),
-        predicates.hasAttrValue('type', 'application/javascript')));
+        predicates.hasAttrValue('type', 'application/javascript'),
+        predicates.hasAttrValue('type', 'module')));
 
 export const externalStyle: Matcher = predicates.AND(
     predicates.hasTagName('link'),
@@ -60,6 +61,10 @@ export const externalJavascript: Matcher =
     predicates.AND(predicates.hasAttr('src'), jsMatcher);
 export const inlineJavascript: Matcher =
     predicates.AND(predicates.NOT(predicates.hasAttr('src')), jsMatcher);
+export const moduleScript: Matcher = predicates.AND(
+    predicates.hasTagName('script'), predicates.hasAttrValue('type', 'module'));
+export const inlineModuleScript: Matcher =
+    predicates.AND(predicates.NOT(predicates.hasAttr('src')), moduleScript);
 export const eagerHtmlImport: Matcher = predicates.AND(
     predicates.hasTagName('link'),
     predicates.hasAttrValue('rel', 'import'),
@@ -78,6 +83,13 @@ export const lazyHtmlImport: Matcher = predicates.AND(
         predicates.NOT(predicates.hasAttr('type'))));
 export const htmlImport: Matcher =
     predicates.OR(eagerHtmlImport, lazyHtmlImport);
+export const lazyImportHint: Matcher = predicates.AND(
+    predicates.hasTagName('link'),
+    predicates.OR(
+        predicates.hasAttrValue('rel', 'preload'),
+        predicates.hasAttrValue('rel', 'prefetch')),
+    predicates.hasAttrValue('as', 'document'),
+    predicates.hasAttr('href'));
 export const stylesheetImport: Matcher = predicates.AND(
     predicates.hasTagName('link'),
     predicates.hasAttrValue('rel', 'import'),
@@ -89,6 +101,9 @@ export const hiddenDiv: Matcher = predicates.AND(
     predicates.hasAttr('by-polymer-bundler'));
 export const inHiddenDiv: Matcher = predicates.parentMatches(hiddenDiv);
 
+export const elementsReferencingResources: Matcher = predicates.OR(
+    htmlImport, externalJavascript, externalStyle, stylesheetImport);
+
 export const elementsWithUrlAttrsToRewrite: Matcher = predicates.AND(
     predicates.OR(
         ...constants.URL_ATTR.map((attr) => predicates.hasAttr(attr))),
@@ -0,0 +1,56 @@
+/**
+ * @license
+ * Copyright (c) 2017 The Polymer Project Authors. All rights reserved.
+ * This code may only be used under the BSD style license found at
+ * http://polymer.github.io/LICENSE.txt
+ * The complete set of authors may be found at
+ * http://polymer.github.io/AUTHORS.txt
+ * The complete set of contributors may be found at
+ * http://polymer.github.io/CONTRIBUTORS.txt
+ * Code distributed by Google as part of the polymer project is also
+ * subject to an additional IP rights grant found at
+ * http://polymer.github.io/PATENTS.txt
+ */
+import {ASTNode} from 'parse5';
+import {RawSourceMap} from 'source-map';
+
+import {UrlString} from './url-utils';
+
+/**
+ * The transformed content of a script or stylesheet.  When a transform
+ * changes the positions of the code, it can give a source map of the
+ * transformed content to the content it was given, with the url of the
+ * script or stylesheet as its only source, so the bundled source maps still
+ * lead back to the original files.
+ */
+export interface TransformResult {
+  content: string;
+  map?: RawSourceMap;
+}
+
+export type TransformOutput = string | TransformResult;
+
+/**
+ * Hooks which are called while bundling, before content is written into the
+ * bundled documents.  Each hook is optional and may return a promise.  When
+ * several plugins are given, their hooks are called in order, each with the
+ * output of the previous one.
+ */
+export interface BundlerPlugin {
+  // Transforms the content of an external script before it is inlined, and
+  // that of the inline scripts of the bundled files.  The content is given
+  // without its inline source map comment, if any.
+  transformScript?(url: UrlString, content: string): TransformOutput
+      |Promise<TransformOutput>;
+
+  // Transforms the content of an external stylesheet before it is inlined,
+  // after its urls are rewritten, and that of the inline styles of the
+  // bundled files.  The content is given without its inline source map
+  // comment, if any.
+  transformStyle?(url: UrlString, content: string): TransformOutput
+      |Promise<TransformOutput>;
+
+  // Modifies the parsed fragment of an html import before it is inlined,
+  // after its urls are rewritten.
+  transformHtmlFragment?(url: UrlString, ast: ASTNode): void|Promise<void>;
+}
@@ -0,0 +1,113 @@
+/**
+ * @license
+ * Copyright (c) 2017 The Polymer Project Authors. All rights reserved.
+ * This code may only be used under the BSD style license found at
+ * http://polymer.github.io/LICENSE.txt
+ * The complete set of authors may be found at
+ * http://polymer.github.io/AUTHORS.txt
+ * The complete set of contributors may be found at
+ * http://polymer.github.io/CONTRIBUTORS.txt
+ * Code distributed by Google as part of the polymer project is also
+ * subject to an additional IP rights grant found at
+ * http://polymer.github.io/PATENTS.txt
+ */
+import * as dom5 from 'dom5';
+import * as urlLib from 'url';
+
+import {BundleResult} from './bundler';
+import {getModuleSpecifiers} from './es-module-utils';
+import * as matchers from './matchers';
+import {UrlString} from './url-utils';
+
+/**
+ * A push manifest in the format read by `polymer serve` and prpl-server: a
+ * map of the url of each bundle to the resources to push along with it.
+ */
+export interface PushManifest {
+  [url: string]: {[resourceUrl: string]: PushManifestEntry};
+}
+
+export interface PushManifestEntry {
+  type: 'document'|'script'|'style';
+  weight: number;
+}
+
+/**
+ * Generates a push manifest for the bundles of the result.  The resources of
+ * a bundle are the bundles and module bundles it imports and the scripts,
+ * stylesheets and html imports it references which were neither inlined nor
+ * bundled, which are recorded in the bundle's `assets`, along with the
+ * resources of the bundles it imports.  The resources of a module bundle are
+ * the module bundles it imports, directly or not.  Missing imports and urls
+ * with a protocol are left out.
+ */
+export function generatePushManifest(result: BundleResult): PushManifest {
+  const resourceNodes = dom5.predicates.OR(
+      matchers.eagerHtmlImport,
+      matchers.externalJavascript,
+      matchers.externalStyle,
+      matchers.stylesheetImport);
+  const directResources =
+      new Map<UrlString, Map<UrlString, PushManifestEntry['type']>>();
+  for (const documentEntry of result.documents) {
+    const bundleUrl = documentEntry[0];
+    const bundle = result.manifest.bundles.get(bundleUrl);
+    const resources = new Map<UrlString, PushManifestEntry['type']>();
+    for (const node of dom5.queryAll(documentEntry[1].ast, resourceNodes)) {
+      const domModule = dom5.nodeWalkAncestors(
+          node, dom5.predicates.hasTagName('dom-module'));
+      const assetpath =
+          domModule && dom5.getAttribute(domModule, 'assetpath') || '';
+      const href =
+          dom5.getAttribute(node, 'href') || dom5.getAttribute(node, 'src')!;
+      const url = urlLib.resolve(urlLib.resolve(bundleUrl, assetpath), href);
+      const isBundle = (result.documents.has(url) || result.modules.has(url)) &&
+          url !== bundleUrl;
+      const isAsset =
+          bundle && bundle.assets.has(url) && !bundle.missingImports.has(url);
+      if (!isBundle && !isAsset) {
+        continue;
+      }
+      if (matchers.eagerHtmlImport(node)) {
+        resources.set(url, 'document');
+      } else if (matchers.externalJavascript(node)) {
+        resources.set(url, 'script');
+      } else {
+        resources.set(url, 'style');
+      }
+    }
+    directResources.set(bundleUrl, resources);
+  }
+  for (const moduleEntry of result.modules) {
+    const resources = new Map<UrlString, PushManifestEntry['type']>();
+    for (const specifier of getModuleSpecifiers(moduleEntry[1].code)) {
+      const url = urlLib.resolve(moduleEntry[0], specifier.value);
+      if (result.modules.has(url)) {
+        resources.set(url, 'script');
+      }
+    }
+    directResources.set(moduleEntry[0], resources);
+  }
+
+  const pushManifest: PushManifest = {};
+  for (const bundleUrl of directResources.keys()) {
+    const entries: {[resourceUrl: string]: PushManifestEntry} = {};
+    // Note: the following iteration takes place over an array which may be
+    // added to from within the loop.
+    const visited = [bundleUrl];
+    for (const url of visited) {
+      for (const resourceEntry of directResources.get(url)!) {
+        const resourceUrl = resourceEntry[0];
+        if (resourceUrl === bundleUrl || entries[resourceUrl]) {
+          continue;
+        }
+        entries[resourceUrl] = {type: resourceEntry[1], weight: 1};
+        if (directResources.has(resourceUrl)) {
+          visited.push(resourceUrl);
+        }
+      }
+    }
+    pushManifest[bundleUrl] = entries;
+  }
+  return pushManifest;
+}
@@ -0,0 +1,127 @@
+/**
+ * @license
+ * Copyright (c) 2017 The Polymer Project Authors. All rights reserved.
+ * This code may only be used under the BSD style license found at
+ * http://polymer.github.io/LICENSE.txt
+ * The complete set of authors may be found at
+ * http://polymer.github.io/AUTHORS.txt
+ * The complete set of contributors may be found at
+ * http://polymer.github.io/CONTRIBUTORS.txt
+ * Code distributed by Google as part of the polymer project is also
+ * subject to an additional IP rights grant found at
+ * http://polymer.github.io/PATENTS.txt
+ */
+import {serialize} from 'parse5';
+import * as zlib from 'zlib';
+
+import {BundleResult} from './bundler';
+import {UrlString} from './url-utils';
+
+/**
+ * The size of a bundled document or module bundle, with the number of bytes
+ * each file inlined or bundled into it contributed.
+ */
+export interface BundleReport {
+  url: UrlString;
+
+  // Size in bytes of the bundled document or module bundle.
+  size: number;
+
+  // Size in bytes of the bundled document or module bundle when compressed
+  // with gzip.
+  gzipSize: number;
+
+  // The inlined or bundled files, largest first.
+  files: FileReport[];
+}
+
+export interface FileReport {
+  url: UrlString;
+  type: 'html-import'|'module'|'script'|'style';
+
+  // Number of bytes of content inlined from the file, which may be more or
+  // less than the size of the file itself since urls in it are rewritten.
+  size: number;
+}
+
+/**
+ * Formats a number of bytes for display, e.g. `512 B` or `12.3 kB`, where a
+ * kilobyte is 1024 bytes.
+ */
+export function formatBytes(bytes: number): string {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} kB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Formats the report as a line per bundle followed by an indented line per
+ * inlined file.
+ */
+export function formatReport(report: BundleReport[]): string {
+  const lines: string[] = [];
+  for (const bundle of report) {
+    lines.push(
+        `${bundle.url} ${formatBytes(bundle.size)} ` +
+        `(${formatBytes(bundle.gzipSize)} gzip)`);
+    for (const file of bundle.files) {
+      lines.push(`  ${formatBytes(file.size)} ${file.type} ${file.url}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Reports the raw and gzipped size of each bundled document of the result,
+ * with the bytes contributed by the html imports, scripts and stylesheets
+ * inlined into it, followed by those of the module bundles, with the bytes
+ * contributed by the es modules bundled into them.
+ */
+export function generateReport(result: BundleResult): BundleReport[] {
+  const report: BundleReport[] = [];
+  for (const documentEntry of result.documents) {
+    const url = documentEntry[0];
+    const contents = Buffer.from(serialize(documentEntry[1].ast));
+    const bundle = result.manifest.bundles.get(url);
+    const files: FileReport[] = [];
+    if (bundle) {
+      const inlined: [FileReport['type'], Set<UrlString>][] = [
+        ['html-import', bundle.inlinedHtmlImports],
+        ['script', bundle.inlinedScripts],
+        ['style', bundle.inlinedStyles],
+      ];
+      for (const [type, urls] of inlined) {
+        for (const fileUrl of urls) {
+          const size = bundle.inlinedSizes.get(fileUrl) || 0;
+          files.push({url: fileUrl, type, size});
+        }
+      }
+    }
+    files.sort((a, b) => b.size - a.size);
+    report.push({
+      url,
+      size: contents.length,
+      gzipSize: zlib.gzipSync(contents).length,
+      files
+    });
+  }
+  for (const moduleEntry of result.modules) {
+    const contents = Buffer.from(moduleEntry[1].code);
+    const files: FileReport[] = [];
+    for (const sizeEntry of moduleEntry[1].sizes) {
+      files.push({url: sizeEntry[0], type: 'module', size: sizeEntry[1]});
+    }
+    files.sort((a, b) => b.size - a.size);
+    report.push({
+      url: moduleEntry[0],
+      size: contents.length,
+      gzipSize: zlib.gzipSync(contents).length,
+      files
+    });
+  }
+  return report;
+}
@@ -17,17 +17,42 @@ import * as espree from 'espree';
 import * as parse5 from 'parse5';
 import {Analyzer, Document, ParsedHtmlDocument} from 'polymer-analyzer';
 import {AnalysisContext} from 'polymer-analyzer/lib/core/analysis-context';
-import {RawSourceMap, SourceMapConsumer, SourceMapGenerator} from 'source-map';
+import {RawIndexMap, RawSection, RawSourceMap, SourceMapConsumer, SourceMapGenerator} from 'source-map';
 import * as urlLib from 'url';
 import * as astUtils from './ast-utils';
+import constants from './constants';
 import * as matchers from './matchers';
+import {BundlerWarning, Severity} from './warnings';
 
 const inlineSourcemapPrefix =
     '\n//# sourceMappingURL=data:application/json;charset=utf8;base64,';
 
 const sourceMappingUrlExpr = /\n\/\/# sourceMappingURL=(.*)\n?/;
+const cssSourceMappingUrlExpr = /\n?\/\*# sourceMappingURL=([^\s*]+)\s*\*\/\n?/;
 const inlineSourceMapExpr =
     /^data:application\/json;(charset=[^;]+;)?base64,([a-zA-Z0-9+\/=]+)$/;
+const inlineSourcemapUrlPrefix = 'data:application/json;charset=utf8;base64,';
+
+/**
+ * The kinds of elements whose content may end with a source map url comment,
+ * with the syntax of the comment.  Styles are also found in `<template>`s,
+ * where the styles of Polymer elements are.
+ */
+const scriptSourcemapKind = {
+  matcher: matchers.inlineJavascript,
+  childNodes: dom5.defaultChildNodes,
+  sourceMappingUrlExpr: sourceMappingUrlExpr,
+  extension: 'js',
+  comment: (url: string) => `\n//# sourceMappingURL=${url}\n`
+};
+const styleSourcemapKind = {
+  matcher: matchers.styleMatcher,
+  childNodes: dom5.childNodesIncludeTemplate,
+  sourceMappingUrlExpr: cssSourceMappingUrlExpr,
+  extension: 'css',
+  comment: (url: string) => `\n/*# sourceMappingURL=${url} */\n`
+};
+const inlineSourcemapKinds = [scriptSourcemapKind, styleSourcemapKind];
 
 
 function base64StringToRawSourceMap(input: string) {
@@ -75,6 +100,55 @@ function createJsIdentitySourcemap(
   return generator.toJSON();
 }
 
+/**
+ * Creates an identity source map generator from CSS content, mapping the
+ * start of each run of non-whitespace characters.  The `url()`s of the
+ * generated CSS may have been rewritten, so they are mapped to the `url()`s of
+ * the original CSS in order, and the text between them is expected to be
+ * unchanged.
+ */
+function createCssIdentitySourcemap(
+    sourceUrl: string, originalCss: string, generatedCss: string) {
+  const generator = new SourceMapGenerator();
+  const original = {line: 1, column: 0};
+  const generated = {line: 1, column: 0};
+  const advance = (position: {line: number, column: number}, text: string) => {
+    const lines = text.split('\n');
+    if (lines.length > 1) {
+      position.line += lines.length - 1;
+      position.column = lines[lines.length - 1].length;
+    } else {
+      position.column += text.length;
+    }
+  };
+
+  const originalUrls = originalCss.match(constants.URL) || [];
+  const generatedUrls = generatedCss.match(constants.URL) || [];
+  const unchangedTexts = originalCss.split(constants.URL);
+  unchangedTexts.forEach((unchangedText, index) => {
+    const tokenExpr = /\S+/g;
+    let lastIndex = 0;
+    let token: RegExpExecArray|null;
+    while ((token = tokenExpr.exec(unchangedText)) !== null) {
+      const skipped = unchangedText.slice(lastIndex, token.index);
+      advance(original, skipped);
+      advance(generated, skipped);
+      generator.addMapping({original, generated, source: sourceUrl});
+      lastIndex = token.index;
+    }
+    const rest = unchangedText.slice(lastIndex);
+    advance(original, rest);
+    advance(generated, rest);
+    if (index < originalUrls.length) {
+      generator.addMapping({original, generated, source: sourceUrl});
+      advance(original, originalUrls[index]);
+      advance(generated, generatedUrls[index] || originalUrls[index]);
+    }
+  });
+
+  return generator;
+}
+
 function offsetSourceMap(
     sourcemap: RawSourceMap, lineOffset: number, firstLineCharOffset: number) {
   const consumer = new SourceMapConsumer(sourcemap);
@@ -90,8 +164,12 @@ function offsetSourceMap(
       }
     };
 
-    if (typeof mapping.originalLine === 'number' && typeof mapping.originalColumn === 'number') {
-      newMapping.original = { line: mapping.originalLine, column: mapping.originalColumn };
+    if (typeof mapping.originalLine === 'number' &&
+        typeof mapping.originalColumn === 'number') {
+      newMapping.original = {
+        line: mapping.originalLine,
+        column: mapping.originalColumn
+      };
     }
 
     if (mapping.name) {
@@ -105,8 +183,11 @@ function offsetSourceMap(
 }
 
 export async function getExistingSourcemap(
-    analyzer: Analyzer, sourceUrl: string, sourceContent: string) {
-  const sourceMappingUrlParts = sourceContent.match(sourceMappingUrlExpr);
+    analyzer: Analyzer,
+    sourceUrl: string,
+    sourceContent: string,
+    sourceMappingUrlPattern: RegExp = sourceMappingUrlExpr) {
+  const sourceMappingUrlParts = sourceContent.match(sourceMappingUrlPattern);
   if (sourceMappingUrlParts === null) {
     return null;
   }
@@ -140,6 +221,9 @@ export async function getExistingSourcemap(
  * is because the final position within the document is not yet known. These
  * relative positions will be updated later to reflect the absolute position
  * within the bundled document.
+ *
+ * An existing source map which can not be loaded is not a fatal error; the
+ * source map url comment is dropped and a warning is added to `warnings`.
  */
 export async function addOrUpdateSourcemapComment(
     analyzer: AnalysisContext|Analyzer,
@@ -148,14 +232,21 @@ export async function addOrUpdateSourcemapComment(
     originalLineOffset: number,
     originalFirstLineCharOffset: number,
     generatedLineOffset: number,
-    generatedFirtLineCharOffset: number) {
+    generatedFirtLineCharOffset: number,
+    warnings?: BundlerWarning[]) {
   let sourcemap: RawSourceMap|null = null;
   try {
     sourcemap = await getExistingSourcemap(
         analyzer as Analyzer, sourceUrl, sourceContent);
   } catch (ex) {
-    // TODO(ChadKillingsworth) Surface these errors to the user.
-    // They should not be fatal errors though.
+    if (warnings) {
+      warnings.push({
+        code: 'could-not-load-sourcemap',
+        message: `Unable to load existing source map: ${ex.message}`,
+        severity: Severity.WARNING,
+        url: sourceUrl,
+      });
+    }
     sourceContent = sourceContent.replace(sourceMappingUrlExpr, '');
   }
 
@@ -190,11 +281,305 @@ export async function addOrUpdateSourcemapComment(
   }
 }
 
+/**
+ * Appends a source map url comment with the source map inline to the code of
+ * a script, offsetting the mappings of the source map by `lineOffset` lines,
+ * e.g. by 1 when the code is to follow a newline in a script tag.
+ */
+export function addInlineSourcemapComment(
+    code: string, sourcemap: RawSourceMap, lineOffset: number = 0): string {
+  const sourcemapComment = scriptSourcemapKind.comment(
+      inlineSourcemapUrlPrefix +
+      rawSourceMapToBase64String(offsetSourceMap(sourcemap, lineOffset, 0)));
+  if (code.length > 0 && code[code.length - 1] === '\n') {
+    return code + sourcemapComment.substr(1);
+  }
+  return code + sourcemapComment;
+}
+
+/**
+ * Removes the source map url comment of the content of an inline script,
+ * returning the content without it and, if the comment had the source map
+ * inline, the source map.
+ */
+export function extractInlineSourcemap(content: string):
+    {content: string, sourcemap?: RawSourceMap} {
+  const sourceMapUrlParts = content.match(sourceMappingUrlExpr);
+  if (!sourceMapUrlParts) {
+    return {content};
+  }
+  const sourceMapContentParts = sourceMapUrlParts[1].match(inlineSourceMapExpr);
+  return {
+    content: content.replace(sourceMappingUrlExpr, '\n'),
+    sourcemap: sourceMapContentParts ?
+        base64StringToRawSourceMap(sourceMapContentParts[2]) :
+        undefined
+  };
+}
+
+/**
+ * For the content of a stylesheet which is being inlined into a style tag,
+ * where `generatedCss` is `originalCss` with its urls rewritten, locate an
+ * existing source map url comment.  If found, load that source map and map the
+ * generated CSS through it.  Otherwise, create an identity source map.  The
+ * source map url comment of the generated CSS is replaced by one with the
+ * new source map inline.
+ *
+ * As for scripts, the mappings reflect the position of the CSS within the
+ * style tag itself, and an existing source map which can not be loaded adds
+ * a warning to `warnings`.
+ */
+export async function addOrUpdateCssSourcemapComment(
+    analyzer: AnalysisContext|Analyzer,
+    sourceUrl: string,
+    originalCss: string,
+    generatedCss: string,
+    warnings?: BundlerWarning[]) {
+  let existingSourcemap: RawSourceMap|null = null;
+  try {
+    existingSourcemap = await getExistingSourcemap(
+        analyzer as Analyzer, sourceUrl, originalCss, cssSourceMappingUrlExpr);
+  } catch (ex) {
+    if (warnings) {
+      warnings.push({
+        code: 'could-not-load-sourcemap',
+        message: `Unable to load existing source map: ${ex.message}`,
+        severity: Severity.WARNING,
+        url: sourceUrl,
+      });
+    }
+  }
+
+  const generator =
+      createCssIdentitySourcemap(sourceUrl, originalCss, generatedCss);
+  if (existingSourcemap !== null) {
+    generator.applySourceMap(
+        new SourceMapConsumer(existingSourcemap), sourceUrl);
+  }
+
+  const sourcemapComment = styleSourcemapKind.comment(
+      inlineSourcemapUrlPrefix +
+      rawSourceMapToBase64String(generator.toJSON()));
+  if (cssSourceMappingUrlExpr.test(generatedCss)) {
+    return generatedCss.replace(cssSourceMappingUrlExpr, sourcemapComment);
+  }
+  if (generatedCss.length > 0 &&
+      generatedCss[generatedCss.length - 1] === '\n') {
+    return generatedCss + sourcemapComment.substr(1);
+  }
+  return generatedCss + sourcemapComment;
+}
+
+/**
+ * Transforms the content of an inline script or style, keeping the source map
+ * of the content when it has an inline one.  The source map url comment is
+ * removed from the content given to `transform`, and the source map of its
+ * result, which must have `sourceUrl` as its only source, is applied to the
+ * source map of the content.  If the transform changes the content without
+ * giving a source map, the source map of the content is dropped.
+ */
+export async function transformWithSourcemap(
+    sourceUrl: string,
+    content: string,
+    isStyle: boolean,
+    transform: (content: string) =>
+        Promise<{content: string, map?: RawSourceMap}>): Promise<string> {
+  const kind = isStyle ? styleSourcemapKind : scriptSourcemapKind;
+  const sourceMapUrlParts = content.match(kind.sourceMappingUrlExpr);
+  const sourceMapContentParts =
+      sourceMapUrlParts && sourceMapUrlParts[1].match(inlineSourceMapExpr);
+  if (!sourceMapContentParts) {
+    return (await transform(content)).content;
+  }
+
+  const untransformed = content.replace(kind.sourceMappingUrlExpr, '');
+  const result = await transform(untransformed);
+  if (!result.map) {
+    return result.content === untransformed ? content : result.content;
+  }
+  const generator =
+      SourceMapGenerator.fromSourceMap(new SourceMapConsumer(result.map));
+  generator.applySourceMap(
+      new SourceMapConsumer(
+          base64StringToRawSourceMap(sourceMapContentParts[2])),
+      sourceUrl);
+  const sourcemapComment = kind.comment(
+      inlineSourcemapUrlPrefix +
+      rawSourceMapToBase64String(generator.toJSON()));
+  if (result.content.length > 0 &&
+      result.content[result.content.length - 1] === '\n') {
+    return result.content + sourcemapComment.substr(1);
+  }
+  return result.content + sourcemapComment;
+}
+
+/**
+ * Combines the inline source maps of the inline scripts and styles in a
+ * bundled document into one index source map, with a section for each element
+ * offset to its position within the document.  The source map url comment of
+ * each element is replaced with one which references the index source map,
+ * which is named after the bundle, e.g. `app.html.map` for `app.html`.
+ * Assumes the mappings of the inline source maps are relative to the position
+ * of the elements, i.e. that `updateSourcemapLocations` has not been applied
+ * to them.  Returns null when no inline element has a source map.
+ */
+export function createIndexSourcemap(
+    bundleUrl: string, ast: parse5.ASTNode): RawIndexMap|null {
+  const bundleFilename = bundleUrl.substring(bundleUrl.lastIndexOf('/') + 1);
+  const filename = `${bundleFilename}.map`;
+  const elementSourcemaps: (RawSourceMap|null)[][] = [];
+  for (const kind of inlineSourcemapKinds) {
+    const sourcemaps: (RawSourceMap|null)[] = [];
+    const elements =
+        dom5.queryAll(ast, kind.matcher, undefined, kind.childNodes);
+    elements.forEach(element => {
+      const content = dom5.getTextContent(element);
+      const sourceMapUrlParts = content.match(kind.sourceMappingUrlExpr);
+      const sourceMapContentParts =
+          sourceMapUrlParts && sourceMapUrlParts[1].match(inlineSourceMapExpr);
+      if (!sourceMapContentParts) {
+        sourcemaps.push(null);
+        return;
+      }
+      sourcemaps.push(base64StringToRawSourceMap(sourceMapContentParts[2]));
+      dom5.setTextContent(
+          element,
+          content.replace(kind.sourceMappingUrlExpr, kind.comment(filename)));
+    });
+    elementSourcemaps.push(sourcemaps);
+  }
+  if (elementSourcemaps.every(
+          (sourcemaps) =>
+              sourcemaps.every((sourcemap) => sourcemap === null))) {
+    return null;
+  }
+
+  // The elements are located in the serialized document once their source
+  // map url comments have been replaced.
+  const documentContents = parse5.serialize(ast);
+  const reparsedAst = astUtils.parse(documentContents, {locationInfo: true});
+  const reparsedDoc = new ParsedHtmlDocument({
+    url: bundleUrl,
+    contents: documentContents,
+    ast: reparsedAst,
+    isInline: false,
+    locationOffset: undefined,
+    astNode: null
+  });
+  const sections: RawSection[] = [];
+  inlineSourcemapKinds.forEach((kind, kindIndex) => {
+    const elements =
+        dom5.queryAll(reparsedAst, kind.matcher, undefined, kind.childNodes);
+    elements.forEach((element, index) => {
+      const sourcemap = elementSourcemaps[kindIndex][index];
+      if (!sourcemap) {
+        return;
+      }
+      const sourceRange = reparsedDoc.sourceRangeForStartTag(element)!;
+      sections.push({
+        offset: {line: sourceRange.end.line, column: sourceRange.end.column},
+        map: sourcemap
+      });
+    });
+  });
+  // Sections of an index source map must be in the order of the document.
+  sections.sort(
+      (a, b) =>
+          a.offset.line - b.offset.line || a.offset.column - b.offset.column);
+  return {version: 3, file: bundleFilename, sections};
+}
 
 /**
- * Update mappings in source maps within inline script elements to reflect
- * their absolute position within a bundle. Assumes existing mappings
- * are relative to their position within the script tag itself.
+ * Moves the inline source maps of the inline scripts and styles in a bundled
+ * document into separate files, replacing each source map url comment with
+ * one which references the file by url.  The files are named after the
+ * bundle, e.g. `app.html.1.js.map` for the first script with a source map in
+ * `app.html` and `app.html.1.css.map` for the first such style.  Returns a
+ * map of the urls of the files to their source maps.
+ */
+export function externalizeSourcemaps(
+    bundleUrl: string, ast: parse5.ASTNode): Map<string, RawSourceMap> {
+  const sourcemaps = new Map<string, RawSourceMap>();
+  const bundleFilename = bundleUrl.substring(bundleUrl.lastIndexOf('/') + 1);
+  for (const kind of inlineSourcemapKinds) {
+    let count = 0;
+    const elements =
+        dom5.queryAll(ast, kind.matcher, undefined, kind.childNodes);
+    elements.forEach(element => {
+      const content = dom5.getTextContent(element);
+      const sourceMapUrlParts = content.match(kind.sourceMappingUrlExpr);
+      if (!sourceMapUrlParts) {
+        return;
+      }
+      const sourceMapContentParts =
+          sourceMapUrlParts[1].match(inlineSourceMapExpr);
+      if (!sourceMapContentParts) {
+        return;
+      }
+
+      const filename = `${bundleFilename}.${++count}.${kind.extension}.map`;
+      sourcemaps.set(
+          urlLib.resolve(bundleUrl, filename),
+          base64StringToRawSourceMap(sourceMapContentParts[2]));
+      dom5.setTextContent(
+          element,
+          content.replace(kind.sourceMappingUrlExpr, kind.comment(filename)));
+    });
+  }
+  return sourcemaps;
+}
+
+/**
+ * Moves the inline source map of the code of a module bundle into a separate
+ * file named after the module bundle, e.g. `app.js.map` for `app.js`,
+ * replacing the source map url comment with one which references the file.
+ * Returns the code and the source map, or only the code when it has no inline
+ * source map.
+ */
+export function externalizeModuleSourcemap(
+    moduleBundleUrl: string,
+    code: string): {code: string, sourcemap?: RawSourceMap} {
+  const sourceMapUrlParts = code.match(sourceMappingUrlExpr);
+  const sourceMapContentParts =
+      sourceMapUrlParts && sourceMapUrlParts[1].match(inlineSourceMapExpr);
+  if (!sourceMapContentParts) {
+    return {code};
+  }
+  const filename =
+      `${moduleBundleUrl.substring(moduleBundleUrl.lastIndexOf('/') + 1)}.map`;
+  return {
+    code: code.replace(
+        sourceMappingUrlExpr, scriptSourcemapKind.comment(filename)),
+    sourcemap: base64StringToRawSourceMap(sourceMapContentParts[2])
+  };
+}
+
+/**
+ * Returns the urls of the source map files referenced by the inline scripts
+ * and styles in a bundled document, resolved against the url of the bundle.
+ */
+export function getExternalSourcemapUrls(
+    bundleUrl: string, ast: parse5.ASTNode): string[] {
+  const urls: string[] = [];
+  for (const kind of inlineSourcemapKinds) {
+    const elements =
+        dom5.queryAll(ast, kind.matcher, undefined, kind.childNodes);
+    for (const element of elements) {
+      const sourceMapUrlParts =
+          dom5.getTextContent(element).match(kind.sourceMappingUrlExpr);
+      if (sourceMapUrlParts &&
+          !sourceMapUrlParts[1].match(inlineSourceMapExpr)) {
+        urls.push(urlLib.resolve(bundleUrl, sourceMapUrlParts[1].trim()));
+      }
+    }
+  }
+  return urls;
+}
+
+/**
+ * Update mappings in source maps within inline script and style elements to
+ * reflect their absolute position within a bundle. Assumes existing mappings
+ * are relative to their position within the element itself.
  */
 export function updateSourcemapLocations(
     document: Document, ast: parse5.ASTNode) {
@@ -211,32 +596,36 @@ export function updateSourcemapLocations(
     astNode: null
   });
 
-  const inlineScripts = dom5.queryAll(ast, matchers.inlineJavascript);
-  inlineScripts.forEach(script => {
-    let content = dom5.getTextContent(script);
+  for (const kind of inlineSourcemapKinds) {
+    const elements =
+        dom5.queryAll(ast, kind.matcher, undefined, kind.childNodes);
+    elements.forEach(element => {
+      let content = dom5.getTextContent(element);
 
-    const sourceMapUrlParts = content.match(sourceMappingUrlExpr);
-    if (!sourceMapUrlParts) {
-      return;
-    }
-    const sourceMapContentParts =
-        sourceMapUrlParts[1].match(inlineSourceMapExpr);
-    if (!sourceMapContentParts) {
-      return;
-    }
+      const sourceMapUrlParts = content.match(kind.sourceMappingUrlExpr);
+      if (!sourceMapUrlParts) {
+        return;
+      }
+      const sourceMapContentParts =
+          sourceMapUrlParts[1].match(inlineSourceMapExpr);
+      if (!sourceMapContentParts) {
+        return;
+      }
 
-    const sourceRange = reparsedDoc.sourceRangeForStartTag(script)!;
-    const sourceMap = base64StringToRawSourceMap(sourceMapContentParts[2]);
+      const sourceRange = reparsedDoc.sourceRangeForStartTag(element)!;
+      const sourceMap = base64StringToRawSourceMap(sourceMapContentParts[2]);
 
-    const updatedMap = offsetSourceMap(
-        sourceMap, sourceRange.end.line, sourceRange.end.column);
+      const updatedMap = offsetSourceMap(
+          sourceMap, sourceRange.end.line, sourceRange.end.column);
 
-    const base64Map = rawSourceMapToBase64String(updatedMap);
-    content = content.replace(
-        sourceMappingUrlExpr, `${inlineSourcemapPrefix}${base64Map}\n`);
+      const base64Map = rawSourceMapToBase64String(updatedMap);
+      content = content.replace(
+          kind.sourceMappingUrlExpr,
+          kind.comment(`${inlineSourcemapUrlPrefix}${base64Map}`));
 
-    dom5.setTextContent(script, content);
-  });
+      dom5.setTextContent(element, content);
+    });
+  }
 
   return ast;
 }
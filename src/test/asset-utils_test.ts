@@ -0,0 +1,66 @@
+/**
+ * @license
+ * Copyright (c) 2017 The Polymer Project Authors. All rights reserved.
+ * This code may only be used under the BSD style license found at
+ * http://polymer.github.io/LICENSE.txt
+ * The complete set of authors may be found at
+ * http://polymer.github.io/AUTHORS.txt
+ * The complete set of contributors may be found at
+ * http://polymer.github.io/CONTRIBUTORS.txt
+ * Code distributed by Google as part of the polymer project is also
+ * subject to an additional IP rights grant found at
+ * http://polymer.github.io/PATENTS.txt
+ */
+/// <reference path="../../node_modules/@types/chai/index.d.ts" />
+/// <reference path="../../node_modules/@types/node/index.d.ts" />
+/// <reference path="../../node_modules/@types/mocha/index.d.ts" />
+import * as chai from 'chai';
+import * as fs from 'fs';
+
+import {generateFileAssetLoader, getAssetMimeType} from '../asset-utils';
+
+const assert = chai.assert;
+
+suite('Asset Utils', () => {
+
+  suite('generateFileAssetLoader', () => {
+
+    test('reads files relative to the root', async () => {
+      const loadAsset = generateFileAssetLoader('test/html/assets');
+      assert.deepEqual(
+          await loadAsset('images/small.png?v=1'),
+          fs.readFileSync('test/html/assets/images/small.png'));
+    });
+
+    test('reads redirected urls relative to their path', async () => {
+      const loadAsset = generateFileAssetLoader(
+          'test/html', [{prefix: 'assets://', path: 'test/html/assets'}]);
+      assert.deepEqual(
+          await loadAsset('assets://fonts/small.woff'),
+          fs.readFileSync('test/html/assets/fonts/small.woff'));
+    });
+
+    test('fails for other urls with protocols', async () => {
+      const loadAsset = generateFileAssetLoader('test/html/assets');
+      let error: Error|undefined;
+      try {
+        await loadAsset('https://example.com/images/small.png');
+      } catch (e) {
+        error = e;
+      }
+      assert.isDefined(error);
+    });
+  });
+
+  suite('getAssetMimeType', () => {
+
+    test('returns the MIME types of images and fonts', () => {
+      assert.equal(getAssetMimeType('a/b.PNG'), 'image/png');
+      assert.equal(getAssetMimeType('b.jpg?v=2'), 'image/jpeg');
+      assert.equal(getAssetMimeType('b.svg'), 'image/svg+xml');
+      assert.equal(getAssetMimeType('c.woff2'), 'font/woff2');
+      assert.isUndefined(getAssetMimeType('d.css'));
+      assert.isUndefined(getAssetMimeType('e'));
+    });
+  });
+});
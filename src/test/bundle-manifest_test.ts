@@ -16,7 +16,8 @@
 /// <reference path="../../node_modules/@types/mocha/index.d.ts" />
 import * as chai from 'chai';
 
-import {Bundle, BundleManifest, composeStrategies, generateBundles, generateCountingSharedBundleUrlMapper, generateEagerMergeStrategy, generateMatchMergeStrategy, generateSharedBundleUrlMapper, generateSharedDepsMergeStrategy, generateShellMergeStrategy, TransitiveDependenciesMap} from '../bundle-manifest';
+import {Bundle, BundleManifest, composeStrategies, describeStrategy, explainStrategy, generateBundles, generateContentHashBundleUrlMapper, generateCountingSharedBundleUrlMapper, generateEagerMergeStrategy, generateMatchMergeStrategy, generateSharedBundleUrlMapper, generateSharedDepsMergeStrategy, generateShellMergeStrategy, generateSizeLimitedStrategy, TransitiveDependenciesMap} from '../bundle-manifest';
+import {DepsIndex} from '../deps-index';
 
 chai.config.showDiff = true;
 
@@ -78,6 +79,37 @@ suite('BundleManifest', () => {
     });
   });
 
+  suite('generateContentHashBundleUrlMapper', () => {
+
+    test('gives shared bundles provisional urls', () => {
+      const manifest = new BundleManifest(
+          [deserializeBundle('[A,B]->[E]')],
+          generateContentHashBundleUrlMapper('path/to/shared_'));
+      assert.equal(
+          serializeBundle(manifest.bundles.get('path/to/shared_1.html')!),
+          '[A,B]->[E]');
+    });
+
+    test('hashes urls of shared bundles', () => {
+      const mapper = generateContentHashBundleUrlMapper('path/to/shared_');
+      const shared = new Bundle(new Set(['A', 'B']), new Set(['E']));
+      const entrypoint = new Bundle(new Set(['A']), new Set(['A']));
+      assert.equal(
+          mapper.hashUrl('path/to/shared_1.html', shared, '3fa9c1d2'),
+          'path/to/shared_3fa9c1d2.html');
+      assert.equal(mapper.hashUrl('A', entrypoint, '3fa9c1d2'), 'A');
+    });
+
+    test('hashes urls of entrypoint bundles when asked', () => {
+      const mapper = generateContentHashBundleUrlMapper('shared_', true);
+      const entrypoint =
+          new Bundle(new Set(['app/a.html']), new Set(['app/a.html']));
+      assert.equal(
+          mapper.hashUrl('app/a.html', entrypoint, '3fa9c1d2'),
+          'app/a_3fa9c1d2.html');
+    });
+  });
+
   suite('generateBundles', () => {
 
     test('produces an array of bundles from dependencies index', () => {
@@ -378,6 +410,123 @@ suite('BundleManifest', () => {
             ]);
       });
     });
+
+    suite('generateSizeLimitedStrategy', () => {
+
+      // The graph is `A->1->2->3, A->4, B->3`, where every file is 4 bytes
+      // except for `4` which is 12 bytes.
+      const depsIndex: DepsIndex = {
+        entrypointToDeps: new Map(),
+        fileToDirectDeps: new Map([
+          ['A', new Set(['1', '4'])],
+          ['1', new Set(['2'])],
+          ['2', new Set(['3'])],
+          ['B', new Set(['3'])],
+        ]),
+        fileSizes: new Map([
+          ['A', 4],
+          ['B', 4],
+          ['1', 4],
+          ['2', 4],
+          ['3', 4],
+          ['4', 12],
+        ]),
+        fileToModuleDeps: new Map(),
+        fileToEdges: new Map(),
+        cycles: [],
+        moduleErrors: new Map(),
+      };
+
+      test('does not split bundles within the limit', () => {
+        const bundles = ['[A]->[1,2,A]', '[B]->[3,B]'].map(deserializeBundle);
+        const strategy = generateSizeLimitedStrategy(12);
+        assert.deepEqual(
+            strategy(bundles, depsIndex).map(serializeBundle),
+            ['[A]->[1,2,A]', '[B]->[3,B]']);
+      });
+
+      test('splits bundles in dependency order', () => {
+        const bundles = ['[A]->[A,1,2,3]', '[B]->[B]'].map(deserializeBundle);
+        const strategy = generateSizeLimitedStrategy(8);
+        assert.deepEqual(
+            strategy(bundles, depsIndex).map(serializeBundle),
+            ['[A]->[2,3]', '[A]->[1,A]', '[B]->[B]']);
+      });
+
+      test('gives files larger than the limit their own bundle', () => {
+        const bundles = ['[A,B]->[1,2,3,4]'].map(deserializeBundle);
+        const strategy = generateSizeLimitedStrategy(8);
+        assert.deepEqual(
+            strategy(bundles, depsIndex).map(serializeBundle),
+            ['[A,B]->[2,3]', '[A,B]->[1]', '[A,B]->[4]']);
+      });
+
+      test('limits the size of merged bundles when composed', () => {
+        const bundles = [
+          '[A]->[1,A]',  //
+          '[A,B]->[2,3]',
+          '[B]->[B]',
+          '[A,C]->[4]'
+        ].map(deserializeBundle);
+        const strategy = composeStrategies([
+          generateSharedDepsMergeStrategy(),
+          generateSizeLimitedStrategy(12),
+        ]);
+        assert.deepEqual(strategy(bundles, depsIndex).map(serializeBundle), [
+          '[A]->[1,A]',
+          '[B]->[B]',
+          '[A,B,C]->[2,3]',
+          '[A,B,C]->[4]',
+        ]);
+      });
+
+      test('requires a dependency index', () => {
+        const bundles = ['[A]->[1,A]'].map(deserializeBundle);
+        const strategy = generateSizeLimitedStrategy(8);
+        assert.throws(() => strategy(bundles), /dependency index/);
+      });
+    });
+  });
+
+  suite('explainStrategy', () => {
+
+    const bundles =
+        () => ['[A]->[1,A]', '[A,C]->[2]', '[C]->[3,C]', '[A,B,C]->[4]', ].map(
+            deserializeBundle);
+
+    test('applies the strategy', () => {
+      const strategy = generateShellMergeStrategy('A');
+      assert.deepEqual(
+          explainStrategy(bundles(), strategy).bundles.map(serializeBundle),
+          strategy(bundles()).map(serializeBundle));
+    });
+
+    test('explains which steps changed the bundles of files', () => {
+      const {files} =
+          explainStrategy(bundles(), composeStrategies([
+                            generateSharedDepsMergeStrategy(3),
+                            describeStrategy((b) => b, 'does nothing'),
+                            generateShellMergeStrategy('C'),
+                          ]));
+      assert.deepEqual([...files.get('1')!.entrypoints], ['A']);
+      assert.deepEqual(files.get('1')!.strategySteps, []);
+      assert.deepEqual([...files.get('4')!.entrypoints], ['A', 'B', 'C']);
+      assert.deepEqual(files.get('4')!.strategySteps, [
+        'generateShellMergeStrategy("C", 2) > ' +
+            'generateEagerMergeStrategy("C")',
+      ]);
+      assert.deepEqual(files.get('3')!.strategySteps, [
+        'generateShellMergeStrategy("C", 2) > ' +
+            'generateEagerMergeStrategy("C")',
+      ]);
+    });
+
+    test('describes custom strategies by their names', () => {
+      const splitAll = (bundles: Bundle[]) => bundles.map(
+          (b) => new Bundle(b.entrypoints, new Set([...b.files].slice(0, 1))));
+      const {files} = explainStrategy(bundles(), splitAll);
+      assert.deepEqual(files.get('1')!.strategySteps, ['splitAll']);
+    });
   });
 
   suite('Shop example', () => {
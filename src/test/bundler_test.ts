@@ -16,12 +16,14 @@
 /// <reference path="../../node_modules/@types/mocha/index.d.ts" />
 import * as chai from 'chai';
 import * as dom5 from 'dom5';
+import * as fs from 'fs';
 import * as parse5 from 'parse5';
 import * as path from 'path';
-import {Analyzer, FSUrlLoader} from 'polymer-analyzer';
+import {Analyzer, FSUrlLoader, InMemoryOverlayUrlLoader} from 'polymer-analyzer';
 
-import {Bundle, generateShellMergeStrategy} from '../bundle-manifest';
-import {Bundler, Options as BundlerOptions} from '../bundler';
+import {generateFileAssetLoader} from '../asset-utils';
+import {Bundle, generateContentHashBundleUrlMapper, generateShellMergeStrategy} from '../bundle-manifest';
+import {Bundler, BundleResult, BundleVariant, Options as BundlerOptions, Severity} from '../bundler';
 
 chai.config.showDiff = true;
 
@@ -65,6 +67,13 @@ suite('Bundler', () => {
           ['imports/simple-import.html']);
     });
 
+    test('URLs of imports inlined files came from are recorded', async () => {
+      await bundle('test/html/scripts.html');
+      assert.deepEqual([...documentBundle.inlinedFrom], [
+        ['imports/external.js', 'imports/external-script.html'],
+      ]);
+    });
+
     test('imports removed', async () => {
       const imports = preds.AND(
           preds.hasTagName('link'),
@@ -500,6 +509,67 @@ suite('Bundler', () => {
       assert.include(parse5.serialize(doc), 'src="external/external.js"');
     });
 
+    test('Excluded globs are not inlined', async () => {
+      const doc =
+          await bundle('test/html/external.html', {excludes: ['**/*.js']});
+      const html = parse5.serialize(doc);
+      assert.include(html, 'src="external/external.js"');
+      assert.notInclude(html, 'href="external/external.css"');
+    });
+
+    test('Excluded regular expressions are not inlined', async () => {
+      const doc = await bundle(inputPath, {excludes: [/simple-import\.html$/]});
+      const imports = dom5.queryAll(
+          doc,
+          preds.AND(
+              preds.hasTagName('link'),
+              preds.hasAttrValue('rel', 'import'),
+              preds.hasAttrValue('href', 'imports/simple-import.html')));
+      assert.equal(imports.length, 1);
+    });
+
+    test('Negated excludes are inlined', async () => {
+      const doc = await bundle(
+          'test/html/external.html',
+          {excludes: ['external/**', '!external/external.css']});
+      const html = parse5.serialize(doc);
+      assert.include(html, 'src="external/external.js"');
+      assert.notInclude(html, 'href="external/external.css"');
+    });
+
+    test('Excluded html imports are not inlined', async () => {
+      const doc = await bundle(
+          inputPath, {excludeHtmlImports: ['imports/simple-import.html']});
+      const imports = dom5.queryAll(
+          doc,
+          preds.AND(
+              preds.hasTagName('link'),
+              preds.hasAttrValue('rel', 'import'),
+              preds.hasAttrValue('href', 'imports/simple-import.html')));
+      assert.equal(imports.length, 1);
+    });
+
+    test('Excluded scripts and styles are excluded by type', async () => {
+      let html = parse5.serialize(await bundle(
+          'test/html/external.html', {excludeScripts: ['external']}));
+      assert.include(html, 'src="external/external.js"');
+      assert.notInclude(html, 'href="external/external.css"');
+      html = parse5.serialize(await bundle(
+          'test/html/external.html', {excludeStyles: ['external']}));
+      assert.notInclude(html, 'src="external/external.js"');
+      assert.include(html, 'href="external/external.css"');
+    });
+
+    test('Negated excludes by type keep urls of excludes', async () => {
+      const doc = await bundle('test/html/external.html', {
+        excludes: ['external'],
+        excludeStyles: ['!external/external.css'],
+      });
+      const html = parse5.serialize(doc);
+      assert.include(html, 'src="external/external.js"');
+      assert.notInclude(html, 'href="external/external.css"');
+    });
+
     test('Excluded comments are removed', async () => {
       const options = {stripComments: true};
       const doc = await bundle('test/html/comments.html', options);
@@ -630,6 +700,307 @@ suite('Bundler', () => {
     });
   });
 
+  suite('Inlining assets', () => {
+
+    const assetsPath = 'test/html/assets';
+    const options = {
+      inlineAssetsUnder: 1024,
+      loadAsset: generateFileAssetLoader(assetsPath),
+    };
+    const dataUrl = (mimeType: string, assetPath: string) =>
+        `data:${mimeType};base64,` +
+        fs.readFileSync(path.join(assetsPath, assetPath)).toString('base64');
+
+    test('small images and fonts are inlined as data urls', async () => {
+      const doc = await bundle(`${assetsPath}/index.html`, options);
+      const css =
+          dom5.getTextContent(dom5.query(doc, preds.hasTagName('style'))!);
+      assert.include(css, `url("${dataUrl('font/woff', 'fonts/small.woff')}")`);
+      assert.include(css, `url("${dataUrl('image/png', 'images/small.png')}")`);
+      assert.include(css, 'url("images/large.png")');
+      const tiled = dom5.query(doc, preds.hasAttrValue('id', 'tiled'))!;
+      const gifUrl = dataUrl('image/gif', 'images/small.gif');
+      assert.equal(
+          dom5.getAttribute(tiled, 'style'),
+          `background-image: url("${gifUrl}")`);
+      const src = (id: string) => dom5.getAttribute(
+          dom5.query(doc, preds.hasAttrValue('id', id))!, 'src');
+      assert.equal(src('small'), dataUrl('image/png', 'images/small.png'));
+      assert.equal(src('large'), 'images/large.png');
+      assert.equal(src('sprite'), 'images/small.png#icon');
+    });
+
+    test('urls of inlined images and fonts are recorded', async () => {
+      await bundle(`${assetsPath}/index.html`, options);
+      assert.deepEqual([...documentBundle.inlinedAssets].sort(), [
+        'elements/icon.svg',
+        'fonts/small.woff',
+        'images/small.gif',
+        'images/small.png',
+      ]);
+    });
+
+    test('urls in dom-modules are relative to the assetpath', async () => {
+      const doc = await bundle(`${assetsPath}/index.html`, options);
+      const domModule = dom5.query(doc, preds.hasTagName('dom-module'))!;
+      assert.equal(dom5.getAttribute(domModule, 'assetpath'), 'elements/');
+      const css = dom5.getTextContent(dom5.query(
+          domModule, preds.hasTagName('style'), dom5.childNodesIncludeTemplate)!
+                                      );
+      assert.include(
+          css, `url("${dataUrl('image/svg+xml', 'elements/icon.svg')}")`);
+    });
+
+    test('assets are not inlined by default', async () => {
+      const doc = await bundle(
+          `${assetsPath}/index.html`, {loadAsset: options.loadAsset});
+      assert.equal(
+          dom5.getAttribute(
+              dom5.query(doc, preds.hasAttrValue('id', 'small'))!, 'src'),
+          'images/small.png');
+    });
+  });
+
+  suite('Collecting assets', () => {
+
+    const assetsPath = 'test/html/assets';
+
+    test('files left in place are recorded as assets', async () => {
+      await bundle(`${assetsPath}/index.html`);
+      assert.deepEqual([...documentBundle.assets].sort(), [
+        'elements/icon.svg',
+        'fonts/small.woff',
+        'images/large.png',
+        'images/small.gif',
+        'images/small.png',
+      ]);
+      await bundle('test/html/external.html', {excludeScripts: ['external']});
+      assert.deepEqual([...documentBundle.assets], ['external/external.js']);
+    });
+
+    test('inlined files are not recorded as assets', async () => {
+      await bundle(`${assetsPath}/index.html`, {
+        inlineAssetsUnder: 1024,
+        loadAsset: generateFileAssetLoader(assetsPath),
+      });
+      assert.deepEqual(
+          [...documentBundle.assets].sort(),
+          ['images/large.png', 'images/small.png']);
+    });
+
+    test('urls of bundles are not recorded as assets', async () => {
+      const bundler = new Bundler({
+        analyzer: new Analyzer({urlLoader: new FSUrlLoader('test/html')}),
+      });
+      const manifest =
+          await bundler.generateManifest(['imports/lazy-imports.html']);
+      const result = await bundler.bundle(manifest);
+      assert.isAbove(result.manifest.bundles.size, 1);
+      assert.deepEqual([...result.assets], []);
+    });
+  });
+
+  suite('Lazy import hints', () => {
+
+    const hints = (result: BundleResult, url: string) =>
+        dom5.queryAll(result.documents.get(url)!.ast, matchers.lazyImportHint)
+            .map(
+                (link) =>
+                    [dom5.getAttribute(link, 'rel'),
+                     dom5.getAttribute(link, 'href')]);
+
+    const bundleLazyHints = async (options: BundlerOptions) => {
+      const bundler = new Bundler(Object.assign(
+          {
+            analyzer: new Analyzer(
+                {urlLoader: new FSUrlLoader('test/html/lazy-hints')}),
+          },
+          options));
+      const manifest = await bundler.generateManifest(['index.html']);
+      return bundler.bundle(manifest);
+    };
+
+    test('entrypoint bundles hint the bundles of lazy imports', async () => {
+      const result = await bundleLazyHints({lazyImportHints: true});
+      assert.deepEqual(hints(result, 'index.html'), [
+        ['preload', 'view-a.html'],
+        ['prefetch', 'view-b.html'],
+      ]);
+      assert.deepEqual(
+          hints(result, 'view-a.html'), [['preload', 'view-c.html']]);
+      assert.deepEqual(hints(result, 'view-b.html'), []);
+      const head =
+          dom5.query(result.documents.get('index.html')!.ast, matchers.head)!;
+      assert.equal(dom5.query(head, matchers.lazyImportHint)!.parentNode, head);
+    });
+
+    test('hints are not added without the option', async () => {
+      const result = await bundleLazyHints({});
+      assert.deepEqual(hints(result, 'index.html'), []);
+    });
+
+    test('hints point to content hashed urls', async () => {
+      const result = await bundleLazyHints({
+        lazyImportHints: true,
+        urlMapper: generateContentHashBundleUrlMapper('shared_', true),
+      });
+      const entrypointUrl = result.manifest.getBundleForFile('index.html')!.url;
+      const viewUrl = result.manifest.getBundleForFile('view-a.html')!.url;
+      assert.match(viewUrl, /^view-a_[0-9a-f]{8}\.html$/);
+      assert.deepEqual(hints(result, entrypointUrl)[0], ['preload', viewUrl]);
+    });
+  });
+
+  suite('Link only', () => {
+
+    test('bundles import their files and each other', async () => {
+      const bundler = new Bundler({
+        analyzer: new Analyzer(
+            {urlLoader: new FSUrlLoader('test/html/push-manifest')}),
+        linkOnly: true,
+      });
+      const manifest = await bundler.generateManifest(['a.html', 'b.html']);
+      const result = await bundler.bundle(manifest);
+      const hrefs = (url: string) =>
+          dom5.queryAll(result.documents.get(url)!.ast, matchers.htmlImport)
+              .map((link) => dom5.getAttribute(link, 'href'));
+      assert.deepEqual(hrefs('a.html'), [
+        'lazy.html',
+        'shared_bundle_1.html',
+        'vendor/lib.html',
+        'missing.html',
+      ]);
+      assert.deepEqual(hrefs('b.html'), ['shared_bundle_1.html']);
+      assert.deepEqual(hrefs('shared_bundle_1.html'), ['shared.html']);
+      const a = result.documents.get('a.html')!.ast;
+      assert.isNull(dom5.query(a, preds.hasAttrValue('id', 'lib')));
+      assert.equal(
+          dom5.getAttribute(dom5.query(a, matchers.jsMatcher)!, 'src'), 'a.js');
+      for (const bundle of result.manifest.bundles.values()) {
+        assert.deepEqual([...bundle.inlinedHtmlImports], []);
+        assert.deepEqual([...bundle.inlinedScripts], []);
+      }
+    });
+  });
+
+  suite('Module scripts', () => {
+
+    const scriptContents = (doc: parse5.ASTNode) =>
+        dom5.queryAll(doc, matchers.moduleScript)
+            .map(
+                (script) => dom5.getAttribute(script, 'src') ||
+                    dom5.getTextContent(script).trim());
+
+    const bundleModules = async(
+        files: {[url: string]: string},
+        entrypoints: string[],
+        opts?: BundlerOptions): Promise<BundleResult> => {
+      const loader = new InMemoryOverlayUrlLoader();
+      for (const url of Object.keys(files)) {
+        loader.urlContentsMap.set(url, files[url]);
+      }
+      const bundler = new Bundler(Object.assign(
+          {analyzer: new Analyzer({urlLoader: loader})}, opts || {}));
+      const manifest = await bundler.generateManifest(entrypoints);
+      return bundler.bundle(manifest);
+    };
+
+    test('modules are bundled into the module bundle', async () => {
+      const bundler = new Bundler({
+        analyzer:
+            new Analyzer({urlLoader: new FSUrlLoader('test/html/modules')}),
+        inlineScripts: false
+      });
+      const manifest = await bundler.generateManifest(['index.html']);
+      const {documents, modules} = await bundler.bundle(manifest);
+      const scripts = scriptContents(documents.get('index.html')!.ast);
+      assert.equal(scripts.length, 2);
+      assert.equal(scripts[0], 'index.js');
+      assert.include(scripts[1], `import { util } from './index.js';`);
+      assert.deepEqual([...modules.keys()], ['index.js']);
+      const moduleBundle = modules.get('index.js')!;
+      assert.sameMembers(
+          moduleBundle.files,
+          ['app.js', 'shared.js', 'elements/my-element.js', 'lib/util.js']);
+      assert.equal(moduleBundle.code.split(`console.log('app'`).length, 2);
+      assert.include(moduleBundle.code, `import 'bare-module';`);
+      assert.include(moduleBundle.code, 'export { util };');
+    });
+
+    test(
+        'module bundles loaded only by their document are inlined',
+        async () => {
+          const result = await bundleModules(
+              {
+                'a.html': '<script type="module" src="a.js"></script>',
+                'a.js': `import {b} from './b.js';\nconsole.log(b);`,
+                'b.js': `export const b = 'b';`,
+              },
+              ['a.html']);
+          assert.equal(result.modules.size, 0);
+          const scripts = scriptContents(result.documents.get('a.html')!.ast);
+          assert.equal(scripts.length, 1);
+          assert.include(scripts[0], `const b = 'b';`);
+          assert.include(scripts[0], 'console.log(b);');
+          assert.sameMembers(
+              [...result.manifest.getBundleForFile(
+                                     'a.html')!.bundle.inlinedScripts],
+              ['a.js', 'b.js']);
+        });
+
+    test(
+        'imports of shared modules point to shared module bundles',
+        async () => {
+          const result = await bundleModules(
+              {
+                'a.html': '<script type="module" src="a.js"></script>',
+                'b.html': '<script type="module" src="b.js"></script>',
+                'a.js': `import {s} from './shared.js';\nconsole.log('a', s);`,
+                'b.js': `import {s} from './shared.js';\nconsole.log('b', s);`,
+                'shared.js': `export const s = 's';`,
+              },
+              ['a.html', 'b.html'],
+              {inlineScripts: false});
+          assert.deepEqual(
+              [...result.documents.keys()].sort(), ['a.html', 'b.html']);
+          assert.deepEqual(
+              [...result.modules.keys()].sort(),
+              ['a.js', 'b.js', 'shared_bundle_1.js']);
+          assert.deepEqual(
+              scriptContents(result.documents.get('a.html')!.ast), ['a.js']);
+          assert.include(
+              result.modules.get('a.js')!.code,
+              `import { s } from './shared_bundle_1.js';`);
+          assert.include(
+              result.modules.get('b.js')!.code,
+              `import { s } from './shared_bundle_1.js';`);
+          assert.deepEqual(
+              result.modules.get('shared_bundle_1.js')!.files, ['shared.js']);
+          assert.include(
+              result.modules.get('shared_bundle_1.js')!.code, 'export { s };');
+        });
+
+    test('modules which can not be parsed are left external', async () => {
+      const result = await bundleModules(
+          {
+            'a.html': '<script type="module" src="a.js"></script>',
+            'a.js': `import('./b.js');`,
+            'b.js': `export const b = 'b';`,
+          },
+          ['a.html']);
+      const bundle = result.manifest.getBundleForFile('a.html')!.bundle;
+      assert.deepEqual([...bundle.files], ['a.html']);
+      assert.equal(result.modules.size, 0);
+      assert.deepEqual(
+          scriptContents(result.documents.get('a.html')!.ast), ['a.js']);
+      assert.deepEqual([...bundle.inlinedScripts], []);
+      assert.deepEqual(
+          result.warnings.map((warning) => [warning.code, warning.severity]),
+          [['unparseable-module', Severity.WARNING]]);
+      assert.include(result.warnings[0].message, 'a.js');
+    });
+  });
+
   suite('Inline CSS', () => {
 
     const options = {inlineCss: true};
@@ -761,6 +1132,681 @@ suite('Bundler', () => {
         });
   });
 
+  suite('Plugins', () => {
+
+    test('scripts and styles are transformed before inlining', async () => {
+      const transformed: string[] = [];
+      const doc = await bundle('test/html/external.html', {
+        inlineCss: true,
+        inlineScripts: true,
+        plugins: [{
+          transformScript(url, content) {
+            transformed.push(url);
+            return content.replace('var external', 'var transformed');
+          },
+          async transformStyle(url, content) {
+            transformed.push(url);
+            return {content: content.replace('external', 'transformed')};
+          }
+        }]
+      });
+      assert.deepEqual(
+          transformed, ['external/external.js', 'external/external.css']);
+      const script = dom5.query(doc, matchers.inlineJavascript)!;
+      assert.include(dom5.getTextContent(script), 'var transformed = true;');
+      const style = dom5.query(doc, matchers.styleMatcher)!;
+      assert.include(dom5.getTextContent(style), `content: 'transformed';`);
+    });
+
+    test('hooks of several plugins are called in order', async () => {
+      const appendTo = (suffix: string) => ({
+        transformScript: (_url: string, content: string) => content + suffix
+      });
+      const doc = await bundle('test/html/external.html', {
+        inlineScripts: true,
+        plugins: [appendTo('\n// first'), appendTo('\n// second')]
+      });
+      const script = dom5.query(doc, matchers.inlineJavascript)!;
+      assert.match(dom5.getTextContent(script), /\/\/ first\n\/\/ second$/);
+    });
+
+    test('inline scripts and styles are transformed', async () => {
+      const loader = new InMemoryOverlayUrlLoader();
+      loader.urlContentsMap.set(
+          'app.html',
+          '<link rel="import" href="elements/x-a.html">' +
+              '<style>body { color: red; }</style>' +
+              '<script>var app = 1;</script>');
+      loader.urlContentsMap.set(
+          'elements/x-a.html',
+          '<dom-module id="x-a"><template>' +
+              '<style>:host { color: red; }</style>' +
+              '</template></dom-module>' +
+              '<script>var xA = 1;</script>');
+      const transformed: string[] = [];
+      const bundler = new Bundler({
+        analyzer: new Analyzer({urlLoader: loader}),
+        plugins: [{
+          transformScript(url, content) {
+            transformed.push(`script ${url}`);
+            return content.replace('= 1', '= 2');
+          },
+          transformStyle(url, content) {
+            transformed.push(`style ${url}`);
+            return content.replace('red', 'blue');
+          }
+        }]
+      });
+      const result =
+          await bundler.bundle(await bundler.generateManifest(['app.html']));
+      const html = parse5.serialize(result.documents.get('app.html')!.ast);
+      assert.deepEqual(transformed.sort(), [
+        'script app.html',
+        'script elements/x-a.html',
+        'style app.html',
+        'style elements/x-a.html',
+      ]);
+      assert.include(html, 'var app = 2;');
+      assert.include(html, 'var xA = 2;');
+      assert.include(html, 'body { color: blue; }');
+      assert.include(html, ':host { color: blue; }');
+      assert.notInclude(html, 'red');
+    });
+
+    test('html imports are transformed before inlining', async () => {
+      const transformed: string[] = [];
+      const doc = await bundle(inputPath, {
+        plugins: [{
+          transformHtmlFragment(url, ast) {
+            transformed.push(url);
+            for (const domModule of dom5.queryAll(
+                     ast, preds.hasTagName('dom-module'))) {
+              dom5.setAttribute(domModule, 'data-transformed', url);
+            }
+          }
+        }]
+      });
+      assert.deepEqual(transformed, ['imports/simple-import.html']);
+      const domModule = dom5.query(doc, preds.hasTagName('dom-module'))!;
+      assert.equal(
+          dom5.getAttribute(domModule, 'data-transformed'),
+          'imports/simple-import.html');
+    });
+  });
+
+  suite('Content hashed urls', () => {
+
+    // Moves 'imports/simple-import.html' into a shared bundle.
+    const strategy = (bundles: Bundle[]): Bundle[] => {
+      return [
+        new Bundle(
+            new Set(['test/html/default.html']),
+            new Set(['test/html/default.html'])),
+        new Bundle(
+            new Set(),  //
+            new Set(['test/html/imports/simple-import.html']))
+      ];
+    };
+
+    test('imports of shared bundles point to hashed urls', async () => {
+      const bundler = new Bundler(
+          {strategy, urlMapper: generateContentHashBundleUrlMapper('shared_')});
+      const manifest =
+          await bundler.generateManifest(['test/html/default.html']);
+      const {documents, manifest: hashedManifest} =
+          await bundler.bundle(manifest);
+      const sharedUrl =
+          hashedManifest
+              .getBundleForFile('test/html/imports/simple-import.html')!.url;
+      assert.match(sharedUrl, /^shared_[0-9a-f]{8}\.html$/);
+      assert.deepEqual(
+          [...documents.keys()], ['test/html/default.html', sharedUrl]);
+      const linkTag = dom5.query(
+          documents.get('test/html/default.html')!.ast,
+          preds.AND(
+              preds.hasTagName('link'), preds.hasAttrValue('rel', 'import')))!;
+      assert.equal(dom5.getAttribute(linkTag, 'href'), `../../${sharedUrl}`);
+    });
+
+    test('hashed urls only change when content changes', async () => {
+      const hashedUrls = async (inlineCss: boolean) => {
+        const bundler = new Bundler({
+          inlineCss,
+          strategy,
+          urlMapper: generateContentHashBundleUrlMapper('shared_', true)
+        });
+        const manifest =
+            await bundler.generateManifest(['test/html/default.html']);
+        const {documents} = await bundler.bundle(manifest);
+        return [...documents.keys()];
+      };
+      const urls = await hashedUrls(true);
+      assert.match(urls[0], /^test\/html\/default_[0-9a-f]{8}\.html$/);
+      assert.deepEqual(await hashedUrls(true), urls);
+      const otherUrls = await hashedUrls(false);
+      assert.notEqual(otherUrls[1], urls[1]);
+      // The entrypoint imports the shared bundle, so its url changes too.
+      assert.notEqual(otherUrls[0], urls[0]);
+    });
+
+    test('bundles which import each other point to hashed urls', async () => {
+      const loader = new InMemoryOverlayUrlLoader();
+      loader.urlContentsMap.set(
+          'a.html', '<link rel="import" href="b.html"><div>a</div>');
+      loader.urlContentsMap.set(
+          'b.html', '<link rel="import" href="a.html"><div>b</div>');
+      const bundler = new Bundler({
+        analyzer: new Analyzer({urlLoader: loader}),
+        strategy: () =>
+            [new Bundle(new Set(['a.html']), new Set(['a.html'])),
+             new Bundle(new Set(['b.html']), new Set(['b.html']))],
+        urlMapper: generateContentHashBundleUrlMapper('shared_', true)
+      });
+      const manifest = await bundler.generateManifest(['a.html', 'b.html']);
+      const {documents} = await bundler.bundle(manifest);
+      const urls = [...documents.keys()];
+      assert.equal(urls.length, 2);
+      assert.match(urls[0], /^a_[0-9a-f]{8}\.html$/);
+      assert.match(urls[1], /^b_[0-9a-f]{8}\.html$/);
+      const importHref = (url: string) => dom5.getAttribute(
+          dom5.query(documents.get(url)!.ast, matchers.htmlImport)!, 'href');
+      assert.equal(importHref(urls[0]), urls[1]);
+      assert.equal(importHref(urls[1]), urls[0]);
+    });
+
+    test('bundles with the same hashed url are an error', async () => {
+      const urlMapper = generateContentHashBundleUrlMapper('shared_');
+      urlMapper.hashUrl = () => 'same.html';
+      const bundler = new Bundler({strategy, urlMapper});
+      const manifest =
+          await bundler.generateManifest(['test/html/default.html']);
+      let error: Error|undefined;
+      try {
+        await bundler.bundle(manifest);
+      } catch (e) {
+        error = e;
+      }
+      assert.match(
+          error!.message,
+          /^Bundles .* and .* have the same content hashed url same\.html$/);
+    });
+  });
+
+  suite('Warnings', () => {
+
+    test('missing files are reported with source ranges', async () => {
+      const bundler = new Bundler({
+        analyzer: new Analyzer({urlLoader: new FSUrlLoader('test/html')}),
+      });
+      const manifest = await bundler.generateManifest(['absolute-paths.html']);
+      const result = await bundler.bundle(manifest);
+      assert.deepEqual(
+          result.warnings.map(
+              (w) =>
+                  [w.code,
+                   w.severity,
+                   w.url,
+                   w.sourceRange!.file,
+                   w.sourceRange!.start.line]),
+          [
+            [
+              'missing-import',
+              Severity.ERROR,
+              'absolute-paths/import.html',
+              'absolute-paths/import.html',
+              2
+            ],
+            [
+              'missing-script',
+              Severity.ERROR,
+              'absolute-paths/import.html',
+              'absolute-paths/import.html',
+              3
+            ],
+            [
+              'missing-stylesheet',
+              Severity.ERROR,
+              'absolute-paths/import.html',
+              'absolute-paths/import.html',
+              4
+            ],
+          ]);
+      assert.deepEqual(
+          result.manifest.bundles.get('absolute-paths.html')!.warnings,
+          result.warnings);
+    });
+
+    test(
+        'missing files are reported in the bundle\'s own document',
+        async () => {
+          const loader = new InMemoryOverlayUrlLoader();
+          loader.urlContentsMap.set(
+              'app.html',
+              '<html>\n<head>\n<link rel="import" href="missing.html">\n' +
+                  '<script src="missing.js"></script>\n</head>\n</html>');
+          const bundler = new Bundler({
+            analyzer: new Analyzer({urlLoader: loader}),
+            inlineScripts: true
+          });
+          const result = await bundler.bundle(
+              await bundler.generateManifest(['app.html']));
+          assert.deepEqual(
+              result.warnings.map(
+                  (w) =>
+                      [w.code,
+                       w.message,
+                       w.url,
+                       w.sourceRange!.file,
+                       w.sourceRange!.start.line]),
+              [
+                [
+                  'missing-import',
+                  'Unable to load import missing.html',
+                  'app.html',
+                  'app.html',
+                  2
+                ],
+                [
+                  'missing-script',
+                  'Unable to load script missing.js',
+                  'app.html',
+                  'app.html',
+                  3
+                ],
+              ]);
+        });
+
+    test('excluded files are not reported', async () => {
+      const bundler = new Bundler({
+        analyzer: new Analyzer({urlLoader: new FSUrlLoader('test/html')}),
+        excludes: ['this/does/not/exist.html', 'this/does/not/exist.js'],
+      });
+      const manifest = await bundler.generateManifest(['absolute-paths.html']);
+      const result = await bundler.bundle(manifest);
+      assert.deepEqual(
+          result.warnings.map((w) => w.code), ['missing-stylesheet']);
+    });
+
+    test(
+        'html import cycles are reported with the closing import', async () => {
+          const bundler = new Bundler({
+            analyzer:
+                new Analyzer({urlLoader: new FSUrlLoader('test/html/cycle')}),
+          });
+          const manifest = await bundler.generateManifest(['index.html']);
+          const result = await bundler.bundle(manifest);
+          assert.deepEqual(
+              result.warnings.map(
+                  (w) =>
+                      [w.code,
+                       w.message,
+                       w.severity,
+                       w.url,
+                       w.sourceRange!.file,
+                       w.sourceRange!.start.line]),
+              [[
+                'import-cycle',
+                'Html import cycle a.html -> b.html -> c.html -> a.html',
+                Severity.WARNING,
+                'c.html',
+                'c.html',
+                0
+              ]]);
+          const doc = result.documents.get('index.html')!.ast;
+          for (const id of ['a', 'b', 'c', 'index']) {
+            assert.isOk(dom5.query(doc, preds.hasAttrValue('id', id)), id);
+          }
+        });
+
+    test('html import cycles are reported as errors when strict', async () => {
+      const bundler = new Bundler({
+        analyzer: new Analyzer({urlLoader: new FSUrlLoader('test/html/cycle')}),
+        strict: true,
+      });
+      const manifest = await bundler.generateManifest(['index.html']);
+      const result = await bundler.bundle(manifest);
+      assert.deepEqual(
+          result.warnings.map((w) => [w.code, w.severity]),
+          [['import-cycle', Severity.ERROR]]);
+    });
+
+    test('unresolvable urls are reported as info', async () => {
+      const bundler = new Bundler({
+        analyzer:
+            new Analyzer({urlLoader: new FSUrlLoader('test/html/imports')}),
+      });
+      const manifest = await bundler.generateManifest(['remote-script.html']);
+      const result = await bundler.bundle(manifest);
+      assert.deepEqual(
+          result.warnings.map((w) => [w.code, w.severity, w.url, w.message]), [[
+            'unresolvable-url',
+            Severity.INFO,
+            'remote-script.html',
+            'Unable to resolve ' +
+                'https://ajax.googleapis.com/ajax/libs/jquery/2.1.3/jquery.min.js' +
+                ', so it was not inlined'
+          ]]);
+    });
+  });
+
+  suite('Rebundling', () => {
+
+    let loader: InMemoryOverlayUrlLoader;
+
+    setup(() => {
+      loader = new InMemoryOverlayUrlLoader();
+      loader.urlContentsMap.set(
+          'a.html', '<link rel="import" href="shared.html"><div>A</div>');
+      loader.urlContentsMap.set(
+          'b.html', '<link rel="import" href="shared.html"><div>B</div>');
+      loader.urlContentsMap.set(
+          'c.html', '<script src="c.js"></script><div>C</div>');
+      loader.urlContentsMap.set('c.js', 'console.log("C");');
+      loader.urlContentsMap.set('shared.html', '<div>shared</div>');
+    });
+
+    const entrypoints = ['a.html', 'b.html', 'c.html'];
+
+    function serialize(result: BundleResult, url: string) {
+      return parse5.serialize(result.documents.get(url)!.ast);
+    }
+
+    test('only bundles again the bundles including changed files', async () => {
+      const bundler =
+          new Bundler({analyzer: new Analyzer({urlLoader: loader})});
+      const result =
+          await bundler.bundle(await bundler.generateManifest(entrypoints));
+      loader.urlContentsMap.set('c.js', 'console.log("changed C");');
+      const newResult = await bundler.rebundle(entrypoints, ['c.js'], result);
+      assert.deepEqual([...newResult.documents.keys()].sort(), [
+        'a.html',
+        'b.html',
+        'c.html',
+        'shared_bundle_1.html',
+      ]);
+      for (const url of ['a.html', 'b.html', 'shared_bundle_1.html']) {
+        assert.strictEqual(
+            newResult.documents.get(url), result.documents.get(url));
+      }
+      assert.include(serialize(newResult, 'c.html'), 'changed C');
+      assert.deepEqual(
+          [...newResult.manifest.bundles.get('c.html')!.inlinedScripts],
+          ['c.js']);
+    });
+
+    test(
+        'only bundles again the changed bundles with content hashed urls',
+        async () => {
+          const bundler = new Bundler({
+            analyzer: new Analyzer({urlLoader: loader}),
+            urlMapper: generateContentHashBundleUrlMapper('shared_', true)
+          });
+          const result =
+              await bundler.bundle(await bundler.generateManifest(entrypoints));
+          loader.urlContentsMap.set('c.js', 'console.log("changed C");');
+          const newResult =
+              await bundler.rebundle(entrypoints, ['c.js'], result);
+          const urls = [...newResult.documents.keys()];
+          const previousUrls = [...result.documents.keys()];
+          assert.deepEqual(
+              urls.filter((url) => !url.startsWith('c_')),
+              previousUrls.filter((url) => !url.startsWith('c_')));
+          for (const url of urls.filter((url) => !url.startsWith('c_'))) {
+            assert.strictEqual(
+                newResult.documents.get(url), result.documents.get(url));
+          }
+          const cUrl = newResult.hashedUrls!.get('c.html')!;
+          assert.notEqual(cUrl, result.hashedUrls!.get('c.html'));
+          assert.include(serialize(newResult, cUrl), 'changed C');
+        });
+
+    test('hashes again the bundles importing renamed bundles', async () => {
+      const bundler = new Bundler({
+        analyzer: new Analyzer({urlLoader: loader}),
+        urlMapper: generateContentHashBundleUrlMapper('shared_')
+      });
+      const result =
+          await bundler.bundle(await bundler.generateManifest(entrypoints));
+      const previousA = serialize(result, 'a.html');
+      loader.urlContentsMap.set('shared.html', '<div>changed shared</div>');
+      const newResult =
+          await bundler.rebundle(entrypoints, ['shared.html'], result);
+      const sharedUrl = newResult.hashedUrls!.get('shared_1.html')!;
+      assert.notEqual(sharedUrl, result.hashedUrls!.get('shared_1.html'));
+      assert.include(serialize(newResult, sharedUrl), 'changed shared');
+      assert.include(serialize(newResult, 'a.html'), `href="${sharedUrl}"`);
+      assert.include(serialize(newResult, 'b.html'), `href="${sharedUrl}"`);
+      assert.strictEqual(
+          newResult.documents.get('c.html'), result.documents.get('c.html'));
+      // The documents of the previous result are left as they were.
+      assert.equal(serialize(result, 'a.html'), previousA);
+      const freshResult =
+          await new Bundler({
+            analyzer: new Analyzer({urlLoader: loader}),
+            urlMapper: generateContentHashBundleUrlMapper('shared_')
+          }).bundle(await bundler.generateManifest(entrypoints));
+      assert.deepEqual(
+          [...newResult.documents.keys()], [...freshResult.documents.keys()]);
+    });
+
+    test('bundles everything again when bundles change', async () => {
+      const bundler =
+          new Bundler({analyzer: new Analyzer({urlLoader: loader})});
+      const result =
+          await bundler.bundle(await bundler.generateManifest(entrypoints));
+      loader.urlContentsMap.set(
+          'c.html', '<link rel="import" href="shared.html"><div>C</div>');
+      const newResult = await bundler.rebundle(entrypoints, ['c.html'], result);
+      assert.deepEqual(
+          [
+            ...newResult.manifest.bundles.get('shared_bundle_1.html')!
+                .entrypoints
+          ].sort(),
+          entrypoints);
+      for (const url of ['a.html', 'b.html', 'shared_bundle_1.html']) {
+        assert.notStrictEqual(
+            newResult.documents.get(url), result.documents.get(url));
+      }
+      assert.notInclude(serialize(newResult, 'c.html'), 'c.js');
+    });
+
+    test('bundles again the bundles with changed inlined assets', async () => {
+      loader.urlContentsMap.set('a.html', '<img src="a.png"><div>A</div>');
+      const assets = new Map([['a.png', 'A']]);
+      const bundler = new Bundler({
+        analyzer: new Analyzer({urlLoader: loader}),
+        inlineAssetsUnder: 1024,
+        loadAsset: async (url: string) => Buffer.from(assets.get(url)!),
+      });
+      const result =
+          await bundler.bundle(await bundler.generateManifest(entrypoints));
+      assert.deepEqual(
+          [...result.manifest.bundles.get('a.html')!.inlinedAssets], ['a.png']);
+      assets.set('a.png', 'changed A');
+      const newResult = await bundler.rebundle(entrypoints, ['a.png'], result);
+      for (const url of ['b.html', 'c.html']) {
+        assert.strictEqual(
+            newResult.documents.get(url), result.documents.get(url));
+      }
+      assert.include(
+          serialize(newResult, 'a.html'),
+          Buffer.from('changed A').toString('base64'));
+      assert.deepEqual(
+          [...newResult.manifest.bundles.get('b.html')!.inlinedAssets], []);
+    });
+  });
+
+  suite('Variants', () => {
+
+    let loader: InMemoryOverlayUrlLoader;
+    let loadedUrls: string[];
+
+    setup(() => {
+      loader = new InMemoryOverlayUrlLoader();
+      loader.urlContentsMap.set(
+          'a.html', '<link rel="import" href="shared.html"><div>A</div>');
+      loader.urlContentsMap.set(
+          'b.html', '<link rel="import" href="shared.html"><div>B</div>');
+      loader.urlContentsMap.set(
+          'shared.html', '<script src="shared.js"></script><div>shared</div>');
+      loader.urlContentsMap.set('shared.js', 'console.log("shared");');
+      loadedUrls = [];
+      const load = loader.load.bind(loader);
+      loader.load = (url: string) => {
+        loadedUrls.push(url);
+        return load(url);
+      };
+    });
+
+    const variants = [
+      {name: 'inlined', options: {inlineScripts: true}},
+      {name: 'linked', options: {inlineScripts: false}, outDir: 'linked-out'},
+    ];
+
+    test('bundles the manifest with the options of each variant', async () => {
+      const bundler = new Bundler(
+          {analyzer: new Analyzer({urlLoader: loader}), stripComments: true});
+      const manifest = await bundler.generateManifest(['a.html', 'b.html']);
+      const results = await bundler.bundle(manifest, variants);
+      assert.deepEqual([...results.keys()], ['inlined', 'linked']);
+      const serialize = (name: string) => parse5.serialize(
+          results.get(name)!.documents.get('shared_bundle_1.html')!.ast);
+      assert.include(serialize('inlined'), 'console.log("shared");');
+      assert.notInclude(serialize('inlined'), 'src="shared.js"');
+      assert.include(serialize('linked'), 'src="shared.js"');
+      for (const result of results.values()) {
+        assert.deepEqual(
+            [...result.manifest.bundles.keys()],
+            ['a.html', 'b.html', 'shared_bundle_1.html']);
+      }
+      assert.equal(results.get('inlined')!.outDir, 'inlined');
+      assert.equal(results.get('linked')!.outDir, 'linked-out');
+    });
+
+    test('files are not loaded again for each variant', async () => {
+      const bundler =
+          new Bundler({analyzer: new Analyzer({urlLoader: loader})});
+      const manifest = await bundler.generateManifest(['a.html', 'b.html']);
+      await bundler.bundle(manifest, variants);
+      assert.deepEqual(
+          loadedUrls.sort(), ['a.html', 'b.html', 'shared.html', 'shared.js']);
+    });
+
+    test('variants must have different names and out-dirs', async () => {
+      const bundler =
+          new Bundler({analyzer: new Analyzer({urlLoader: loader})});
+      const manifest = await bundler.generateManifest(['a.html', 'b.html']);
+      let transformedScripts = 0;
+      const options = {
+        inlineScripts: true,
+        plugins: [{
+          transformScript(_url: string, content: string) {
+            transformedScripts++;
+            return content;
+          }
+        }]
+      };
+      const bundleFailing = async (variants: BundleVariant[]) => {
+        let error: Error|undefined;
+        try {
+          await bundler.bundle(manifest, variants);
+        } catch (e) {
+          error = e;
+        }
+        return error && error.message;
+      };
+      assert.equal(
+          await bundleFailing([{name: 'es5', options}, {name: 'es5'}]),
+          'Duplicate bundle variant name: es5');
+      assert.equal(
+          await bundleFailing(
+              [{name: 'es5', options}, {name: 'es2015', outDir: 'es5'}]),
+          'Duplicate bundle variant out-dir: es5');
+      // Nothing is bundled when the variants are invalid.
+      assert.equal(transformedScripts, 0);
+    });
+  });
+
+  suite('Concurrency', () => {
+
+    let loader: InMemoryOverlayUrlLoader;
+    const entrypoints = [0, 1, 2, 3, 4, 5].map((i) => `page-${i}.html`);
+
+    setup(() => {
+      loader = new InMemoryOverlayUrlLoader();
+      entrypoints.forEach((url, i) => {
+        loader.urlContentsMap.set(
+            url,
+            `<link rel="import" href="shared.html">` +
+                `<link rel="import" href="missing-${i % 2}.html">` +
+                `<script src="page-${i}.js"></script><div>${i}</div>`);
+        loader.urlContentsMap.set(`page-${i}.js`, `console.log(${i});`);
+      });
+      loader.urlContentsMap.set(
+          'shared.html', '<script src="shared.js"></script><div>shared</div>');
+      loader.urlContentsMap.set('shared.js', 'console.log("shared");');
+    });
+
+    // Delays the scripts of earlier pages the most, so bundles started later
+    // finish first, and counts the bundles being inlined into at once.
+    let active = 0;
+    let maxActive = 0;
+    const plugin = {
+      async transformScript(url: string, content: string) {
+        maxActive = Math.max(maxActive, ++active);
+        const page = url.match(/^page-(\d+)\.js$/);
+        const delay = page ? (entrypoints.length - Number(page[1])) * 5 : 0;
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        active--;
+        return `${content}\n// ${url}`;
+      }
+    };
+
+    async function bundleConcurrently(concurrency: number) {
+      active = 0;
+      maxActive = 0;
+      const bundler = new Bundler({
+        analyzer: new Analyzer({urlLoader: loader}),
+        concurrency,
+        plugins: [plugin],
+      });
+      return bundler.bundle(await bundler.generateManifest(entrypoints));
+    }
+
+    test('bundles are the same as when produced one at a time', async () => {
+      const expected = await bundleConcurrently(1);
+      const actual = await bundleConcurrently(4);
+      assert.deepEqual(
+          [...actual.documents.keys()], [...expected.documents.keys()]);
+      for (const url of expected.documents.keys()) {
+        assert.equal(
+            parse5.serialize(actual.documents.get(url)!.ast),
+            parse5.serialize(expected.documents.get(url)!.ast));
+        const actualBundle = actual.manifest.bundles.get(url)!;
+        const expectedBundle = expected.manifest.bundles.get(url)!;
+        assert.deepEqual(
+            [...actualBundle.inlinedScripts],
+            [...expectedBundle.inlinedScripts]);
+        assert.deepEqual(
+            [...actualBundle.missingImports],
+            [...expectedBundle.missingImports]);
+      }
+      assert.deepEqual(
+          actual.warnings.map((w) => w.url),
+          expected.warnings.map((w) => w.url));
+      assert.equal(actual.warnings.length, entrypoints.length);
+    });
+
+    test(
+        'no more bundles than the concurrency are produced at once',
+        async () => {
+          await bundleConcurrently(3);
+          assert.equal(maxActive, 3);
+          await bundleConcurrently(1);
+          assert.equal(maxActive, 1);
+        });
+  });
+
   suite('Regression Testing', () => {
 
     // Ensure this https://github.com/Polymer/polymer-bundler/issues/596 doesn't
@@ -0,0 +1,152 @@
+/**
+ * @license
+ * Copyright (c) 2017 The Polymer Project Authors. All rights reserved.
+ * This code may only be used under the BSD style license found at
+ * http://polymer.github.io/LICENSE.txt
+ * The complete set of authors may be found at
+ * http://polymer.github.io/AUTHORS.txt
+ * The complete set of contributors may be found at
+ * http://polymer.github.io/CONTRIBUTORS.txt
+ * Code distributed by Google as part of the polymer project is also
+ * subject to an additional IP rights grant found at
+ * http://polymer.github.io/PATENTS.txt
+ */
+/// <reference path="../../node_modules/@types/chai/index.d.ts" />
+/// <reference path="../../node_modules/@types/node/index.d.ts" />
+/// <reference path="../../node_modules/@types/mocha/index.d.ts" />
+import * as chai from 'chai';
+import * as path from 'path';
+
+import {generateStrategy, loadConfig, parseBudget, parseStrategy, validateConfig} from '../bin/config';
+import {Bundle} from '../bundle-manifest';
+
+const assert = chai.assert;
+
+suite('Config', () => {
+
+  suite('loadConfig', () => {
+
+    test('resolves paths against the folder of the config file', () => {
+      const configPath = path.resolve(
+          __dirname, '../../test/html/config/polymer-bundler.json');
+      const config = loadConfig(configPath);
+      assert.equal(
+          config.root, path.resolve(__dirname, '../../test/html/imports'));
+      assert.deepEqual(config.entrypoints, [
+        'importing-fragments/fragment-a.html',
+        'importing-fragments/fragment-b.html',
+      ]);
+    });
+  });
+
+  suite('parseBudget', () => {
+
+    test('parses the url and size of budgets', () => {
+      assert.deepEqual(
+          parseBudget('shared_bundle_1.html=200kb'),
+          {url: 'shared_bundle_1.html', maxBytes: 204800});
+      assert.deepEqual(
+          parseBudget('app.html=1.5MB'), {url: 'app.html', maxBytes: 1572864});
+      assert.deepEqual(
+          parseBudget('app.html=5000'), {url: 'app.html', maxBytes: 5000});
+    });
+
+    test('throws for invalid budgets', () => {
+      assert.throws(() => parseBudget('app.html'), 'Invalid budget "app.html"');
+      assert.throws(
+          () => parseBudget('app.html=200gb'),
+          'Invalid budget "app.html=200gb"');
+    });
+  });
+
+  suite('parseStrategy', () => {
+
+    test('parses the name and arguments of strategies', () => {
+      assert.deepEqual(parseStrategy('shared-deps'), {name: 'shared-deps'});
+      assert.deepEqual(
+          parseStrategy('shared-deps:3'),
+          {name: 'shared-deps', minEntrypoints: 3});
+      assert.deepEqual(
+          parseStrategy('shell:app-shell.html,2'),
+          {name: 'shell', shell: 'app-shell.html', minEntrypoints: 2});
+      assert.deepEqual(
+          parseStrategy('no-back-link:shell.html,login.html'),
+          {name: 'no-back-link', urls: ['shell.html', 'login.html']});
+    });
+
+    test('throws for invalid strategies', () => {
+      assert.throws(
+          () => parseStrategy('lazy:app.html'),
+          'Unknown strategy name "lazy" in --strategy lazy:app.html');
+      assert.throws(
+          () => parseStrategy('eager'),
+          'Missing parameter "entrypoint" of strategy "eager" in ' +
+              '--strategy eager');
+      assert.throws(
+          () => parseStrategy('eager:a.html,b.html'),
+          'Too many arguments in --strategy eager:a.html,b.html');
+      assert.throws(
+          () => parseStrategy('size-limited:10kb'),
+          'Parameter "maxBytes" in --strategy size-limited:10kb must be a ' +
+              'number');
+    });
+  });
+
+  suite('validateConfig', () => {
+
+    test('accepts a valid config', () => {
+      const json: any = {
+        entrypoints: ['app.html'],
+        redirects: [{prefix: 'myapp://', path: 'src'}],
+        sourcemaps: 'external',
+        strategy: [{name: 'shared-deps'}, {name: 'size-limited', maxBytes: 10}],
+        urlMapper: {name: 'content-hash', hashEntrypoints: true},
+      };
+      assert.deepEqual(validateConfig(json, 'config.json'), json);
+    });
+
+    test('throws for unknown keys', () => {
+      assert.throws(
+          () => validateConfig({entrypoint: ['app.html']}, 'config.json'),
+          'Unknown config key "entrypoint" in config.json');
+      assert.throws(
+          () => validateConfig(
+              {strategy: {name: 'shared-deps', min: 3}}, 'config.json'),
+          'Unknown parameter "min" of strategy "shared-deps" in config.json');
+      assert.throws(
+          () => validateConfig({strategy: {name: 'lazy'}}, 'config.json'),
+          'Unknown strategy name "lazy" in config.json');
+    });
+
+    test('throws for values of the wrong type', () => {
+      assert.throws(
+          () => validateConfig({inlineScripts: 'yes'}, 'config.json'),
+          'Config key "inlineScripts" in config.json must be a boolean');
+      assert.throws(
+          () => validateConfig({strategy: {name: 'eager'}}, 'config.json'),
+          'Missing parameter "entrypoint" of strategy "eager" in config.json');
+    });
+  });
+
+  suite('generateStrategy', () => {
+
+    test('composes the strategies given in order', () => {
+      const bundles = [
+        new Bundle(new Set(['a.html']), new Set(['a.html'])),
+        new Bundle(new Set(['a.html', 'b.html']), new Set(['shared.html'])),
+        new Bundle(new Set(['b.html']), new Set(['b.html'])),
+      ];
+      const strategy = generateStrategy([
+        {name: 'eager', entrypoint: 'a.html'},
+        {name: 'no-back-link', urls: ['a.html']},
+      ]);
+      const result = strategy(bundles);
+      assert.equal(result.length, 2);
+      const [bundleA] = result.filter((b) => b.files.has('a.html'));
+      const [bundleB] = result.filter((b) => b.files.has('b.html'));
+      assert.deepEqual([...bundleA.files], ['a.html', 'shared.html']);
+      assert.deepEqual([...bundleA.stripImports], []);
+      assert.deepEqual([...bundleB.stripImports], ['a.html']);
+    });
+  });
+});
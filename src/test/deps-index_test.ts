@@ -16,9 +16,10 @@
 /// <reference path="../../node_modules/@types/node/index.d.ts" />
 /// <reference path="../../node_modules/@types/mocha/index.d.ts" />
 import * as chai from 'chai';
-import {Analyzer, FSUrlLoader} from 'polymer-analyzer';
+import * as fs from 'fs';
+import {Analyzer, FSUrlLoader, InMemoryOverlayUrlLoader} from 'polymer-analyzer';
 
-import {buildDepsIndex} from '../deps-index';
+import {buildDepsIndex, DepsEdge, depsGraphToDot, depsGraphToJson, DepsIndex} from '../deps-index';
 
 chai.config.showDiff = true;
 
@@ -59,6 +60,141 @@ suite('Bundler', () => {
           serializeMap(expectedEntrypointsToDeps));
     });
 
+    test('records es modules loaded by files and modules', async () => {
+      const analyzer =
+          new Analyzer({urlLoader: new FSUrlLoader('test/html/modules')});
+      const index = await buildDepsIndex(['index.html'], analyzer);
+      chai.assert.deepEqual(
+          serializeMap(index.fileToModuleDeps), serializeMap(new Map([
+            ['app.js', new Set(['lib/util.js', 'shared.js'])],
+            [
+              'elements/my-element.html',
+              new Set([
+                'app.js',
+                'elements/my-element.js',
+                'lib/util.js',
+              ])
+            ],
+            ['elements/my-element.js', new Set(['lib/util.js'])],
+            ['index.html', new Set(['app.js', 'shared.js'])],
+            ['lib/util.js', new Set(['shared.js'])],
+            ['shared.js', new Set()],
+          ])));
+      chai.assert.deepEqual(
+          serializeMap(index.entrypointToDeps), serializeMap(new Map([[
+            'index.html',
+            new Set([
+              'app.js',
+              'elements/my-element.html',
+              'elements/my-element.js',
+              'index.html',
+              'lib/util.js',
+              'shared.js',
+            ])
+          ]])));
+      chai.assert.equal(index.fileSizes.get('shared.js'), 32);
+    });
+
+    test('records es modules which can not be loaded or parsed', async () => {
+      const loader = new InMemoryOverlayUrlLoader();
+      loader.urlContentsMap.set(
+          'app.html',
+          '<script type="module" src="a.js"></script>' +
+              '<script type="module" src="missing.js"></script>');
+      loader.urlContentsMap.set('a.js', `import './lazy.js';`);
+      loader.urlContentsMap.set(
+          'lazy.js', `import './b.js';\nimport('./c.js');`);
+      const analyzer = new Analyzer({urlLoader: loader});
+      const index = await buildDepsIndex(['app.html'], analyzer);
+      chai.assert.deepEqual(
+          [...index.moduleErrors].map(
+              ([url, error]) => [url, error.code, error.message.split(':')[0]]),
+          [
+            [
+              'missing.js',
+              'missing-module',
+              'Unable to load module missing.js'
+            ],
+            [
+              'lazy.js',
+              'unparseable-module',
+              'Unable to parse module lazy.js, so it was not bundled'
+            ],
+          ]);
+      chai.assert.deepEqual(
+          [...index.entrypointToDeps.get('app.html')!], ['app.html', 'a.js']);
+    });
+
+    test('records direct dependencies and sizes of files', async () => {
+      const analyzer = new Analyzer({
+        urlLoader: new FSUrlLoader('test/html/shards/polymer_style_project')
+      });
+      const index = await buildDepsIndex(['endpoint2.html'], analyzer);
+      chai.assert.deepEqual(
+          serializeMap(index.fileToDirectDeps), serializeMap(new Map([
+            ['common.html', new Set()],
+            ['dep1.html', new Set(['common.html'])],
+            ['dep2.html', new Set(['common.html'])],
+            ['endpoint1.html', new Set(['common.html', 'dep1.html'])],
+            [
+              'endpoint2.html',
+              new Set(['common.html', 'dep2.html', 'endpoint1.html'])
+            ],
+          ])));
+      const commonSize =
+          fs.statSync('test/html/shards/polymer_style_project/common.html')
+              .size;
+      chai.assert.equal(index.fileSizes.get('common.html'), commonSize);
+    });
+
+    test('records html import edges with their kind and location', async () => {
+      const analyzer =
+          new Analyzer({urlLoader: new FSUrlLoader('test/html/imports')});
+      const index = await buildDepsIndex(['lazy-imports.html'], analyzer);
+      const edges = index.fileToEdges.get('lazy-imports.html')!;
+      chai.assert.deepEqual(
+          edges.map(
+              (e) => [e.from, e.to, e.kind, e.sourceRange!.start.line + 1]),
+          [
+            [
+              'lazy-imports.html',
+              'lazy-imports/shared-eager-and-lazy-import-1.html',
+              'eager',
+              4
+            ],
+            ['lazy-imports.html', 'lazy-imports/lazy-import-1.html', 'lazy', 5],
+            [
+              'lazy-imports.html',
+              'lazy-imports/lazy-import-2.html',
+              'lazy',
+              10
+            ],
+          ]);
+      chai.assert.equal(edges[0].sourceRange!.file, 'lazy-imports.html');
+    });
+
+    test('records cycles of eager html imports', async () => {
+      const analyzer =
+          new Analyzer({urlLoader: new FSUrlLoader('test/html/cycle')});
+      const index = await buildDepsIndex(['index.html'], analyzer);
+      chai.assert.deepEqual(
+          index.cycles.map(
+              (cycle) => cycle.map(
+                  (e) => [e.from, e.to, e.sourceRange!.start.line + 1])),
+          [[
+            ['a.html', 'b.html', 1],
+            ['b.html', 'c.html', 1],
+            ['c.html', 'a.html', 1]
+          ]]);
+    });
+
+    test('does not record cycles through lazy imports', async () => {
+      const analyzer =
+          new Analyzer({urlLoader: new FSUrlLoader('test/html/imports')});
+      const index = await buildDepsIndex(['lazy-imports.html'], analyzer);
+      chai.assert.deepEqual(index.cycles, []);
+    });
+
     // Deps index currently treats lazy imports as eager imports.
     test('with lazy imports', async () => {
       const entrypoint = 'lazy-imports.html';
@@ -112,4 +248,53 @@ suite('Bundler', () => {
           serializeMap(expectedEntrypointsToDeps));
     });
   });
+
+  suite('Deps graph', () => {
+
+    const sourceRange = {
+      file: 'app.html',
+      start: {line: 2, column: 4},
+      end: {line: 2, column: 40}
+    };
+    const depsIndex: DepsIndex = {
+      entrypointToDeps: new Map([['app.html', new Set(['app.html'])]]),
+      fileToDirectDeps: new Map(),
+      fileSizes: new Map(),
+      fileToModuleDeps: new Map(),
+      fileToEdges: new Map<string, DepsEdge[]>([[
+        'app.html',
+        [
+          {from: 'app.html', to: 'a "b".html', kind: 'eager'},
+          {from: 'app.html', to: 'lazy.html', kind: 'lazy', sourceRange},
+        ]
+      ]]),
+      cycles: [],
+      moduleErrors: new Map(),
+    };
+
+    test('formats the edges as dot', () => {
+      chai.assert.equal(
+          depsGraphToDot(depsIndex),
+          'digraph deps {\n' +
+              '  "app.html" [shape=box];\n' +
+              '  "app.html" -> "a \\"b\\".html";\n' +
+              '  "app.html" -> "lazy.html" [style=dashed, label="lazy", ' +
+              'tooltip="app.html:3:5"];\n' +
+              '}\n');
+    });
+
+    test('formats the edges as json', () => {
+      chai.assert.deepEqual(JSON.parse(depsGraphToJson(depsIndex)), {
+        nodes: [
+          {url: 'app.html', entrypoint: true},
+          {url: 'a "b".html', entrypoint: false},
+          {url: 'lazy.html', entrypoint: false},
+        ],
+        edges: [
+          {from: 'app.html', to: 'a "b".html', kind: 'eager'},
+          {from: 'app.html', to: 'lazy.html', kind: 'lazy', sourceRange},
+        ]
+      });
+    });
+  });
 });
@@ -0,0 +1,68 @@
+/**
+ * @license
+ * Copyright (c) 2017 The Polymer Project Authors. All rights reserved.
+ * This code may only be used under the BSD style license found at
+ * http://polymer.github.io/LICENSE.txt
+ * The complete set of authors may be found at
+ * http://polymer.github.io/AUTHORS.txt
+ * The complete set of contributors may be found at
+ * http://polymer.github.io/CONTRIBUTORS.txt
+ * Code distributed by Google as part of the polymer project is also
+ * subject to an additional IP rights grant found at
+ * http://polymer.github.io/PATENTS.txt
+ */
+/// <reference path="../../node_modules/@types/chai/index.d.ts" />
+/// <reference path="../../node_modules/@types/node/index.d.ts" />
+/// <reference path="../../node_modules/@types/mocha/index.d.ts" />
+import * as chai from 'chai';
+
+import {getModuleSpecifiers, rewriteModuleSpecifiersBaseUrl} from '../es-module-utils';
+
+const assert = chai.assert;
+
+suite('ES Module Utils', () => {
+
+  suite('getModuleSpecifiers', () => {
+
+    test('finds specifiers of imports and re-exports', () => {
+      const source = `import a from './a.js';\n` +
+          `import './b.js';\n` +
+          `export * from '../c.js';\n` +
+          `export {d} from '/d.js';\n` +
+          `export const e = 'e.js';\n`;
+      assert.deepEqual(
+          getModuleSpecifiers(source).map((s) => s.value),
+          ['./a.js', './b.js', '../c.js', '/d.js']);
+    });
+
+    test('throws on sources which can not be parsed', () => {
+      assert.throws(() => getModuleSpecifiers(`import from;`));
+    });
+  });
+
+  suite('rewriteModuleSpecifiersBaseUrl', () => {
+
+    test('rewrites relative specifiers', () => {
+      const source = `import {a} from './a.js';\nimport "../b/b.js";\n`;
+      assert.equal(
+          rewriteModuleSpecifiersBaseUrl(
+              source, 'src/elements/x.html', 'index.html'),
+          `import {a} from './src/elements/a.js';\n` +
+              `import "./src/b/b.js";\n`);
+      assert.equal(
+          rewriteModuleSpecifiersBaseUrl(
+              source, 'src/x.html', 'src/elements/index.html'),
+          `import {a} from '../a.js';\nimport "../../b/b.js";\n`);
+    });
+
+    test('leaves absolute and bare specifiers alone', () => {
+      const source = `import '/a.js';\n` +
+          `import 'https://example.com/b.js';\n` +
+          `import 'lodash';\n`;
+      assert.equal(
+          rewriteModuleSpecifiersBaseUrl(
+              source, 'src/elements/x.html', 'index.html'),
+          source);
+    });
+  });
+});
@@ -28,6 +28,18 @@ suite('polymer-bundler CLI', () => {
 
   const cliPath = path.resolve(__dirname, '../bin/polymer-bundler.js');
 
+  // Runs the command, which is expected to fail, and returns its error.
+  function execFailing(command: string): any {
+    let error: any;
+    try {
+      execSync(command, {stdio: 'pipe'});
+    } catch (e) {
+      error = e;
+    }
+    assert(error, 'expected the command to fail');
+    return error;
+  }
+
   test('uses the current working folder as loader root', async () => {
     const projectRoot = path.resolve(__dirname, '../../test/html');
     const stdout =
@@ -62,6 +74,59 @@ suite('polymer-bundler CLI', () => {
         assert.include(stdout, 'src="external/external.js"');
       });
 
+  test('excludes scripts with --exclude-script', async () => {
+    const projectRoot = path.resolve(__dirname, '../../test/html');
+    const stdout =
+        execSync(
+            `cd ${projectRoot} && ` +
+            `node ${cliPath} --inline-scripts --inline-css ` +
+            `--exclude-script "external/*.js" --in-html external.html`)
+            .toString();
+    assert.include(stdout, 'src="external/external.js"');
+    assert.notInclude(stdout, 'href="external/external.css"');
+  });
+
+  test('inlines small assets with --inline-assets-under', async () => {
+    const projectRoot = path.resolve(__dirname, '../../test/html/assets');
+    const stdout = execSync(
+                       `cd ${projectRoot} && ` +
+                       `node ${cliPath} --inline-css ` +
+                       `--inline-assets-under 1024 index.html`)
+                       .toString();
+    assert.include(stdout, 'id="small" src="data:image/png;base64,');
+    assert.include(stdout, 'id="large" src="images/large.png"');
+  });
+
+  test('adds hints for lazy imports with --lazy-import-hints', async () => {
+    const projectRoot = path.resolve(__dirname, '../../test/html/lazy-hints');
+    const tempdir = fs.mkdtempSync(path.join(os.tmpdir(), ' ').trim());
+    execSync(
+        `cd ${projectRoot} && ` +
+        `node ${cliPath} --lazy-import-hints --out-dir ${tempdir} index.html`);
+    const html = fs.readFileSync(path.join(tempdir, 'index.html')).toString();
+    assert.include(
+        html, '<link rel="preload" as="document" href="view-a.html">');
+    assert.include(
+        html, '<link rel="prefetch" as="document" href="view-b.html">');
+  });
+
+  test('imports bundles and their files with --link-only', async () => {
+    const projectRoot =
+        path.resolve(__dirname, '../../test/html/push-manifest');
+    const tempdir = fs.mkdtempSync(path.join(os.tmpdir(), ' ').trim());
+    execSync(
+        `cd ${projectRoot} && ` +
+        `node ${cliPath} --link-only --copy-assets --out-dir ${tempdir} ` +
+        `--in-html a.html --in-html b.html`);
+    const bundled = (url: string) =>
+        fs.readFileSync(path.join(tempdir, url)).toString();
+    assert.include(bundled('b.html'), 'href="shared_bundle_1.html"');
+    assert.include(bundled('shared_bundle_1.html'), 'href="shared.html"');
+    assert.equal(
+        bundled('shared.html'),
+        fs.readFileSync(path.join(projectRoot, 'shared.html')).toString());
+  });
+
   suite('--out-dir', () => {
 
     test('writes to the dir even for single bundle', async () => {
@@ -89,6 +154,53 @@ suite('polymer-bundler CLI', () => {
           fs.readFileSync(path.join(tempdir, 'html/default.html')).toString();
       assert.notEqual(html, '');
     });
+
+    test('copies the assets left in place with --copy-assets', async () => {
+      const projectRoot = path.resolve(__dirname, '../../test/html/assets');
+      const tempdir = fs.mkdtempSync(path.join(os.tmpdir(), ' ').trim());
+      execSync(
+          `cd ${projectRoot} && ` +
+          `node ${cliPath} --inline-css --inline-assets-under 1024 ` +
+          `--copy-assets --out-dir ${tempdir} index.html`)
+          .toString();
+      assert.deepEqual(
+          fs.readFileSync(path.join(tempdir, 'images/large.png')),
+          fs.readFileSync(path.join(projectRoot, 'images/large.png')));
+      assert.isTrue(fs.existsSync(path.join(tempdir, 'images/small.png')));
+      assert.isFalse(fs.existsSync(path.join(tempdir, 'images/small.gif')));
+      assert.isFalse(fs.existsSync(path.join(tempdir, 'styles/main.css')));
+    });
+
+    test('fails for --copy-assets without out-dir', async () => {
+      const projectRoot = path.resolve(__dirname, '../../test/html/assets');
+      const error = execFailing(
+          `cd ${projectRoot} && node ${cliPath} --copy-assets index.html`);
+      assert.equal(error.status, 1);
+      assert.equal(error.stdout.toString(), '');
+      assert.include(
+          error.stderr.toString(), 'Must specify out-dir when copying assets');
+    });
+
+    test('writes the same bundles with --concurrency', async () => {
+      const projectRoot =
+          path.resolve(__dirname, '../../test/html/push-manifest');
+      const bundleTo = (args: string) => {
+        const tempdir = fs.mkdtempSync(path.join(os.tmpdir(), ' ').trim());
+        execSync(
+            `cd ${projectRoot} && ` +
+            `node ${cliPath} --out-dir ${tempdir} ${args} ` +
+            `--in-html a.html --in-html b.html --in-html lazy.html`);
+        return tempdir;
+      };
+      const expectedDir = bundleTo('--inline-scripts');
+      const actualDir = bundleTo('--inline-scripts --concurrency 3');
+      const urls = ['a.html', 'b.html', 'lazy.html', 'shared_bundle_1.html'];
+      for (const url of urls) {
+        assert.equal(
+            fs.readFileSync(path.join(actualDir, url)).toString(),
+            fs.readFileSync(path.join(expectedDir, url)).toString());
+      }
+    });
   });
 
   suite('--manifest-out', () => {
@@ -155,6 +267,348 @@ suite('polymer-bundler CLI', () => {
     });
   });
 
+  suite('--push-manifest-out', () => {
+
+    test('writes out the push manifest to given path', async () => {
+      const projectRoot =
+          path.resolve(__dirname, '../../test/html/push-manifest');
+      const tempdir = fs.mkdtempSync(path.join(os.tmpdir(), ' ').trim());
+      const pushManifestPath = path.join(tempdir, 'push_manifest.json');
+      execSync(
+          `cd ${projectRoot} && ` +
+          `node ${cliPath} --out-dir ${tempdir} ` +
+          `--push-manifest-out ${pushManifestPath} --in-html a.html`);
+      const pushManifest =
+          JSON.parse(fs.readFileSync(pushManifestPath).toString());
+      assert.deepEqual(pushManifest['a.html'], {
+        'shared.css': {type: 'style', weight: 1},
+        'shared.js': {type: 'script', weight: 1},
+        'a.js': {type: 'script', weight: 1},
+      });
+    });
+  });
+
+  suite('--strict', () => {
+
+    test('fails when bundling produces errors', async () => {
+      const projectRoot = path.resolve(__dirname, '../../test/html');
+      const error = execFailing(
+          `cd ${projectRoot} && node ${cliPath} --strict absolute-paths.html`);
+      assert.equal(error.stdout.toString(), '');
+      assert.include(
+          error.stderr.toString(),
+          'absolute-paths/import.html:3:1 error [missing-import]');
+    });
+
+    test('fails when html imports form a cycle', async () => {
+      const projectRoot = path.resolve(__dirname, '../../test/html/cycle');
+      const command = `cd ${projectRoot} && node ${cliPath} index.html`;
+      const output = execSync(`${command} 2>&1 >/dev/null`).toString();
+      assert.include(
+          output,
+          'c.html:1:1 warning [import-cycle] ' +
+              'Html import cycle a.html -> b.html -> c.html -> a.html');
+      const error = execFailing(
+          `cd ${projectRoot} && node ${cliPath} --strict index.html`);
+      assert.include(
+          error.stderr.toString(), 'c.html:1:1 error [import-cycle]');
+    });
+  });
+
+  suite('--verbose', () => {
+
+    test('prints warnings with a severity of info', async () => {
+      const projectRoot = path.resolve(__dirname, '../../test/html/imports');
+      const command =
+          `cd ${projectRoot} && node ${
+                                       cliPath
+                                     } --inline-scripts remote-script.html`;
+      const warning = 'remote-script.html:11:1 info [unresolvable-url] ' +
+          'Unable to resolve https://ajax.googleapis.com/ajax/libs/jquery/' +
+          '2.1.3/jquery.min.js, so it was not inlined';
+      assert.notInclude(
+          execSync(`${command} 2>&1 >/dev/null`).toString(), warning);
+      assert.include(
+          execSync(`${command} --verbose 2>&1 >/dev/null`).toString(), warning);
+    });
+  });
+
+  suite('--graph-out', () => {
+
+    test('writes the html import graph as json or dot', async () => {
+      const projectRoot = path.resolve(__dirname, '../../test/html/imports');
+      const tempdir = fs.mkdtempSync(path.join(os.tmpdir(), ' ').trim());
+      const jsonPath = path.join(tempdir, 'graph.json');
+      const dotPath = path.join(tempdir, 'graph.dot');
+      for (const graphPath of [jsonPath, dotPath]) {
+        execSync(
+            `cd ${projectRoot} && ` +
+            `node ${cliPath} --graph-out ${graphPath} --dry-run ` +
+            `lazy-imports.html`);
+      }
+      const graph = JSON.parse(fs.readFileSync(jsonPath).toString());
+      assert.deepEqual(
+          graph.nodes[0], {url: 'lazy-imports.html', entrypoint: true});
+      assert.include(
+          fs.readFileSync(dotPath).toString(),
+          '"lazy-imports.html" -> "lazy-imports/lazy-import-1.html" ' +
+              '[style=dashed, label="lazy", ' +
+              'tooltip="lazy-imports.html:5:3"];');
+    });
+
+    test('fails for unknown graph formats', async () => {
+      const projectRoot = path.resolve(__dirname, '../../test/html/imports');
+      const error = execFailing(
+          `cd ${projectRoot} && ` +
+          `node ${cliPath} --graph-out graph.txt lazy-imports.html`);
+      assert.equal(error.status, 1);
+      assert.equal(error.stdout.toString(), '');
+      assert.include(
+          error.stderr.toString(),
+          'Unknown graph format of graph.txt; expected a .dot or .json file');
+      assert.isFalse(fs.existsSync(path.join(projectRoot, 'graph.txt')));
+    });
+  });
+
+  suite('--report', () => {
+
+    test('prints the size of bundles and inlined files', async () => {
+      const projectRoot = path.resolve(__dirname, '../../test/html');
+      const tempdir = fs.mkdtempSync(path.join(os.tmpdir(), ' ').trim());
+      const stdout = execSync(
+                         `cd ${projectRoot} && ` +
+                         `node ${cliPath} --inline-scripts --inline-css ` +
+                         `--report --out-dir ${tempdir} ` +
+                         `external.html`)
+                         .toString();
+      assert.match(stdout, /^external\.html [\d.]+ k?B \([\d.]+ k?B gzip\)$/m);
+      assert.match(stdout, /^  \d+ B script external\/external\.js$/m);
+      assert.match(stdout, /^  \d+ B style external\/external\.css$/m);
+    });
+
+    test('writes a treemap of the bundles with --treemap-out', async () => {
+      const projectRoot = path.resolve(__dirname, '../../test/html');
+      const tempdir = fs.mkdtempSync(path.join(os.tmpdir(), ' ').trim());
+      const treemapPath = path.join(tempdir, 'treemap.html');
+      execSync(
+          `cd ${projectRoot} && ` +
+          `node ${cliPath} --treemap-out ${treemapPath} ` +
+          `--out-dir ${tempdir} scripts.html`);
+      const html = fs.readFileSync(treemapPath).toString();
+      assert.include(html, 'class="node bundle"');
+      assert.include(html, '>imports/external-script.html ');
+    });
+
+    test('fails when a bundle exceeds its --budget', async () => {
+      const projectRoot = path.resolve(__dirname, '../../test/html');
+      const tempdir = fs.mkdtempSync(path.join(os.tmpdir(), ' ').trim());
+      const error = execFailing(
+          `cd ${projectRoot} && ` +
+          `node ${cliPath} --budget "*.html=100b" --budget ` +
+          `default.html=100kb --out-dir ${tempdir} --in-html ` +
+          `external.html --in-html default.html`);
+      const stderr = error.stderr.toString();
+      assert.match(
+          stderr,
+          /Bundle default\.html is [\d.]+ k?B, over its budget of 100 B/);
+      assert.notInclude(stderr, 'budget of 100.0 kB');
+      assert.isFalse(fs.existsSync(path.join(tempdir, 'default.html')));
+    });
+
+    test('takes one value each time, before entrypoints', async () => {
+      const projectRoot = path.resolve(__dirname, '../../test/html');
+      const error = execFailing(
+          `cd ${projectRoot} && ` +
+          `node ${cliPath} --budget "*.html=100b" default.html`);
+      assert.equal(error.status, 1);
+      assert.equal(error.stdout.toString(), '');
+      assert.match(
+          error.stderr.toString(),
+          /Bundle default\.html is [\d.]+ k?B, over its budget of 100 B/);
+    });
+  });
+
+  suite('--sourcemaps=external', () => {
+
+    test('writes sourcemaps next to the bundles', async () => {
+      const projectRoot = path.resolve(__dirname, '../../test/html/sourcemaps');
+      const tempdir = fs.mkdtempSync(path.join(os.tmpdir(), ' ').trim());
+      execSync(
+          `cd ${projectRoot} && ` +
+          `node ${cliPath} --inline-scripts --sourcemaps=external ` +
+          `inline.html --out-dir ${tempdir}`)
+          .toString();
+      const html =
+          fs.readFileSync(path.join(tempdir, 'inline.html')).toString();
+      assert.include(html, '//# sourceMappingURL=inline.html.1.js.map');
+      const sourcemap =
+          JSON.parse(fs.readFileSync(path.join(tempdir, 'inline.html.1.js.map'))
+                         .toString());
+      assert.equal(sourcemap.version, 3);
+    });
+
+    test('fails for unknown modes and without out-dir or out-html', async () => {
+      const projectRoot = path.resolve(__dirname, '../../test/html/sourcemaps');
+      let error = execFailing(
+          `cd ${projectRoot} && ` +
+          `node ${cliPath} --sourcemaps=foo inline.html --out-dir /tmp`);
+      assert.equal(error.status, 1);
+      assert.equal(error.stdout.toString(), '');
+      assert.include(error.stderr.toString(), 'Unknown sourcemaps mode: foo');
+      error = execFailing(
+          `cd ${projectRoot} && ` +
+          `node ${cliPath} --sourcemaps=external inline.html`);
+      assert.equal(error.status, 1);
+      assert.equal(error.stdout.toString(), '');
+      assert.include(
+          error.stderr.toString(),
+          'Must specify out-dir or out-html when writing external sourcemaps');
+    });
+  });
+
+  suite('--dry-run', () => {
+
+    test('prints the bundling plan without writing output', async () => {
+      const projectRoot = path.resolve(__dirname, '../../test/html/imports');
+      const tempdir = fs.mkdtempSync(path.join(os.tmpdir(), ' ').trim());
+      const stdout = execSync(
+                         `cd ${projectRoot} && ` +
+                         `node ${cliPath} --dry-run ` +
+                         `--in-html importing-fragments/fragment-a.html ` +
+                         `--in-html importing-fragments/fragment-b.html ` +
+                         `--in-html importing-fragments/shell.html ` +
+                         `--shell importing-fragments/shell.html ` +
+                         `--out-dir ${tempdir}`)
+                         .toString();
+      assert.deepEqual(fs.readdirSync(tempdir), []);
+      const shellBundle =
+          stdout.substring(stdout.indexOf('Bundle importing-fragments/shell'));
+      assert.include(shellBundle, [
+        '    importing-fragments/shared-util.html',
+        '      Shared by: importing-fragments/fragment-a.html, ' +
+            'importing-fragments/fragment-b.html, ' +
+            'importing-fragments/shell.html',
+        '      Strategy steps: generateShellMergeStrategy(' +
+            '"importing-fragments/shell.html", 2) > ' +
+            'generateEagerMergeStrategy("importing-fragments/shell.html")',
+      ].join('\n'));
+    });
+  });
+
+  suite('--strategy', () => {
+
+    test('composes the strategies given in order', async () => {
+      const projectRoot = path.resolve(__dirname, '../../test/html/imports');
+      const stdout =
+          execSync(
+              `cd ${projectRoot} && ` +
+              `node ${cliPath} --dry-run ` +
+              `--in-html importing-fragments/fragment-a.html ` +
+              `--in-html importing-fragments/fragment-b.html ` +
+              `--in-html importing-fragments/shell.html ` +
+              `--strategy eager:importing-fragments/shell.html ` +
+              `--strategy no-back-link:importing-fragments/shell.html`)
+              .toString();
+      const fragmentBundle = stdout.substring(
+          stdout.indexOf('Bundle importing-fragments/fragment-b'));
+      assert.include(
+          fragmentBundle, 'Strip imports: importing-fragments/shell.html');
+      const shellBundle =
+          stdout.substring(stdout.indexOf('Bundle importing-fragments/shell'));
+      assert.include(shellBundle, [
+        '    importing-fragments/shared-util.html',
+        '      Shared by: importing-fragments/fragment-a.html, ' +
+            'importing-fragments/fragment-b.html, ' +
+            'importing-fragments/shell.html',
+        '      Strategy steps: generateEagerMergeStrategy(' +
+            '"importing-fragments/shell.html")',
+      ].join('\n'));
+    });
+
+    test('fails for strategies with invalid arguments', async () => {
+      const projectRoot = path.resolve(__dirname, '../../test/html/imports');
+      const error = execFailing(
+          `cd ${projectRoot} && ` +
+          `node ${cliPath} --dry-run --strategy shared-deps:many ` +
+          `--in-html importing-fragments/shell.html`);
+      assert.include(
+          error.stderr.toString(),
+          'Parameter "minEntrypoints" in --strategy shared-deps:many must be ' +
+              'a number');
+    });
+
+    test('takes one value each time, before entrypoints', async () => {
+      const projectRoot = path.resolve(__dirname, '../../test/html/imports');
+      const stdout = execSync(
+                         `cd ${projectRoot} && ` +
+                         `node ${cliPath} --dry-run --strategy shared-deps:2 ` +
+                         `--strategy=eager:importing-fragments/shell.html ` +
+                         `importing-fragments/shell.html`)
+                         .toString();
+      assert.include(
+          stdout,
+          'Bundle importing-fragments/shell.html\n' +
+              '  Entrypoints: importing-fragments/shell.html\n');
+      const error = execFailing(
+          `cd ${projectRoot} && ` +
+          `node ${cliPath} --strategy bogus importing-fragments/shell.html`);
+      assert.equal(error.status, 1);
+      assert.include(error.stderr.toString(), 'bogus');
+    });
+  });
+
+  suite('--watch', () => {
+
+    test('fails without out-dir or out-html', async () => {
+      const projectRoot = path.resolve(__dirname, '../../test/html');
+      const error = execFailing(
+          `cd ${projectRoot} && node ${cliPath} --watch default.html`);
+      assert.equal(error.status, 1);
+      assert.equal(error.stdout.toString(), '');
+      assert.include(
+          error.stderr.toString(),
+          'Must specify out-dir or out-html when watching');
+    });
+  });
+
+  suite('--config', () => {
+
+    test('reads polymer-bundler.json in the working folder', async () => {
+      const projectRoot = path.resolve(__dirname, '../../test/html/config');
+      const stdout =
+          execSync(`cd ${projectRoot} && node ${cliPath} --dry-run`).toString();
+      assert.include(stdout, 'Bundle importing-fragments/fragment-a.html');
+      assert.include(stdout, 'Bundle importing-fragments/fragment-b.html');
+      assert.include(stdout, 'Bundle common_1.html');
+    });
+
+    test('options on the command line override the config file', async () => {
+      const projectRoot = path.resolve(__dirname, '../../test/html');
+      const tempdir = fs.mkdtempSync(path.join(os.tmpdir(), ' ').trim());
+      execSync(
+          `cd ${projectRoot} && ` +
+          `node ${cliPath} --config config/polymer-bundler.json ` +
+          `--in-html importing-fragments/fragment-a.html ` +
+          `--out-dir ${tempdir}`);
+      assert.deepEqual(
+          fs.readdirSync(path.join(tempdir, 'importing-fragments')),
+          ['fragment-a.html']);
+      const html = fs.readFileSync(
+          path.join(tempdir, 'importing-fragments/fragment-a.html'), 'utf-8');
+      assert.include(html, `console.log('shared-util.html');`);
+    });
+
+    test('fails for unknown keys in the config file', async () => {
+      const tempdir = fs.mkdtempSync(path.join(os.tmpdir(), ' ').trim());
+      const configPath = path.join(tempdir, 'polymer-bundler.json');
+      fs.writeFileSync(configPath, JSON.stringify({inHtml: ['index.html']}));
+      const error = execFailing(`cd ${tempdir} && node ${cliPath} --dry-run`);
+      assert.include(
+          error.stderr.toString(),
+          `Unknown config key "inHtml" in ${configPath}`);
+    });
+  });
+
   suite('--redirect', () => {
 
     test('handles urls with arbitrary protocols and hosts', async () => {
@@ -0,0 +1,75 @@
+/**
+ * @license
+ * Copyright (c) 2017 The Polymer Project Authors. All rights reserved.
+ * This code may only be used under the BSD style license found at
+ * http://polymer.github.io/LICENSE.txt
+ * The complete set of authors may be found at
+ * http://polymer.github.io/AUTHORS.txt
+ * The complete set of contributors may be found at
+ * http://polymer.github.io/CONTRIBUTORS.txt
+ * Code distributed by Google as part of the polymer project is also
+ * subject to an additional IP rights grant found at
+ * http://polymer.github.io/PATENTS.txt
+ */
+/// <reference path="../../node_modules/@types/chai/index.d.ts" />
+/// <reference path="../../node_modules/@types/node/index.d.ts" />
+/// <reference path="../../node_modules/@types/mocha/index.d.ts" />
+import * as chai from 'chai';
+import {Analyzer, FSUrlLoader} from 'polymer-analyzer';
+
+import {generateContentHashBundleUrlMapper} from '../bundle-manifest';
+import {Bundler, BundleResult, Options as BundlerOptions} from '../bundler';
+import {generatePushManifest, PushManifestEntry} from '../push-manifest';
+
+const assert = chai.assert;
+
+suite('Push manifest', () => {
+
+  async function bundle(options?: BundlerOptions):
+      Promise<BundleResult> {
+        const bundler = new Bundler(Object.assign(
+            {
+              analyzer: new Analyzer(
+                  {urlLoader: new FSUrlLoader('test/html/push-manifest')}),
+              excludeHtmlImports: ['vendor/**'],
+              excludeScripts: ['a.js'],
+              inlineCss: false,
+            },
+            options));
+        return bundler.bundle(
+            await bundler.generateManifest(['a.html', 'b.html']));
+      }
+
+  test('lists the resources each bundle requests', async () => {
+    const pushManifest = generatePushManifest(await bundle());
+    const document: PushManifestEntry = {type: 'document', weight: 1};
+    const script: PushManifestEntry = {type: 'script', weight: 1};
+    const style: PushManifestEntry = {type: 'style', weight: 1};
+    assert.deepEqual(pushManifest, {
+      'a.html': {
+        'shared_bundle_1.html': document,
+        'shared.css': style,
+        'vendor/lib.html': document,
+        'a.js': script,
+      },
+      'b.html': {
+        'shared_bundle_1.html': document,
+        'shared.css': style,
+      },
+      'lazy.html': {},
+      'shared_bundle_1.html': {
+        'shared.css': style,
+      },
+    });
+  });
+
+  test('uses the content hashed urls of bundles', async () => {
+    const result = await bundle(
+        {urlMapper: generateContentHashBundleUrlMapper('shared_')});
+    const sharedUrl = result.manifest.getBundleForFile('shared.html')!.url;
+    assert.match(sharedUrl, /^shared_[0-9a-f]{8}\.html$/);
+    const pushManifest = generatePushManifest(result);
+    assert.deepEqual(
+        Object.keys(pushManifest['b.html']), [sharedUrl, 'shared.css']);
+  });
+});
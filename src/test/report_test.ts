@@ -0,0 +1,87 @@
+/**
+ * @license
+ * Copyright (c) 2017 The Polymer Project Authors. All rights reserved.
+ * This code may only be used under the BSD style license found at
+ * http://polymer.github.io/LICENSE.txt
+ * The complete set of authors may be found at
+ * http://polymer.github.io/AUTHORS.txt
+ * The complete set of contributors may be found at
+ * http://polymer.github.io/CONTRIBUTORS.txt
+ * Code distributed by Google as part of the polymer project is also
+ * subject to an additional IP rights grant found at
+ * http://polymer.github.io/PATENTS.txt
+ */
+/// <reference path="../../node_modules/@types/chai/index.d.ts" />
+/// <reference path="../../node_modules/@types/node/index.d.ts" />
+/// <reference path="../../node_modules/@types/mocha/index.d.ts" />
+import * as chai from 'chai';
+import * as parse5 from 'parse5';
+import {Analyzer, FSUrlLoader} from 'polymer-analyzer';
+
+import {Bundler, BundleResult} from '../bundler';
+import {formatBytes, formatReport, generateReport} from '../report';
+
+const assert = chai.assert;
+
+suite('Report', () => {
+
+  async function bundle(entrypoints: string[]):
+      Promise<BundleResult> {
+        const bundler = new Bundler({
+          analyzer: new Analyzer({urlLoader: new FSUrlLoader('test/html')})
+        });
+        return bundler.bundle(await bundler.generateManifest(entrypoints));
+      }
+
+  suite('generateReport', () => {
+
+    test('reports the raw and gzipped size of each bundle', async () => {
+      const result = await bundle(['default.html', 'external.html']);
+      const report = generateReport(result);
+      assert.deepEqual(
+          report.map((b) => b.url), ['default.html', 'external.html']);
+      for (const bundleReport of report) {
+        const html =
+            parse5.serialize(result.documents.get(bundleReport.url)!.ast);
+        assert.equal(bundleReport.size, Buffer.byteLength(html));
+        assert.isAbove(bundleReport.gzipSize, 0);
+        assert.isBelow(bundleReport.gzipSize, bundleReport.size);
+      }
+    });
+
+    test('reports the bytes inlined from each file', async () => {
+      const result = await bundle(['external.html']);
+      const [bundleReport] = generateReport(result);
+      assert.deepEqual(bundleReport.files.map((f) => [f.type, f.url]), [
+        ['style', 'external/external.css'],
+        ['script', 'external/external.js'],
+      ]);
+      const [style, script] = bundleReport.files;
+      assert.isAbove(script.size, 0);
+      assert.isAbove(style.size, script.size);
+    });
+  });
+
+  suite('formatReport', () => {
+
+    test('formats a line per bundle and inlined file', () => {
+      assert.equal(
+          formatReport([{
+            url: 'shared_bundle_1.html',
+            size: 204800,
+            gzipSize: 51200,
+            files: [
+              {url: 'elements/x-foo.html', type: 'html-import', size: 900}
+            ]
+          }]),
+          'shared_bundle_1.html 200.0 kB (50.0 kB gzip)\n' +
+              '  900 B html-import elements/x-foo.html');
+    });
+
+    test('formats sizes in bytes, kilobytes and megabytes', () => {
+      assert.equal(formatBytes(1023), '1023 B');
+      assert.equal(formatBytes(1536), '1.5 kB');
+      assert.equal(formatBytes(3 * 1024 * 1024), '3.0 MB');
+    });
+  });
+});
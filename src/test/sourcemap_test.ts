@@ -19,7 +19,7 @@ import * as dom5 from 'dom5';
 import * as parse5 from 'parse5';
 import * as path from 'path';
 import {Analyzer, FSUrlLoader} from 'polymer-analyzer';
-import {MappingItem, RawSourceMap, SourceMapConsumer} from 'source-map';
+import {MappingItem, Position, RawIndexMap, RawSourceMap, SourceMapConsumer, SourceMapGenerator} from 'source-map';
 
 import {Bundler} from '../bundler';
 import {Options as BundlerOptions} from '../bundler';
@@ -53,8 +53,15 @@ suite('Bundler', () => {
     return lines[lineNum - 1];
   }
 
+  /**
+   * Checks the mappings of `name` in the source map.  The `offset` is that of
+   * the section of an index source map which contains the source map.
+   */
   async function testMapping(
-      sourcemap: RawSourceMap, html: string, name: string) {
+      sourcemap: RawSourceMap,
+      html: string,
+      name: string,
+      offset: Position = {line: 0, column: 0}) {
     const consumer = new SourceMapConsumer(sourcemap!);
     let foundMapping = false;
     const mappings: MappingItem[] = [];
@@ -62,10 +69,12 @@ suite('Bundler', () => {
     for (let j = 0; j < mappings.length; j++) {
       if (mappings[j].name === name) {
         foundMapping = true;
-        const generatedLine = getLine(html, mappings[j].generatedLine);
+        const generatedLine =
+            getLine(html, mappings[j].generatedLine + offset.line);
         assert(generatedLine, 'generated line not found');
         assert.equal(
-            mappings[j].generatedColumn,
+            mappings[j].generatedColumn +
+                (mappings[j].generatedLine === 1 ? offset.column : 0),
             generatedLine!.indexOf(name),
             'generated column');
 
@@ -162,5 +171,166 @@ suite('Bundler', () => {
         await testMapping(sourcemap!, compiledHtml, 'console');
       }
     });
+
+    test('invalid maps are reported as warnings', async () => {
+      bundler = new Bundler(
+          {inlineScripts: true, sourcemaps: true, analyzer: analyzer});
+      const manifest = await bundler.generateManifest(['invalid.html']);
+      const {warnings} = await bundler.bundle(manifest);
+      assert.deepEqual(warnings.map((w) => [w.code, w.url]), [
+        ['could-not-load-sourcemap', 'invalid/inline.html'],
+        ['could-not-load-sourcemap', 'invalid/external.js'],
+      ]);
+    });
+
+    test('maps are combined into an index map', async () => {
+      bundler = new Bundler(
+          {inlineScripts: true, sourcemaps: 'index', analyzer: analyzer});
+      const manifest = await bundler.generateManifest(['inline.html']);
+      const {documents, sourcemaps} = await bundler.bundle(manifest);
+      assert.deepEqual([...sourcemaps.keys()], ['inline.html.map']);
+      const indexMap = <RawIndexMap>sourcemaps.get('inline.html.map')!;
+      assert.equal(indexMap.sections.length, 3);
+      const doc = documents.get('inline.html')!.ast;
+      const compiledHtml = parse5.serialize(doc);
+      assert.notInclude(compiledHtml, 'data:application/json');
+      for (const script of dom5.queryAll(doc, matchers.inlineJavascript)) {
+        assert.include(
+            dom5.getTextContent(script),
+            '//# sourceMappingURL=inline.html.map');
+      }
+      for (const section of indexMap.sections) {
+        await testMapping(section.map, compiledHtml, 'console', section.offset);
+      }
+    });
+
+    suite('inlined styles', () => {
+      /**
+       * Returns the original position of the first occurrence of `text` in
+       * the html, according to the given source map.
+       */
+      function originalPositionOf(
+          sourcemap: RawSourceMap, html: string, text: string) {
+        const lines = html.split('\n');
+        const line = lines.findIndex((l) => l.indexOf(text) !== -1);
+        const consumer = new SourceMapConsumer(sourcemap);
+        return consumer.originalPositionFor(
+            {line: line + 1, column: lines[line].indexOf(text)});
+      }
+
+      test('identity maps are created', async () => {
+        bundler = new Bundler(
+            {inlineCss: true, sourcemaps: 'external', analyzer: analyzer});
+        const manifest = await bundler.generateManifest(['styles.html']);
+        const {documents, sourcemaps} = await bundler.bundle(manifest);
+        const html = parse5.serialize(documents.get('styles.html')!.ast);
+        assert.include(html, '/*# sourceMappingURL=styles.html.1.css.map */');
+        const sourcemap = <RawSourceMap>sourcemaps.get('styles.html.1.css.map');
+        const original = originalPositionOf(sourcemap, html, 'color: blue');
+        assert.equal(original.source, 'styles/plain.css');
+        assert.equal(original.line, 3);
+        assert.equal(original.column, 2);
+      });
+
+      test('existing maps are honored', async () => {
+        bundler = new Bundler(
+            {inlineCss: true, sourcemaps: 'external', analyzer: analyzer});
+        const manifest = await bundler.generateManifest(['styles.html']);
+        const {documents, sourcemaps} = await bundler.bundle(manifest);
+        const html = parse5.serialize(documents.get('styles.html')!.ast);
+        assert.notInclude(html, 'compiled.css.map');
+        const sourcemap = <RawSourceMap>sourcemaps.get('styles.html.2.css.map');
+        const color = originalPositionOf(sourcemap, html, 'color: red');
+        assert.equal(color.source, 'styles/compiled.scss');
+        assert.equal(color.line, 3);
+        assert.equal(color.column, 2);
+        const background = originalPositionOf(
+            sourcemap, html, 'background: url("styles/image.png');
+        assert.equal(background.source, 'styles/compiled.scss');
+        assert.equal(background.line, 4);
+      });
+    });
+
+    test('maps are moved to separate files when external', async () => {
+      bundler = new Bundler(
+          {inlineScripts: true, sourcemaps: 'external', analyzer: analyzer});
+      const manifest = await bundler.generateManifest(['inline.html']);
+      const {documents, sourcemaps} = await bundler.bundle(manifest);
+      assert.deepEqual([...sourcemaps.keys()], [
+        'inline.html.1.js.map',
+        'inline.html.2.js.map',
+        'inline.html.3.js.map'
+      ]);
+      const doc = documents.get('inline.html')!.ast;
+      const compiledHtml = parse5.serialize(doc);
+      assert.notInclude(compiledHtml, 'data:application/json');
+      const inlineScripts = dom5.queryAll(doc, matchers.inlineJavascript);
+      for (let i = 0; i < inlineScripts.length; i++) {
+        assert.include(
+            dom5.getTextContent(inlineScripts[i]),
+            `//# sourceMappingURL=inline.html.${i + 1}.js.map`);
+        await testMapping(
+            <RawSourceMap>sourcemaps.get(`inline.html.${i + 1}.js.map`),
+            compiledHtml,
+            'console');
+      }
+    });
+
+    // Wraps scripts in a function, with a map of each identifier back to
+    // its position in the original content.
+    const plugin = {
+      transformScript(url: string, content: string) {
+        const generator = new SourceMapGenerator();
+        content.split('\n').forEach((line, i) => {
+          const identifier = /[\w$]+/g;
+          let match: RegExpExecArray|null;
+          while (match = identifier.exec(line)) {
+            generator.addMapping({
+              source: url,
+              original: {line: i + 1, column: match.index},
+              generated: {line: i + 2, column: match.index}
+            });
+          }
+        });
+        return {
+          content: `(function() {\n${content}\n})();\n`,
+          map: generator.toJSON()
+        };
+      }
+    };
+
+    test('maps of plugin transforms are combined', async () => {
+      const doc = await bundle(
+          'external.html',
+          {inlineScripts: true, sourcemaps: true, analyzer, plugins: [plugin]});
+      const compiledHtml = parse5.serialize(doc);
+      const inlineScripts = dom5.queryAll(doc, matchers.inlineJavascript);
+      assert.equal(inlineScripts.length, 3);
+      for (const script of inlineScripts) {
+        const content = dom5.getTextContent(script);
+        assert.match(content, /^\(function\(\) {\n/);
+        const sourcemap =
+            await getExistingSourcemap(analyzer, 'external.html', content);
+        assert(sourcemap, 'scripts found');
+        assert.include(sourcemap!.names, 'console');
+        await testMapping(sourcemap!, compiledHtml, 'console');
+      }
+    });
+
+    test('maps of inline script transforms are combined', async () => {
+      const doc = await bundle(
+          'inline.html', {sourcemaps: true, analyzer, plugins: [plugin]});
+      const compiledHtml = parse5.serialize(doc);
+      const inlineScripts = dom5.queryAll(doc, matchers.inlineJavascript);
+      assert.equal(inlineScripts.length, 3);
+      for (const script of inlineScripts) {
+        const content = dom5.getTextContent(script);
+        assert.match(content, /^\(function\(\) {\n/);
+        const sourcemap =
+            await getExistingSourcemap(analyzer, 'inline.html', content);
+        assert(sourcemap, 'scripts found');
+        await testMapping(sourcemap!, compiledHtml, 'console');
+      }
+    });
   });
 });
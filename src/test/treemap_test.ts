@@ -0,0 +1,125 @@
+/**
+ * @license
+ * Copyright (c) 2017 The Polymer Project Authors. All rights reserved.
+ * This code may only be used under the BSD style license found at
+ * http://polymer.github.io/LICENSE.txt
+ * The complete set of authors may be found at
+ * http://polymer.github.io/AUTHORS.txt
+ * The complete set of contributors may be found at
+ * http://polymer.github.io/CONTRIBUTORS.txt
+ * Code distributed by Google as part of the polymer project is also
+ * subject to an additional IP rights grant found at
+ * http://polymer.github.io/PATENTS.txt
+ */
+/// <reference path="../../node_modules/@types/chai/index.d.ts" />
+/// <reference path="../../node_modules/@types/node/index.d.ts" />
+/// <reference path="../../node_modules/@types/mocha/index.d.ts" />
+import * as chai from 'chai';
+import * as dom5 from 'dom5';
+import * as parse5 from 'parse5';
+import {Analyzer, FSUrlLoader} from 'polymer-analyzer';
+
+import {generateEagerMergeStrategy} from '../bundle-manifest';
+import {Bundler, Options as BundlerOptions} from '../bundler';
+import {buildDepsIndex} from '../deps-index';
+import {generateTreemap} from '../treemap';
+
+const assert = chai.assert;
+const preds = dom5.predicates;
+
+suite('Treemap', () => {
+
+  async function treemap(entrypoints: string[], opts?: BundlerOptions):
+      Promise<parse5.ASTNode> {
+        const bundler = new Bundler(Object.assign(
+            {analyzer: new Analyzer({urlLoader: new FSUrlLoader('test/html')})},
+            opts));
+        const result =
+            await bundler.bundle(await bundler.generateManifest(entrypoints));
+        return parse5.parse(generateTreemap(
+            result, await buildDepsIndex(entrypoints, bundler.analyzer)));
+      }
+
+  function background(ast: parse5.ASTNode, url: string):
+      string {
+        return dom5.getAttribute(findNode(ast, url), 'style')!.match(
+            /background: (.*)$/)![1];
+      }
+
+  function findNode(ast: parse5.ASTNode, url: string):
+      parse5.ASTNode {
+        const label = dom5.query(
+            ast,
+            (node) => preds.hasClass('label')(node) &&
+                dom5.getTextContent(node).startsWith(`${url} `))!;
+        assert(label, `expected a node for ${url}`);
+        return label.parentNode!;
+      }
+
+  test('is self-contained', async () => {
+    const ast = await treemap(['scripts.html']);
+    assert.deepEqual(
+        dom5.queryAll(
+            ast,
+            preds.OR(
+                preds.hasTagName('script'),
+                preds.hasTagName('link'),
+                preds.hasTagName('img'))),
+        []);
+  });
+
+  test('nests files in the html import they were inlined from', async () => {
+    const ast = await treemap(['scripts.html']);
+    const bundle = findNode(ast, 'scripts.html');
+    assert.isTrue(preds.hasClass('bundle')(bundle));
+    const htmlImport = findNode(ast, 'imports/external-script.html');
+    assert.isTrue(preds.hasClass('html-import')(htmlImport));
+    assert.equal(
+        dom5.nodeWalkAncestors(htmlImport, preds.hasClass('node')), bundle);
+    const nestedScript = findNode(ast, 'imports/external.js');
+    assert.isTrue(preds.hasClass('script')(nestedScript));
+    assert.equal(
+        dom5.nodeWalkAncestors(nestedScript, preds.hasClass('node')),
+        htmlImport);
+    const script = findNode(ast, 'external/external.js');
+    assert.equal(
+        dom5.nodeWalkAncestors(script, preds.hasClass('node')), bundle);
+  });
+
+  test('colours nodes by the entrypoints which depend on them', async () => {
+    const ast = await treemap([
+      'imports/importing-fragments/fragment-a.html',
+      'imports/importing-fragments/fragment-b.html',
+    ]);
+    const sharedColor =
+        background(ast, 'imports/importing-fragments/shared-util.html');
+    const colorA =
+        background(ast, 'imports/importing-fragments/fragment-a.html');
+    const colorB =
+        background(ast, 'imports/importing-fragments/fragment-b.html');
+    assert.notEqual(sharedColor, colorA);
+    assert.notEqual(sharedColor, colorB);
+    assert.notEqual(colorA, colorB);
+    const legend =
+        dom5.getTextContent(dom5.query(ast, preds.hasClass('legend'))!);
+    assert.include(
+        legend,
+        'Entrypoints imports/importing-fragments/fragment-a.html, ' +
+            'imports/importing-fragments/fragment-b.html');
+  });
+
+  test('colours files in one bundle by their own entrypoints', async () => {
+    const fragmentA = 'imports/importing-fragments/fragment-a.html';
+    const ast = await treemap(
+        [fragmentA, 'imports/importing-fragments/fragment-b.html'],
+        {strategy: generateEagerMergeStrategy(fragmentA)});
+    const shared =
+        findNode(ast, 'imports/importing-fragments/shared-util.html');
+    assert.equal(
+        dom5.nodeWalkAncestors(shared, preds.hasClass('bundle')),
+        findNode(ast, fragmentA));
+    assert.notEqual(
+        background(ast, 'imports/importing-fragments/shared-util.html'),
+        background(ast, fragmentA));
+  });
+});
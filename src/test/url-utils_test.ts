@@ -26,6 +26,50 @@ const assert = chai.assert;
 
 suite('URL Utils', () => {
 
+  suite('generateUrlMatcher', () => {
+
+    test('Matches urls and the contents of folders', () => {
+      const isMatch = urlUtils.generateUrlMatcher(['a/b.html', 'c/', 'd']);
+      assert.isTrue(isMatch('a/b.html'));
+      assert.isTrue(isMatch('c/e.html'));
+      assert.isTrue(isMatch('d/e/f.js'));
+      assert.isFalse(isMatch('a/b.html.js'));
+      assert.isFalse(isMatch('a/c/e.html'));
+      assert.isFalse(isMatch('de.html'));
+    });
+
+    test('Matches globs', () => {
+      const isMatch = urlUtils.generateUrlMatcher(
+          ['**/*.min.js', 'bower_components/*/demo/**', 'x-?.html']);
+      assert.isTrue(isMatch('a.min.js'));
+      assert.isTrue(isMatch('a/b/c.min.js'));
+      assert.isTrue(isMatch('bower_components/polymer/demo/index.html'));
+      assert.isTrue(isMatch('x-a.html'));
+      assert.isFalse(isMatch('a.js'));
+      assert.isFalse(isMatch('bower_components/polymer/src/demo.html'));
+      assert.isFalse(isMatch('bower_components/a/b/demo/index.html'));
+      assert.isFalse(isMatch('x-ab.html'));
+    });
+
+    test('Matches regular expressions', () => {
+      const isMatch = urlUtils.generateUrlMatcher([/\.css$/]);
+      assert.isTrue(isMatch('a/b.css'));
+      assert.isFalse(isMatch('a/b.css.map'));
+    });
+
+    test('Negated patterns unmatch urls matched by earlier ones', () => {
+      const isMatch = urlUtils.generateUrlMatcher([
+        'bower_components/**',
+        '!bower_components/keep-me/**',
+        'bower_components/keep-me/demo/',
+      ]);
+      assert.isTrue(isMatch('bower_components/polymer/polymer.html'));
+      assert.isFalse(isMatch('bower_components/keep-me/keep-me.html'));
+      assert.isTrue(isMatch('bower_components/keep-me/demo/index.html'));
+      assert.isFalse(isMatch('index.html'));
+    });
+  });
+
   suite('stripUrlFileSearchAndHash', () => {
 
     test('Strips "man.html" basename off url', () => {
@@ -0,0 +1,293 @@
+/**
+ * @license
+ * Copyright (c) 2017 The Polymer Project Authors. All rights reserved.
+ * This code may only be used under the BSD style license found at
+ * http://polymer.github.io/LICENSE.txt
+ * The complete set of authors may be found at
+ * http://polymer.github.io/AUTHORS.txt
+ * The complete set of contributors may be found at
+ * http://polymer.github.io/CONTRIBUTORS.txt
+ * Code distributed by Google as part of the polymer project is also
+ * subject to an additional IP rights grant found at
+ * http://polymer.github.io/PATENTS.txt
+ */
+import {BundleResult} from './bundler';
+import {DepsIndex} from './deps-index';
+import {FileReport, formatBytes, generateReport} from './report';
+import {UrlString} from './url-utils';
+
+/**
+ * A rectangle of a treemap, a bundle or a file inlined into it, with the
+ * files inlined from it as its children.
+ */
+interface TreemapNode {
+  url: UrlString;
+  type: 'bundle'|FileReport['type'];
+
+  // Number of bytes of the node, not including its children.
+  size: number;
+
+  // Number of bytes of the node and its children, which gives its area.
+  totalSize: number;
+
+  // The entrypoints which depend on the file, or on the file a bundle is
+  // named after.
+  entrypoints: UrlString[];
+
+  children: TreemapNode[];
+}
+
+interface Rect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+// The proportions of the treemap, which the layout of rectangles is
+// optimized for.
+const treemapWidth = 1200;
+const treemapHeight = 800;
+
+const styles = `
+body { font: 12px sans-serif; margin: 8px; }
+#treemap { position: relative; height: 85vh; }
+.node { position: absolute; box-sizing: border-box; overflow: hidden;
+        border: 1px solid rgba(0, 0, 0, 0.3); }
+.label { height: 16px; padding: 1px 3px; overflow: hidden;
+         white-space: nowrap; text-overflow: ellipsis; }
+.bundle > .label { font-weight: bold; }
+.children { position: absolute; top: 16px; right: 2px; bottom: 2px;
+            left: 2px; }
+.legend { margin-bottom: 8px; }
+.legend span { display: inline-block; width: 12px; height: 12px;
+               margin: 0 4px 0 12px; vertical-align: middle; }
+`;
+
+/**
+ * Generates a self-contained html page with a treemap of the bundles of the
+ * result.  Each bundle contains the html imports, scripts and stylesheets
+ * inlined into it, nested in the html import they were inlined from, and each
+ * module bundle the es modules bundled into it, with areas proportional to
+ * their sizes in bytes.  Rectangles of files are coloured by the entrypoints
+ * which depend on the files in the deps index, so files shared by the same
+ * entrypoints have the same colour wherever they were bundled.  Scripts and
+ * stylesheets, which are not in the deps index, take the entrypoints of the
+ * html import they were inlined from.  Bundles are coloured like their
+ * entrypoint file, and shared bundles by their entrypoints.
+ */
+export function generateTreemap(
+    result: BundleResult, depsIndex: DepsIndex): string {
+  const fileEntrypoints = new Map<UrlString, UrlString[]>();
+  for (const entry of depsIndex.entrypointToDeps) {
+    for (const dep of entry[1]) {
+      const entrypoints = fileEntrypoints.get(dep) || [];
+      entrypoints.push(entry[0]);
+      fileEntrypoints.set(dep, entrypoints);
+    }
+  }
+  const colors = new Map<string, string>();
+  const addColor = (entrypoints: UrlString[]) => {
+    const entrypointsKey = entrypoints.join(', ');
+    if (!colors.has(entrypointsKey)) {
+      // Successive hues are a golden angle apart to keep them distinct.
+      colors.set(
+          entrypointsKey, `hsl(${(colors.size * 137.5) % 360}, 60%, 75%)`);
+    }
+  };
+  const nodes: TreemapNode[] = [];
+  for (const bundleReport of generateReport(result)) {
+    // Module bundles take the bundle holding their modules.
+    const module = result.modules.get(bundleReport.url);
+    const moduleBundle =
+        module && result.manifest.getBundleForFile(module.files[0]);
+    const bundle = result.manifest.bundles.get(bundleReport.url) ||
+        moduleBundle && moduleBundle.bundle;
+    const bundleEntrypoints = bundle ? [...bundle.entrypoints] : [];
+    const entrypoints =
+        (fileEntrypoints.get(bundleReport.url) || bundleEntrypoints).sort();
+    addColor(entrypoints);
+    const bundleNode: TreemapNode = {
+      url: bundleReport.url,
+      type: 'bundle',
+      size: bundleReport.size,
+      totalSize: bundleReport.size,
+      entrypoints,
+      children: []
+    };
+    const fileNodes = new Map<UrlString, TreemapNode>();
+    for (const file of bundleReport.files) {
+      fileNodes.set(file.url, {
+        url: file.url,
+        type: file.type,
+        size: file.size,
+        totalSize: file.size,
+        entrypoints: (fileEntrypoints.get(file.url) || []).sort(),
+        children: []
+      });
+    }
+    for (const fileNode of fileNodes.values()) {
+      const parentUrl = bundle && bundle.inlinedFrom.get(fileNode.url);
+      const parent = parentUrl && fileNodes.get(parentUrl) || bundleNode;
+      parent.children.push(fileNode);
+    }
+    const inheritEntrypoints = (node: TreemapNode) => {
+      for (const child of node.children) {
+        if (child.entrypoints.length === 0) {
+          child.entrypoints = node.entrypoints;
+        }
+        addColor(child.entrypoints);
+        inheritEntrypoints(child);
+      }
+    };
+    inheritEntrypoints(bundleNode);
+    bundleNode.size -= sumTotalSizes([...fileNodes.values()]);
+    updateTotalSize(bundleNode);
+    nodes.push(bundleNode);
+  }
+  nodes.sort((a, b) => b.totalSize - a.totalSize);
+
+  const legend = [...colors].map(
+      (entry) => `<span style="background: ${entry[1]}"></span>` +
+          `Entrypoints ${escapeHtml(entry[0] || '(none)')}`);
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Bundle treemap</title>
+<style>${styles}</style>
+</head>
+<body>
+<div class="legend">${legend.join('\n')}</div>
+<div id="treemap">
+${renderNodes(nodes, treemapWidth, treemapHeight, colors)}
+</div>
+</body>
+</html>
+`;
+}
+
+function escapeHtml(text: string): string {
+  return text.replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+}
+
+function percent(value: number, total: number): string {
+  return `${(total > 0 ? value / total * 100 : 0).toFixed(3)}%`;
+}
+
+/**
+ * Renders the nodes as rectangles filling a container of the given
+ * proportions, with the container's own bytes, if any, as empty space.
+ */
+function renderNodes(
+    nodes: TreemapNode[],
+    width: number,
+    height: number,
+    colors: Map<string, string>,
+    ownSize = 0): string {
+  const sizes = [...nodes.map((n) => n.totalSize), ownSize];
+  const rects = squarify(sizes, {x: 0, y: 0, width, height});
+  return nodes
+      .map((node, i) => {
+        const rect = rects[i];
+        const color = colors.get(node.entrypoints.join(', '));
+        const style = `left: ${percent(rect.x, width)}; ` +
+            `top: ${percent(rect.y, height)}; ` +
+            `width: ${percent(rect.width, width)}; ` +
+            `height: ${percent(rect.height, height)}; ` +
+            `background: ${color}`;
+        const title = `${node.url}\n${node.type}, ` +
+            `${formatBytes(node.totalSize)}\n` +
+            `Entrypoints: ${node.entrypoints.join(', ') || '(none)'}`;
+        const children = node.children.length === 0 ?
+            '' :
+            `<div class="children">\n` +
+                renderNodes(
+                    node.children, rect.width, rect.height, colors, node.size) +
+                `\n</div>`;
+        return `<div class="node ${node.type}" style="${style}" ` +
+            `title="${escapeHtml(title)}">` +
+            `<div class="label">${escapeHtml(node.url)} ` +
+            `${formatBytes(node.totalSize)}</div>${children}</div>`;
+      })
+      .join('\n');
+}
+
+/**
+ * Lays out rectangles with areas proportional to the given sizes in the
+ * rectangle, using the squarified treemap algorithm, which places the
+ * rectangles in rows along the shorter side of the remaining space so their
+ * aspect ratios stay close to 1.  The rectangles are returned in the order of
+ * the sizes, which give the best aspect ratios when sorted largest first.
+ */
+function squarify(sizes: number[], rect: Rect): Rect[] {
+  const total = sizes.reduce((sum, size) => sum + size, 0);
+  const scale = total > 0 ? rect.width * rect.height / total : 0;
+  const areas = sizes.map((size) => size * scale);
+  const rects: Rect[] = [];
+  let {x, y, width, height} = rect;
+  let i = 0;
+  while (i < areas.length) {
+    const side = Math.min(width, height);
+    const row = [areas[i++]];
+    while (i < areas.length && areas[i] > 0 &&
+           worstAspectRatio([...row, areas[i]], side) <=
+               worstAspectRatio(row, side)) {
+      row.push(areas[i++]);
+    }
+    const rowArea = row.reduce((sum, area) => sum + area, 0);
+    const thickness = side > 0 ? rowArea / side : 0;
+    let offset = 0;
+    for (const area of row) {
+      const length = thickness > 0 ? area / thickness : 0;
+      if (width >= height) {
+        rects.push({x, y: y + offset, width: thickness, height: length});
+      } else {
+        rects.push({x: x + offset, y, width: length, height: thickness});
+      }
+      offset += length;
+    }
+    if (width >= height) {
+      x += thickness;
+      width -= thickness;
+    } else {
+      y += thickness;
+      height -= thickness;
+    }
+  }
+  return rects;
+}
+
+function sumTotalSizes(nodes: TreemapNode[]): number {
+  return nodes.reduce((sum, node) => sum + node.totalSize, 0);
+}
+
+/**
+ * Sets the total size of the node and its descendants, sorting children
+ * largest first.  The bytes of a bundle are counted by the bundled document,
+ * so its own size may not be negative.
+ */
+function updateTotalSize(node: TreemapNode) {
+  for (const child of node.children) {
+    updateTotalSize(child);
+  }
+  node.size = Math.max(node.size, 0);
+  node.totalSize = node.size + sumTotalSizes(node.children);
+  node.children.sort((a, b) => b.totalSize - a.totalSize);
+}
+
+/**
+ * Returns the largest aspect ratio of the rectangles of a row with the given
+ * areas along a side of the given length.
+ */
+function worstAspectRatio(row: number[], side: number): number {
+  const rowArea = row.reduce((sum, area) => sum + area, 0);
+  const max = Math.max(...row);
+  const min = Math.min(...row);
+  return Math.max(
+      side * side * max / (rowArea * rowArea),
+      rowArea * rowArea / (side * side * min));
+}
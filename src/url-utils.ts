@@ -28,10 +28,51 @@ const sharedRelativeUrlProperties =
  */
 export type UrlString = string;
 
+/**
+ * A pattern matching urls, either a regular expression or a string which is a
+ * url or a glob, like `bower_components/polymer/**` or `lib/*.min.js`, where
+ * `*` matches any characters other than `/`, `**` matches any characters and
+ * `?` matches one character other than `/`.  A string pattern also matches the
+ * urls inside of the folders it matches, and a string starting with `!` is a
+ * negated pattern, which unmatches the urls matched by the patterns before it.
+ */
+export type UrlPattern = UrlString | RegExp;
+
+/**
+ * A function which returns true if a url is matched.
+ */
+export type UrlMatcher = (url: UrlString) => boolean;
+
 export function ensureTrailingSlash(href: UrlString): UrlString {
   return href.endsWith('/') ? href : href + '/';
 }
 
+/**
+ * Creates a url matcher for the given patterns.  A url is matched when the
+ * last of the patterns which matches it is not negated.
+ */
+export function generateUrlMatcher(patterns: UrlPattern[]): UrlMatcher {
+  const regexps = patterns.map((pattern) => {
+    if (pattern instanceof RegExp) {
+      return {regexp: pattern, negated: false};
+    }
+    const negated = pattern.startsWith('!');
+    return {
+      regexp: globToRegExp(negated ? pattern.slice(1) : pattern),
+      negated
+    };
+  });
+  return (href: UrlString) => {
+    let matched = false;
+    for (const {regexp, negated} of regexps) {
+      if (matched === negated && regexp.test(href)) {
+        matched = !negated;
+      }
+    }
+    return matched;
+  };
+}
+
 /**
  * Returns a URL with the basename removed from the pathname.  Strips the
  * search off of the URL as well, since it will not apply.
@@ -133,6 +174,35 @@ export function rewriteHrefBaseUrl(
   return absUrl;
 }
 
+/**
+ * Converts a glob to a regular expression which matches the urls the glob
+ * matches and the urls inside of them.
+ */
+function globToRegExp(glob: string): RegExp {
+  glob = glob.replace(/\/$/, '');
+  let source = '';
+  for (let i = 0; i < glob.length; ++i) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` also matches no folders at all, so `**/a.js` matches `a.js`.
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[\\^$.+()[\]{}|]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}(?:/.*)?$`);
+}
+
 function makeAbsolutePath(path: string): string {
   return path.startsWith('/') ? path : '/' + path;
 }
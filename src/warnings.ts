@@ -0,0 +1,63 @@
+/**
+ * @license
+ * Copyright (c) 2017 The Polymer Project Authors. All rights reserved.
+ * This code may only be used under the BSD style license found at
+ * http://polymer.github.io/LICENSE.txt
+ * The complete set of authors may be found at
+ * http://polymer.github.io/AUTHORS.txt
+ * The complete set of contributors may be found at
+ * http://polymer.github.io/CONTRIBUTORS.txt
+ * Code distributed by Google as part of the polymer project is also
+ * subject to an additional IP rights grant found at
+ * http://polymer.github.io/PATENTS.txt
+ */
+import {Severity, SourceRange} from 'polymer-analyzer';
+
+import {UrlString} from './url-utils';
+
+export {Severity, SourceRange};
+
+/**
+ * A problem encountered while bundling which did not prevent the bundle from
+ * being produced, such as a script which could not be loaded and so was not
+ * inlined.
+ */
+export interface BundlerWarning {
+  // Identifies the kind of problem, e.g. `missing-script`.
+  code: string;
+
+  // A human readable description of the problem.
+  message: string;
+
+  severity: Severity;
+
+  // The url of the file the problem was found in, e.g. the file with the
+  // `<script>` of a missing script.
+  url: UrlString;
+
+  // The location of the problem in that file, e.g. of the `<script>`, when it
+  // is known.
+  sourceRange?: SourceRange;
+}
+
+/**
+ * Formats a warning as a single line of the form
+ * `file:line:column severity [code] message`, where the location is omitted
+ * when it is unknown.
+ */
+export function formatWarning(warning: BundlerWarning): string {
+  const severity = Severity[warning.severity].toLowerCase();
+  const location = warning.sourceRange ?
+      formatSourceRange(warning.sourceRange) :
+      warning.url;
+  return `${location} ${severity} [${warning.code}] ${warning.message}`;
+}
+
+/**
+ * Formats the start of a source range as `file:line:column`, with lines and
+ * columns counted from 1.
+ */
+export function formatSourceRange(sourceRange: SourceRange): string {
+  const {file, start} = sourceRange;
+  return `${file}:${start.line + 1}:${start.column + 1}`;
+}
@@ -0,0 +1,4 @@
+import {shared} from './shared.js';
+import {util} from './lib/util.js';
+
+console.log('app', shared, util());
@@ -0,0 +1,8 @@
+import {util} from '../lib/util.js';
+import 'bare-module';
+
+export class MyElement {
+  constructor() {
+    this.util = util();
+  }
+}
@@ -0,0 +1,5 @@
+export {shared} from '../shared.js';
+
+export function util() {
+  return 'util';
+}